@@ -2,7 +2,7 @@
 // - Version multi-stops avec paliers multiples de 3m
 // - Formule de plafond corrigée (Erik Baker):
 //   pAmbMin = (Ptiss - GF * a) / (GF / b + 1 - GF)
-// - Options: lastStopDepth (3 ou 6 m), minLastStopMinutes
+// - Options: lastStopDepth (3 ou 6 m), minLastStopMinutes, vitesses par phase
 // - Graphique avec profil + plafond GF en temps réel
 // - Validation UX douce et badge de validation
 
@@ -15,8 +15,15 @@ let profileChart = null;
   const SURFACE = 1.01325;       // bar
   const PH2O = 0.0627;           // bar (pression vapeur d'eau alvéolaire)
   const BAR_PER_M = 0.1;         // ~0.1 bar par mètre (eau de mer)
+  const GRAVITY = 9.80665;       // m/s²
   const LN2 = Math.log(2);
 
+  // Masses volumiques de l'eau (kg/m³)
+  const WATER_DENSITY = { fresh: 1000, en13319: 1020, salt: 1030 };
+  const WATER_LABELS = { fresh: 'douce', en13319: 'EN13319', salt: 'salée' };
+  const DEFAULT_WATER_TYPE = 'en13319';
+  let barPerM = BAR_PER_M;       // Pression par mètre de la plongée en cours
+
   // Demi-temps (min) ZH-L16C
   const HT_N2 = [5.0, 8.0, 12.5, 18.5, 27.0, 38.3, 54.3, 77.0, 109.0, 146.0, 187.0, 239.0, 305.0, 390.0, 498.0, 635.0];
   const HT_HE = [1.88, 3.02, 4.72, 6.99, 10.21, 14.48, 20.53, 29.11, 41.20, 55.19, 70.69, 90.34, 115.29, 147.42, 188.24, 240.03];
@@ -27,7 +34,26 @@ let profileChart = null;
   const A_HE = [1.6189, 1.3830, 1.1919, 1.0458, 0.9220, 0.8205, 0.7305, 0.6502, 0.5950, 0.5545, 0.5333, 0.5189, 0.5181, 0.5176, 0.5172, 0.5119];
   const B_HE = [0.4770, 0.5747, 0.6527, 0.7223, 0.7582, 0.7957, 0.8279, 0.8553, 0.8757, 0.8903, 0.8997, 0.9073, 0.9122, 0.9171, 0.9217, 0.9267];
 
-  // Pas de palier & vitesses
+  // Masses volumiques des gaz (g/l, 0 °C et 1.01325 bar) & seuils de densité (g/l)
+  const GAS_DENSITY = { O2: 1.429, N2: 1.251, He: 0.1786 };
+  const DENSITY_WARNING = 5.2;
+  const DENSITY_LIMIT = 6.2;
+  const MAX_END = 30;    // m
+
+  // Table de non-décompression : profondeurs (m), gaz comparés, pO₂ de fond maximale, horizon (min)
+  const NDL_DEPTHS = [12, 15, 18, 21, 24, 27, 30, 33, 36, 40];
+  const NDL_GASES = [{ name: 'Air', gas: { FO2: 0.21, FHe: 0, FN2: 0.79 } }, { name: 'EAN32', gas: { FO2: 0.32, FHe: 0, FN2: 0.68 } }];
+  const NDL_MAX_PO2 = 1.4;
+  const NDL_MAX = 999;
+
+  // Gaz réel : Z = 1 + P·(B₁ + P·(B₂ + P·B₃)) par gaz, pondéré par les fractions (~20 °C)
+  const VIRIAL = {
+    O2: [-7.18092073703e-04, 2.81852572808e-06, -1.50290620492e-09],
+    N2: [-2.19260353292e-04, 2.92844845532e-06, -2.07613482075e-09],
+    He: [4.87320026468e-04, -8.83632921053e-08, 5.33304543646e-11]
+  };
+
+  // Pas de palier & vitesses par défaut
   const STOP_STEP = 3;   // m
   const ASCENT_RATE = 10; // m/min
   const DESCENT_RATE = 19; // m/min
@@ -64,7 +90,44 @@ let profileChart = null;
   ];
 
   // ----- Utilitaires -----
-  function pAmb(depthM) { return SURFACE + depthM * BAR_PER_M; }
+  // Type d'eau du plan (défaut: EN13319), le même pour l'affichage et le gradient de pression
+  function resolveWaterType(opts) {
+    return WATER_DENSITY[opts?.waterType] ? opts.waterType : DEFAULT_WATER_TYPE;
+  }
+  function barPerMeter(waterType) {
+    return WATER_DENSITY[waterType] * GRAVITY / 100000;
+  }
+  function pAmb(depthM) { return SURFACE + depthM * barPerM; }
+  // Vitesses par phase (entre paliers ← remontée, surface ← entre paliers)
+  function resolveRates(opts) {
+    const descent = opts?.descentRate > 0 ? opts.descentRate : DESCENT_RATE;
+    const ascent = opts?.ascentRate > 0 ? opts.ascentRate : ASCENT_RATE;
+    const betweenStops = opts?.stopRate > 0 ? opts.stopRate : ascent;
+    const surface = opts?.surfaceRate > 0 ? opts.surfaceRate : betweenStops;
+    return { descent, ascent, betweenStops, surface };
+  }
+  // Facteur de compressibilité d'un mélange à une pression donnée (bar)
+  function compressibility(gas, p) {
+    const [b1, b2, b3] = [0, 1, 2].map(i => gas.FO2 * VIRIAL.O2[i] + gas.FN2 * VIRIAL.N2[i] + gas.FHe * VIRIAL.He[i]);
+    return 1 + p * (b1 + p * (b2 + p * b3));
+  }
+  // Pression réelle d'une quantité de gaz exprimée en bar de gaz parfait
+  function realPressure(gas, idealBar) {
+    let p = idealBar;
+    for (let i = 0; i < 50; i++) p = idealBar * compressibility(gas, p);
+    return p;
+  }
+  // Profondeur équivalente narcotique (O₂ narcotique ou non)
+  function endAt(depthM, gas, o2Narcotic) {
+    const narcotic = o2Narcotic ? gas.FN2 + gas.FO2 : gas.FN2 / 0.79;
+    return Math.max(0, (pAmb(depthM) * narcotic - SURFACE) / barPerM);
+  }
+  // Profondeur équivalente air (nitrox)
+  function eadAt(depthM, gas) { return Math.max(0, (pAmb(depthM) * gas.FN2 / 0.79 - SURFACE) / barPerM); }
+  // Densité du gaz respiré (g/l)
+  function gasDensity(depthM, gas) {
+    return (gas.FO2 * GAS_DENSITY.O2 + gas.FN2 * GAS_DENSITY.N2 + gas.FHe * GAS_DENSITY.He) * pAmb(depthM) / SURFACE;
+  }
   function pinsp(pAmbBar, fInert) { return Math.max(0, (pAmbBar - PH2O) * fInert); }
   function ppo2(depthM, fo2) { return pAmb(depthM) * fo2; }
   
@@ -143,7 +206,7 @@ let profileChart = null;
     const b = (B_N2[i] * pn + B_HE[i] * ph) / sum;
     const pt = pn + ph;
     const pAmbMin = (pt - gf * a) / (gf / b + (1 - gf));
-    return Math.max(0, (pAmbMin - SURFACE) / BAR_PER_M); // ceiling en mètres
+    return Math.max(0, (pAmbMin - SURFACE) / barPerM); // ceiling en mètres
   }
 
   function overallCeiling(state, gf) {
@@ -163,6 +226,74 @@ let profileChart = null;
     return gfLow + (gfHigh - gfLow) * frac;
   }
 
+  // Déplacement à vitesse constante de fromM à toM en `minutes` (équation de Schreiner)
+  function updateLinearDepth(state, fromM, toM, gas, minutes) {
+    if (minutes <= 0) return;
+    const p0 = pAmb(fromM);
+    const rate = (pAmb(toM) - p0) / minutes; // bar/min
+    const schreiner = (p, f, k) => {
+      const pi0 = pinsp(p0, f), r = rate * f;
+      return pi0 + r * (minutes - 1 / k) - (pi0 - p - r / k) * Math.exp(-k * minutes);
+    };
+    for (let i = 0; i < state.pN2.length; i++) {
+      state.pN2[i] = schreiner(state.pN2[i], gas.FN2, LN2 / HT_N2[i]);
+      state.pHe[i] = schreiner(state.pHe[i], gas.FHe, LN2 / HT_HE[i]);
+    }
+  }
+
+  // Limite de non-décompression : temps au fond sans palier, même règle que createStopCheck (src/core/algorithm.ts)
+  // Descente et remontée exactes aux vitesses du plan, premier palier au GF bas, GF interpolé jusqu'à la surface
+  // Accord avec le moteur vérifié par tests/ndl.test.ts
+  function ndlAt(depthM, gas, gfLow, gfHigh, rates, lastStopDepth) {
+    const needsStop = bottomMin => {
+      const st = initTissues();
+      updateLinearDepth(st, 0, depthM, gas, depthM / rates.descent);
+      updateConstantDepth(st, depthM, gas, bottomMin);
+      const firstStop = Math.max(lastStopDepth, Math.ceil(overallCeiling(st, gfLow) / STOP_STEP) * STOP_STEP);
+      let cur = depthM;
+      if (cur > firstStop) {
+        updateLinearDepth(st, cur, firstStop, gas, (cur - firstStop) / rates.ascent);
+        cur = firstStop;
+      }
+      for (let stop = firstStop; stop >= lastStopDepth; stop -= STOP_STEP) {
+        const next = stop - STOP_STEP < lastStopDepth ? 0 : stop - STOP_STEP;
+        if (overallCeiling(st, gfAtDepth(next, gfLow, gfHigh, firstStop)) > next + 1e-6) return true;
+        if (cur > next) {
+          updateLinearDepth(st, cur, next, gas, (cur - next) / (next === 0 ? rates.surface : rates.betweenStops));
+          cur = next;
+        }
+      }
+      return false;
+    };
+    if (needsStop(0)) return 0;
+    let low = 0, high = 1;
+    while (!needsStop(high)) {
+      if (high >= NDL_MAX) return Infinity;
+      low = high;
+      high = Math.min(2 * high, NDL_MAX);
+    }
+    while (high - low > 1e-3) {
+      const mid = (low + high) / 2;
+      if (needsStop(mid)) high = mid; else low = mid;
+    }
+    return low;
+  }
+
+  // Table de NDL (gaz du plan, air, EAN32), « — » au-delà de la pO₂ de fond maximale
+  function ndlTable(depthM, gas, gfLow, gfHigh, rates, lastStopDepth) {
+    const same = (a, b) => Math.abs(a.FO2 - b.FO2) < 1e-6 && Math.abs(a.FHe - b.FHe) < 1e-6;
+    const gases = [{ name: `${Math.round(gas.FO2 * 100)}/${Math.round(gas.FHe * 100)}`, gas },
+      ...NDL_GASES.filter(g => !same(g.gas, gas))];
+    const depths = [...new Set([...NDL_DEPTHS, depthM])].sort((a, b) => a - b);
+    return {
+      gases: gases.map(g => g.name),
+      rows: depths.map(depth => ({
+        depth,
+        ndl: gases.map(g => (ppo2(depth, g.gas.FO2) > NDL_MAX_PO2 + 1e-9 ? undefined : ndlAt(depth, g.gas, gfLow, gfHigh, rates, lastStopDepth)))
+      }))
+    };
+  }
+
   /**
    * Planification multi-stops (3 m) à la Bühlmann+GF
    * - remonte vers le premier palier (GF low)
@@ -174,9 +305,14 @@ let profileChart = null;
     const gfL = gfLowPct / 100, gfH = gfHighPct / 100;
     const lastStopDepth = Math.max(0, (opts?.lastStopDepth ?? 3));
     const minLast = Math.max(0, Math.floor(opts?.minLastStopMinutes ?? 0));
+    const waterType = resolveWaterType(opts);
+    barPerM = barPerMeter(waterType);
+    const rates = resolveRates(opts);
 
     const st = initTissues();
     let decoTime = 0;  // Temps de décompression seulement
+    let travel = 0;    // Déplacement depuis le dernier palier
+    let ascentTime = 0;
     let cur = 0;
     
     // Variables pour consommation et toxicité
@@ -188,14 +324,14 @@ let profileChart = null;
     const segments = [];
     
     // Calcul temps de descente
-    const descentTime = Math.ceil(depthM / DESCENT_RATE);
+    const descentTime = Math.ceil(depthM / rates.descent);
 
-    // Descente (simulation minute par minute pour cohérence tissulaire)
+    // Descente par pas d'une minute, tissus chargés sur le temps de trajet exact
     if (depthM > 0) {
-      let mins = Math.ceil(depthM / DESCENT_RATE);
+      let mins = Math.ceil(depthM / rates.descent);
       for (let i = 0; i < mins; i++) {
-        const next = Math.min(depthM, cur + DESCENT_RATE);
-        updateConstantDepth(st, next, gas, 1);
+        const next = Math.min(depthM, cur + rates.descent);
+        updateLinearDepth(st, cur, next, gas, (next - cur) / rates.descent);
         
         // Calculs toxicité et consommation
         const ppo2Value = ppo2(next, gas.FO2);
@@ -230,10 +366,10 @@ let profileChart = null;
 
     // Remontée vers le premier palier
     if (cur > firstStop) {
-      let mins = Math.ceil((cur - firstStop) / ASCENT_RATE);
+      let mins = Math.ceil((cur - firstStop) / rates.ascent);
       for (let i = 0; i < mins; i++) {
-        const next = Math.max(firstStop, cur - ASCENT_RATE);
-        updateConstantDepth(st, next, gas, 1);
+        const next = Math.max(firstStop, cur - rates.ascent);
+        updateLinearDepth(st, cur, next, gas, (cur - next) / rates.ascent);
         
         // Calculs toxicité et consommation
         const ppo2Value = ppo2(next, gas.FO2);
@@ -242,7 +378,7 @@ let profileChart = null;
         const gasUsed = calculateGasConsumption(next, 1, sac, tankVolume, gas.FO2);
         totalGasConsumption += gasUsed.consumption;
         
-        cur = next; decoTime++;
+        cur = next; decoTime++; travel++; ascentTime++;
       }
       segments.push({ phase: 'remontée', depth: firstStop, duration: mins, avgDepth: (cur + firstStop) / 2 });
     }
@@ -276,17 +412,19 @@ let profileChart = null;
       }
 
       if (held > 0) {
-        stops.push({ depth: stopDepth, time: held, gf: gfAtDepth(stopDepth, gfL, gfH, firstStop) });
+        stops.push({ depth: stopDepth, time: held, gf: gfAtDepth(stopDepth, gfL, gfH, firstStop), travel });
+        travel = 0;
         segments.push({ phase: 'palier', depth: stopDepth, duration: held, avgDepth: stopDepth });
       }
 
       // Remonter de 3 m (ou vers surface si on est au dernier palier)
       const nextDepth = Math.max(0, stopDepth - STOP_STEP);
       if (cur > nextDepth) {
-        let mins = Math.ceil((cur - nextDepth) / ASCENT_RATE);
+        const rate = nextDepth < lastStopDepth ? rates.surface : rates.betweenStops;
+        let mins = Math.ceil((cur - nextDepth) / rate);
         for (let i = 0; i < mins; i++) {
-          const d = Math.max(nextDepth, cur - ASCENT_RATE);
-          updateConstantDepth(st, d, gas, 1);
+          const d = Math.max(nextDepth, cur - rate);
+          updateLinearDepth(st, cur, d, gas, (cur - d) / rate);
           
           // Calculs toxicité et consommation
           const ppo2Value = ppo2(d, gas.FO2);
@@ -295,7 +433,7 @@ let profileChart = null;
           const gasUsed = calculateGasConsumption(d, 1, sac, tankVolume, gas.FO2);
           totalGasConsumption += gasUsed.consumption;
           
-          cur = d; decoTime++;
+          cur = d; decoTime++; travel++; ascentTime++;
         }
       }
       stopDepth = nextDepth;
@@ -306,18 +444,23 @@ let profileChart = null;
 
     // Par sécurité : si on a "sauté" le palier final (cas sans paliers) → fin vers 0
     if (cur > 0) {
-      let mins = Math.ceil(cur / ASCENT_RATE);
+      let mins = Math.ceil(cur / rates.surface);
       for (let i = 0; i < mins; i++) {
-        const d = Math.max(0, cur - ASCENT_RATE);
-        updateConstantDepth(st, d, gas, 1);
-        cur = d; decoTime++;
+        const d = Math.max(0, cur - rates.surface);
+        updateLinearDepth(st, cur, d, gas, (cur - d) / rates.surface);
+        cur = d; decoTime++; travel++; ascentTime++;
       }
     }
 
     // Calculs finaux des temps
     const totalDiveTime = descentTime + bottomMin + decoTime;
-    const tankPressureUsed = Math.round(totalGasConsumption / tankVolume);
     const startPressure = opts?.startPressure || 200;
+    // Pression restante déduite du gaz libre restant (gaz réel : Z > 1 à haute pression)
+    const realGas = opts?.realGas ?? true;
+    const gasAvailable = tankVolume * (realGas ? startPressure / compressibility(gas, startPressure) : startPressure);
+    const litresLeft = gasAvailable - totalGasConsumption;
+    const pressureLeft = realGas && litresLeft > 0 ? realPressure(gas, litresLeft / tankVolume) : litresLeft / tankVolume;
+    const tankPressureUsed = Math.round(startPressure - pressureLeft);
     const gasRemaining = Math.max(0, startPressure - tankPressureUsed);
 
     // Arrondi d'affichage (contrat = minute)
@@ -337,6 +480,21 @@ let profileChart = null;
       startPressure: startPressure,           // Pression initiale
       sac: sac,                               // SAC utilisé
       tankVolume: tankVolume,                 // Volume bouteille
+      gasAvailable: Math.round(gasAvailable), // Gaz libre au départ (litres à 1 bar)
+      realGas: realGas,                       // Conversion litres ↔ bar en gaz réel
+      waterType: waterType,                   // Type d'eau
+      rates: rates,                           // Vitesses par phase (m/min)
+      lastStopDepth: lastStopDepth,           // Profondeur du dernier palier (m)
+      ascentTime: ascentTime,                 // Temps de remontée (hors paliers)
+      surfaceTravel: travel,                  // Dernier palier → surface
+      maxPO2: ppo2(depthM, gas.FO2),          // pO₂ au fond (bar)
+      narcosis: {                             // END, EAD et densité au fond
+        end: endAt(depthM, gas, opts?.o2Narcotic ?? true),
+        ead: gas.FHe === 0 ? eadAt(depthM, gas) : undefined,
+        density: gasDensity(depthM, gas),
+        o2Narcotic: opts?.o2Narcotic ?? true,
+        maxEnd: opts?.maxEnd > 0 ? opts.maxEnd : MAX_END
+      },
       segments: segments                      // Détail des segments
     };
   }
@@ -360,11 +518,11 @@ let profileChart = null;
     runtimePoints.push({ x: t, y: 0, runtime: totalRuntime });
 
     // Descente
-    let down = Math.ceil(depthM / DESCENT_RATE);
+    let down = Math.ceil(depthM / plan.rates.descent);
     annotationData.push({ phase: 'descente', start: t, end: t + down });
     for (let i = 0; i < down; i++) {
-      const next = Math.min(depthM, cur + DESCENT_RATE);
-      updateConstantDepth(st, next, gas, 1);
+      const next = Math.min(depthM, cur + plan.rates.descent);
+      updateLinearDepth(st, cur, next, gas, (next - cur) / plan.rates.descent);
       cur = next; t++;
       totalRuntime++;
       points.push({ x: t, y: cur });
@@ -406,14 +564,15 @@ let profileChart = null;
       });
     }
 
-    // Remontée vers le premier palier
-    if (plan.stops.length > 0 && cur > plan.stops[0].depth) {
-      let target = plan.stops[0].depth;
-      let mins = Math.ceil((cur - target) / ASCENT_RATE);
+    // Remontée minute par minute vers `target` à la vitesse `rate`
+    const lastStopDepth = Math.max(0, (opts?.lastStopDepth ?? 3));
+    const ascend = (target, rate) => {
+      if (cur <= target) return;
+      let mins = Math.ceil((cur - target) / rate);
       annotationData.push({ phase: 'remontée', start: t, end: t + mins });
       for (let i = 0; i < mins; i++) {
-        const next = Math.max(cur - ASCENT_RATE, target);
-        updateConstantDepth(st, next, gas, 1);
+        const next = Math.max(cur - rate, target);
+        updateLinearDepth(st, cur, next, gas, (cur - next) / rate);
         cur = next; t++;
         totalRuntime++;
         points.push({ x: t, y: cur });
@@ -423,6 +582,12 @@ let profileChart = null;
         const c = overallCeiling(st, gf);
         ceilPts.push({ x: t, y: c });
       }
+    };
+
+    // Remontée vers le premier palier
+    if (plan.stops.length > 0) {
+      ascend(firstStop, plan.rates.ascent);
+      ascend(plan.stops[0].depth, plan.rates.betweenStops);
     }
 
     // Paliers
@@ -451,41 +616,14 @@ let profileChart = null;
       // Remontée vers le prochain palier ou la surface
       const stopIdx = plan.stops.indexOf(stop);
       const nextStop = stopIdx < plan.stops.length - 1 ? plan.stops[stopIdx + 1].depth : 0;
-      
-      if (cur > nextStop) {
-        let mins = Math.ceil((cur - nextStop) / ASCENT_RATE);
-        annotationData.push({ phase: 'remontée', start: t, end: t + mins });
-        for (let i = 0; i < mins; i++) {
-          const next = Math.max(cur - ASCENT_RATE, nextStop);
-          updateConstantDepth(st, next, gas, 1);
-          cur = next; t++;
-          totalRuntime++;
-          points.push({ x: t, y: cur });
-          runtimePoints.push({ x: t, y: cur, runtime: totalRuntime });
-          
-          const gf = gfAtDepth(cur, gfL/100, gfH/100, firstStop);
-          const c = overallCeiling(st, gf);
-          ceilPts.push({ x: t, y: c });
-        }
-      }
+      ascend(Math.max(nextStop, lastStopDepth), plan.rates.betweenStops);
+      ascend(nextStop, plan.rates.surface);
     }
 
     // Si pas de paliers, remontée directe
-    if (plan.stops.length === 0 && cur > 0) {
-      let mins = Math.ceil(cur / ASCENT_RATE);
-      annotationData.push({ phase: 'remontée', start: t, end: t + mins });
-      for (let i = 0; i < mins; i++) {
-        const next = Math.max(cur - ASCENT_RATE, 0);
-        updateConstantDepth(st, next, gas, 1);
-        cur = next; t++;
-        totalRuntime++;
-        points.push({ x: t, y: cur });
-        runtimePoints.push({ x: t, y: cur, runtime: totalRuntime });
-        
-        const gf = gfAtDepth(cur, gfL/100, gfH/100, firstStop);
-        const c = overallCeiling(st, gf);
-        ceilPts.push({ x: t, y: c });
-      }
+    if (plan.stops.length === 0) {
+      ascend(firstStop, plan.rates.ascent);
+      ascend(0, plan.rates.surface);
     }
     
     // Zone de gradient factor high
@@ -808,6 +946,12 @@ let profileChart = null;
     return all;
   }
 
+  // ----- Moteur hors navigateur (Node) : tests de cohérence avec src/core -----
+  if (typeof module === 'object' && module.exports) {
+    module.exports = { planDive, ndlAt, resolveRates };
+    return;
+  }
+
   // ----- UI -----
   const $ = id => document.getElementById(id);
 
@@ -835,6 +979,16 @@ let profileChart = null;
       return { valid: false, message: "GF bas doit être ≤ GF haut" };
     }
 
+    // Validation vitesses
+    if (['descentRate', 'ascentRate', 'stopRate', 'surfaceRate'].some(id => !(+$(id).value > 0))) {
+      return { valid: false, message: "Les vitesses de déplacement doivent être positives" };
+    }
+
+    // Validation seuil d'END
+    if (!(+$('maxEnd').value > 0)) {
+      return { valid: false, message: "L'END maximale doit être positive" };
+    }
+
     return { valid: true };
   }
 
@@ -853,7 +1007,7 @@ let profileChart = null;
     }
   }
   
-  function render(plan, isValid, depth, gfL, gfH) {
+  function render(plan, isValid, depth, gfL, gfH, gas) {
     // Mettre à jour le runtime display
     updateRuntimeDisplay(plan.totalDiveTime);
     
@@ -899,10 +1053,63 @@ let profileChart = null;
             <div style="font-size: 0.9rem; color: #666; text-align: center;">
               <strong>Consommation de gaz (SAC ${plan.sac}l/min):</strong><br>
               ${plan.tankPressureUsed}/${plan.startPressure}bar sur ${plan.tankVolume}l
-              (${Math.round(plan.gasConsumption)}l à 1 bar)
+              (${Math.round(plan.gasConsumption)}l sur ${plan.gasAvailable}l à 1 bar, ${plan.realGas ? 'gaz réel' : 'gaz parfait'})
+            </div>
+          </div>
+          
+          <!-- Section oxygène et narcose -->
+          <div style="margin-top: 25px; padding: 20px; background: rgba(0, 102, 204, 0.05); border-radius: 12px; border-left: 4px solid var(--primary);">
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(110px, 1fr)); gap: 15px; margin-bottom: 15px;">
+              <div style="text-align: center;">
+                <div style="font-size: 1.4rem; font-weight: 700; color: ${plan.maxPO2 > 1.4 ? 'var(--danger)' : 'var(--primary)'};">${plan.maxPO2.toFixed(2)}bar</div>
+                <div style="font-size: 0.85rem; color: #666;">pO₂ fond</div>
+              </div>
+              <div style="text-align: center;">
+                <div style="font-size: 1.4rem; font-weight: 700; color: var(--primary);">${plan.cns}%</div>
+                <div style="font-size: 0.85rem; color: #666;">CNS</div>
+              </div>
+              <div style="text-align: center;">
+                <div style="font-size: 1.4rem; font-weight: 700; color: var(--primary);">${plan.otu}</div>
+                <div style="font-size: 0.85rem; color: #666;">OTU</div>
+              </div>
+              <div style="text-align: center;">
+                <div style="font-size: 1.4rem; font-weight: 700; color: ${plan.narcosis.end > plan.narcosis.maxEnd ? 'var(--danger)' : 'var(--success)'};">${Math.round(plan.narcosis.end)}m</div>
+                <div style="font-size: 0.85rem; color: #666;">END${plan.narcosis.o2Narcotic ? '' : ' (O₂ non narcotique)'}</div>
+              </div>
+              ${plan.narcosis.ead !== undefined ? `
+              <div style="text-align: center;">
+                <div style="font-size: 1.4rem; font-weight: 700; color: var(--primary);">${Math.round(plan.narcosis.ead)}m</div>
+                <div style="font-size: 0.85rem; color: #666;">EAD</div>
+              </div>` : ''}
+              <div style="text-align: center;">
+                <div style="font-size: 1.4rem; font-weight: 700; color: ${plan.narcosis.density > DENSITY_LIMIT ? 'var(--danger)' : plan.narcosis.density > DENSITY_WARNING ? 'var(--warning)' : 'var(--success)'};">${plan.narcosis.density.toFixed(1)}g/l</div>
+                <div style="font-size: 0.85rem; color: #666;">Densité du gaz</div>
+              </div>
+            </div>
+            <div style="font-size: 0.9rem; color: #666; text-align: center;">
+              <strong>Seuils :</strong> END ${plan.narcosis.maxEnd}m, densité ${DENSITY_WARNING} g/l recommandée (${DENSITY_LIMIT} g/l maximum)
             </div>
           </div>
           
+          <!-- Section limites de non-décompression -->
+          ${(() => {
+            const table = ndlTable(depth, gas, gfL / 100, gfH / 100, plan.rates, plan.lastStopDepth);
+            const cell = value => value === undefined ? '—' : value === Infinity ? `>${NDL_MAX}` : Math.floor(value);
+            return `
+          <div style="margin-top: 25px; padding: 20px; background: rgba(0, 200, 150, 0.05); border-radius: 12px; border-left: 4px solid var(--success);">
+            <div style="font-size: 0.9rem; color: #666; text-align: center; margin-bottom: 10px;">
+              <strong>Limites de non-décompression (GF ${gfL}/${gfH}, min) :</strong> ${cell(table.rows.find(r => r.depth === depth).ndl[0])}min à ${depth}m
+            </div>
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem; text-align: center;">
+              <tr>${['Prof.', ...table.gases].map(h => `<th style="padding: 4px; border-bottom: 1px solid #ccc;">${h}</th>`).join('')}</tr>
+              ${table.rows.map(row => `
+              <tr style="${row.depth === depth ? 'font-weight: 700; color: var(--primary);' : ''}">
+                <td style="padding: 3px;">${row.depth}m</td>${row.ndl.map(v => `<td style="padding: 3px;">${cell(v)}</td>`).join('')}
+              </tr>`).join('')}
+            </table>
+          </div>`;
+          })()}
+          
           ${plan.stops.length === 0 ? 
             '<div class="no-stops"><i class="fas fa-check-circle"></i>Aucun palier obligatoire</div>' : 
             `<div class="info-message">
@@ -961,7 +1168,7 @@ let profileChart = null;
               let currentDepth = depth;
               plan.stops.forEach(stop => {
                 // Temps de remontée vers le palier
-                const ascentTime = Math.ceil((currentDepth - stop.depth) / ASCENT_RATE);
+                const ascentTime = stop.travel;
                 if (ascentTime > 0) {
                   runtime += ascentTime;
                   rows.push(`
@@ -988,8 +1195,8 @@ let profileChart = null;
               });
               
               // Surface
-              if (plan.stops.length > 0) {
-                const finalAscentTime = Math.ceil(currentDepth / ASCENT_RATE);
+              if (plan.surfaceTravel > 0) {
+                const finalAscentTime = plan.surfaceTravel;
                 runtime += finalAscentTime;
                 rows.push(`
                   <div style="display: grid; grid-template-columns: 100px 80px 80px 80px; gap: 20px; margin-bottom: 6px; font-size: 0.9rem; opacity: 0.8;">
@@ -1011,6 +1218,13 @@ let profileChart = null;
               <div style="margin-bottom: 15px;">
                 <span style="color: #ffffff; font-weight: 600;">Pression ATM :</span> 1 013mbar (0m)
               </div>
+              <div style="margin-bottom: 15px;">
+                <span style="color: #ffffff; font-weight: 600;">Eau :</span> ${WATER_LABELS[plan.waterType]} (${Math.round(barPerM * 1000)}mbar/m)
+              </div>
+              <div style="margin-bottom: 15px;">
+                <span style="color: #ffffff; font-weight: 600;">Vitesses :</span> descente ${plan.rates.descent}m/min, remontée ${plan.rates.ascent}m/min, entre paliers ${plan.rates.betweenStops}m/min, surface ${plan.rates.surface}m/min
+                (déplacements : ${plan.descentTime}min en descente, ${plan.ascentTime}min en remontée)
+              </div>
               <div style="margin-bottom: 8px;">
                 <span style="color: #ffffff; font-weight: 600;">Consommation de gaz (basé sur un SAC de ${plan.sac}l/min):</span>
               </div>
@@ -1063,7 +1277,7 @@ let profileChart = null;
     
     // Paliers
     plan.stops.forEach(stop => {
-      currentTime += Math.ceil((maxDepth - stop.depth) / ASCENT_RATE);
+      currentTime += stop.travel;
       profileData.push({ time: currentTime, depth: stop.depth });
       currentTime += stop.time;
       profileData.push({ time: currentTime, depth: stop.depth });
@@ -1071,7 +1285,7 @@ let profileChart = null;
     });
     
     // Remontée finale à la surface
-    currentTime += Math.ceil(maxDepth / ASCENT_RATE);
+    currentTime += plan.surfaceTravel;
     profileData.push({ time: currentTime, depth: 0 });
     
     // Échelles
@@ -1205,7 +1419,15 @@ let profileChart = null;
         minLastStopMinutes: +$('minLast').value | 0,
         sac: +$('sac').value,
         tankVolume: +$('tankVolume').value,
-        startPressure: +$('startPressure').value
+        startPressure: +$('startPressure').value,
+        realGas: $('realGas').checked,
+        waterType: $('waterType').value,
+        descentRate: +$('descentRate').value,
+        ascentRate: +$('ascentRate').value,
+        stopRate: +$('stopRate').value,
+        surfaceRate: +$('surfaceRate').value,
+        o2Narcotic: $('o2Narcotic').checked,
+        maxEnd: +$('maxEnd').value
       };
 
     // Validation des entrées
@@ -1221,10 +1443,11 @@ let profileChart = null;
       return;
     }
 
-      const plan = planDive(depth, tbt, { FO2, FHe, FN2 }, gfL, gfH, opts);
+      // Auto-validation d'abord : planDive fixe la pression par mètre utilisée ensuite par le rendu
       const isValid = runSilentValidation();
+      const plan = planDive(depth, tbt, { FO2, FHe, FN2 }, gfL, gfH, opts);
       
-      render(plan, isValid, depth, gfL, gfH);
+      render(plan, isValid, depth, gfL, gfH, { FO2, FHe, FN2 });
       updateProfileChartWithCeiling(depth, tbt, { FO2, FHe, FN2 }, gfL, gfH, opts, plan);
       
       // Restaurer le bouton
@@ -1,5 +1,31 @@
-import { GasMix, DecompressionPlan } from '../core/models';
-import { planDecompression } from '../core/algorithm';
+import { GasMix, DecompressionPlan, DiveSegment, TissueState, WaterType, GasConsumptionSettings, NarcosisSettings,
+         BuhlmannVariant, BuhlmannCoefficients, DecompressionModelFactory, RateSchedule, StopRounding,
+         OxygenExposure } from '../core/models';
+import { planDecompressionProfile } from '../core/algorithm';
+
+type PlanDiveOptions = {
+  lastStopDepth?:3|6; 
+  minLastStopMinutes?:number;
+  timeStepMinutes?: number;
+  calculateO2Toxicity?: boolean;
+  initialTissues?: TissueState;
+  previousOxygenExposure?: OxygenExposure;
+  altitude?: number;
+  surfacePressure?: number;
+  timeAtAltitudeMin?: number;
+  waterType?: WaterType;
+  waterDensity?: number;
+  gasConsumption?: GasConsumptionSettings;
+  narcosis?: NarcosisSettings;
+  coefficients?: BuhlmannVariant | BuhlmannCoefficients;
+  compartment1b?: boolean;
+  decoModel?: 'buhlmann' | 'vpmb' | DecompressionModelFactory;
+  vpmConservatism?: number;
+  trace?: boolean;
+  rates?: RateSchedule;
+  stopInterval?: number;
+  stopRounding?: StopRounding;
+};
 
 export function normaliseGas(g: GasMix): GasMix {
   const FO2 = Number(g.FO2), FHe = Number(g.FHe); const FN2 = 1 - FO2 - FHe;
@@ -11,14 +37,18 @@ export function normaliseGradientFactors(gfLowPct:number,gfHighPct:number){ retu
 export function planDive(
   depthM:number, bottomMin:number, gasIn:GasMix,
   gfLowPct:number, gfHighPct:number,
-  opts?:{ 
-    lastStopDepth?:3|6; 
-    minLastStopMinutes?:number;
-    timeStepMinutes?: number;
-    calculateO2Toxicity?: boolean;
-  }
+  opts?:PlanDiveOptions
+):DecompressionPlan{
+  return planMultiLevelDive([{ depth: depthM, time: bottomMin }], gasIn, gfLowPct, gfHighPct, opts);
+}
+
+export function planMultiLevelDive(
+  segments:DiveSegment[], gasIn:GasMix,
+  gfLowPct:number, gfHighPct:number,
+  opts?:PlanDiveOptions
 ):DecompressionPlan{
   const gas = normaliseGas(gasIn);
   const { gfLow, gfHigh } = normaliseGradientFactors(gfLowPct,gfHighPct);
-  return planDecompression(depthM, bottomMin, gas, gfLow, gfHigh, opts ?? {});
+  const segs = segments.map(s => s.gas ? { ...s, gas: normaliseGas(s.gas) } : s);
+  return planDecompressionProfile(segs, gas, gfLow, gfHigh, opts ?? {});
 }
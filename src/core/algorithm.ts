@@ -1,9 +1,19 @@
-import { A_HE, A_N2, B_HE, B_N2, HALF_TIMES_N2, HALF_TIMES_HE, 
-         SURFACE_PRESSURE, PRESSURE_PER_METER } from './constants';
-import { GasMix, TissueState, DecompressionStop, DecompressionPlan, MultiGasPlan } from './models';
-import { depthToPressure, computePinsp, initTissues, updateConstantDepth } from './utils';
-import { calculateOxygenToxicity } from './oxygen-toxicity';
-import { getBestGasForDepth, validateMultiGasPlan } from './multi-gas';
+import { STRESSED_SAC, DEFAULT_SAC } from './constants';
+import { GasMix, TissueState, DecompressionStop, DecompressionPlan, MultiGasPlan, DiveSegment,
+         DiveEnvironment, WaterType, RebreatherSettings, ProfileSegment, BailoutPlan, GasConsumptionSettings,
+         ContingencyPlan, LostGasPlans, RuntimeTableEntry, ScheduleCell, BuhlmannCoefficients, BuhlmannVariant,
+         DecompressionModel, DecompressionModelContext, DecompressionModelFactory, TraceStep,
+         RateSchedule, TravelRate, StopRounding, GasSwitchEvent, NarcosisSettings, OxygenExposure } from './models';
+import { initTissues, cloneTissues, updateConstantDepth, updateLinearDepth, depthToPressure, pressureToDepth, resolveEnvironment,
+         altitudeArrivalTissues, gasLabel } from './utils';
+import { resolveCoefficients } from './coefficients';
+import { createVpmbModel } from './vpm-b';
+import { calculateOxygenToxicity, O2Segment } from './oxygen-toxicity';
+import { getSwitchGasForDepth, validateMultiGasPlan } from './multi-gas';
+import { calculateLoopGas, activeSetpoint, validateRebreatherSettings } from './rebreather';
+import { calculateProfileGasUsage, calculateSegmentGasUsage, calculateGasConsumption, sameGas } from './gas-consumption';
+import { checkCounterdiffusion } from './counterdiffusion';
+import { calculateNarcosis } from './narcosis';
 
 /**
  * Constantes de décompression
@@ -12,216 +22,685 @@ import { getBestGasForDepth, validateMultiGasPlan } from './multi-gas';
 const STOP_STEP = 3;     // Paliers multiples de 3 m (standard industrie)
 const ASCENT_RATE = 9;   // m/min (remontée - recommandation PADI/SSI)
 const DESCENT_RATE = 19; // m/min (descente - valeur conservatrice)
+const MAX_ASCENT_PASSES = 10; // Itérations maximales de la remontée (VPM-B)
+const STOP_REFINE_ITERATIONS = 30; // Dichotomie de la sortie de palier dans le dernier pas
+const ROUNDING_EPSILON = 1e-9;     // Tolérance des arrondis de palier (min)
 
 /**
  * Calcule le plafond pour un compartiment tissulaire donné
  * Utilise la formule d'Erik Baker pour les Gradient Factors :
  * pAmbMin = (Ptiss - GF * a) / (GF / b + 1 - GF)
  * 
+ * Le plafond est exprimé en profondeur par rapport à la pression de surface réelle
+ * 
  * Référence: Erik Baker - "Clearing Up The Confusion About Deep Stops"
  */
-function ceilingForComp(pN2: number, pHe: number, gf: number, i: number) {
+function ceilingForComp(
+  pN2: number, pHe: number, gf: number, i: number, env: DiveEnvironment, coefficients: BuhlmannCoefficients
+) {
   const pn = Math.max(0, pN2), ph = Math.max(0, pHe);
   const sum = pn + ph || 1e-9;
-  const a = (A_N2[i] * pn + A_HE[i] * ph) / sum;
-  const b = (B_N2[i] * pn + B_HE[i] * ph) / sum;
+  const a = (coefficients.aN2[i] * pn + coefficients.aHe[i] * ph) / sum;
+  const b = (coefficients.bN2[i] * pn + coefficients.bHe[i] * ph) / sum;
   const pt = pn + ph;
   const pAmbMin = (pt - gf * a) / (gf / b + (1 - gf));
-  return Math.max(0, (pAmbMin - SURFACE_PRESSURE) / PRESSURE_PER_METER); // ceiling en mètres
+  return Math.max(0, pressureToDepth(pAmbMin, env)); // ceiling en mètres
 }
 
-function overallCeiling(state: TissueState, gf: number) {
+function overallCeiling(state: TissueState, gf: number, env: DiveEnvironment, coefficients: BuhlmannCoefficients) {
   let worst = 0;
   for (let i = 0; i < state.pN2.length; i++) {
-    const c = ceilingForComp(state.pN2[i], state.pHe[i], gf, i);
+    const c = ceilingForComp(state.pN2[i], state.pHe[i], gf, i, env, coefficients);
     if (c > worst) worst = c;
   }
   return worst;
 }
 
+// Profondeur arrondie au palier supérieur de la grille (multiples de l'intervalle)
+function stopAbove(depthM: number, interval: number) {
+  return Math.ceil(depthM / interval - ROUNDING_EPSILON) * interval;
+}
+
 // GF interpolé du premier palier → surface
-function gfAtDepth(depthM: number, gfLow: number, gfHigh: number, firstStopDepth: number) {
-  const fs = Math.max(0, Math.ceil(firstStopDepth / STOP_STEP) * STOP_STEP);
+function gfAtDepth(depthM: number, gfLow: number, gfHigh: number, firstStopDepth: number, interval = STOP_STEP) {
+  const fs = Math.max(0, stopAbove(firstStopDepth, interval));
   if (fs <= 0) return gfHigh;
   const frac = Math.max(0, Math.min(1, 1 - depthM / fs));
   return gfLow + (gfHigh - gfLow) * frac;
 }
 
 /**
- * Planification multi-stops (3 m) à la Bühlmann+GF
- * - remonte vers le premier palier (GF low)
- * - tient chaque palier jusqu'à autorisation d'aller 3 m plus haut
- * - dernier palier à 3 ou 6 m selon options
+ * Modèle Bühlmann + Gradient Factors
+ * - premier palier au plafond calculé avec GF bas
+ * - palier quitté quand le plafond au GF du palier suivant le permet
  */
-export function planDecompression(
-  depthM: number, bottomMin: number, gas: GasMix,
-  gfLow: number, gfHigh: number,
-  opts?: { 
-    lastStopDepth?: number; 
-    minLastStopMinutes?: number;
-    timeStepMinutes?: number;  // Pas de temps en minutes (0.5 = 30s, 0.167 = 10s)
-    calculateO2Toxicity?: boolean;  // Activer le calcul de toxicité O₂
+export function createBuhlmannModel(context: DecompressionModelContext): DecompressionModel {
+  const { gfLow, gfHigh, env, coefficients } = context;
+  const interval = context.stopInterval ?? STOP_STEP;
+  return {
+    name: 'buhlmann',
+    update: (state, depthM, gas, minutes) => updateConstantDepth(state, depthM, gas, minutes, env, coefficients),
+    updateTravel: (state, fromM, toM, gas, minutes) => updateLinearDepth(state, fromM, toM, gas, minutes, env, coefficients),
+    ceiling: state => overallCeiling(state, gfLow, env, coefficients),
+    canAscend: (state, nextDepth, firstStopDepth) =>
+      overallCeiling(state, gfAtDepth(nextDepth, gfLow, gfHigh, firstStopDepth, interval), env, coefficients) <= nextDepth + 1e-6,
+    stopGf: (depthM, firstStopDepth) => gfAtDepth(depthM, gfLow, gfHigh, firstStopDepth, interval),
+    compartmentCeilings: (state, depthM, firstStopDepth) => {
+      const gf = firstStopDepth === undefined ? gfLow : gfAtDepth(depthM, gfLow, gfHigh, firstStopDepth, interval);
+      return { gf, ceilings: state.pN2.map((pN2, i) => ceilingForComp(pN2, state.pHe[i], gf, i, env, coefficients)) };
+    }
+  };
+}
+
+/**
+ * Sursaturation maximale rapportée à la M-value brute (GF = 100 %) à une pression ambiante
+ * GF99 à la pression ambiante, SurfGF à la pression de surface
+ * @returns Pourcentage (0 si aucun compartiment n'est sursaturé)
+ */
+export function supersaturationGf(state: TissueState, pAmb: number, coefficients: BuhlmannCoefficients): number {
+  let worst = 0;
+  for (let i = 0; i < state.pN2.length; i++) {
+    const pn = Math.max(0, state.pN2[i]), ph = Math.max(0, state.pHe[i]);
+    const sum = pn + ph || 1e-9;
+    const a = (coefficients.aN2[i] * pn + coefficients.aHe[i] * ph) / sum;
+    const b = (coefficients.bN2[i] * pn + coefficients.bHe[i] * ph) / sum;
+    const mValue = a + pAmb / b;
+    worst = Math.max(worst, (pn + ph - pAmb) / (mValue - pAmb));
   }
-): DecompressionPlan {
-  const lastStopDepth = Math.max(0, (opts?.lastStopDepth ?? 3));
-  const minLast = Math.max(0, Math.floor(opts?.minLastStopMinutes ?? 0));
-  const timeStep = opts?.timeStepMinutes ?? 0.5;  // Par défaut 30 secondes pour meilleure précision
-  const calculateO2 = opts?.calculateO2Toxicity ?? false;
+  return worst * 100;
+}
 
-  const st = initTissues();
-  let descentTime = 0;
-  let decoTime = 0;  // TTS réel (décompression seulement)
-  let cur = 0;
-  
-  // Segments pour calcul toxicité O₂
-  const o2Segments: Array<{ depthM: number; timeMinutes: number; fO2: number }> = [];
-
-  // Descente (simulation avec pas de temps variable pour cohérence tissulaire)
-  if (depthM > 0) {
-    let totalTime = depthM / DESCENT_RATE;  // Temps total de descente
-    let steps = Math.ceil(totalTime / timeStep);
-    descentTime = steps * timeStep;
-    
-    for (let i = 0; i < steps; i++) {
-      const timeRemaining = totalTime - i * timeStep;
-      const actualStep = Math.min(timeStep, timeRemaining);
-      const depthStep = DESCENT_RATE * actualStep;
-      const next = Math.min(depthM, cur + depthStep);
-      updateConstantDepth(st, next, gas, actualStep);
-      cur = next;
+/**
+ * Découpage d'un déplacement : pas de temps maximal
+ * (mode trace, boucle CCR dont le mélange varie avec la profondeur)
+ */
+type TravelSplit = { maxStep?: number };
+
+/**
+ * Vitesse applicable à une profondeur (tranche la plus profonde commençant au-dessus)
+ */
+function rateAt(rate: TravelRate, depthM: number): number {
+  if (typeof rate === 'number') return rate;
+  let band = rate[0];
+  for (const b of rate) {
+    if ((b.fromDepth <= depthM && b.fromDepth > band.fromDepth) || (band.fromDepth > depthM && b.fromDepth < band.fromDepth)) {
+      band = b;
     }
   }
+  return band.rate;
+}
 
-  // Fond
-  if (bottomMin > 0) {
-    updateConstantDepth(st, depthM, gas, bottomMin);
-    cur = depthM;
-    
-    // Enregistrer segment pour toxicité O₂
-    if (calculateO2) {
-      o2Segments.push({ depthM, timeMinutes: bottomMin, fO2: gas.FO2 });
+/**
+ * Vitesses par phase, défauts enchaînés (entre paliers ← remontée, surface ← entre paliers)
+ */
+function resolveRates(schedule: RateSchedule = {}) {
+  const rates = {
+    descent: schedule.descent ?? DESCENT_RATE,
+    ascent: schedule.ascent ?? ASCENT_RATE,
+    betweenStops: schedule.betweenStops ?? schedule.ascent ?? ASCENT_RATE,
+    surface: schedule.surface ?? schedule.betweenStops ?? schedule.ascent ?? ASCENT_RATE
+  };
+  for (const [phase, rate] of Object.entries(rates)) {
+    const bands = typeof rate === 'number' ? [{ fromDepth: 0, rate }] : rate;
+    if (bands.length === 0 || bands.some(b => !(b.rate > 0) || !(b.fromDepth >= 0))) {
+      throw new Error(`Vitesse de déplacement invalide (${phase}): ${JSON.stringify(rate)}`);
     }
   }
+  return rates;
+}
 
-  // Premier plafond avec GF bas
-  const firstCeil = overallCeiling(st, gfLow);
-  let firstStop = Math.max(lastStopDepth, Math.ceil(firstCeil / STOP_STEP) * STOP_STEP);
-
-  // Remontée vers le premier palier
-  if (cur > firstStop) {
-    let totalTime = (cur - firstStop) / ASCENT_RATE;  // Temps total de remontée
-    let steps = Math.ceil(totalTime / timeStep);
-    let actualTime = steps * timeStep;
-    decoTime += actualTime;  // Ajouter au temps de déco
-    
-    for (let i = 0; i < steps; i++) {
-      const timeRemaining = totalTime - i * timeStep;
-      const actualStep = Math.min(timeStep, timeRemaining);
-      const depthStep = ASCENT_RATE * actualStep;
-      const next = Math.max(firstStop, cur - depthStep);
-      updateConstantDepth(st, next, gas, actualStep);
+/**
+ * Durée de palier arrondie (minute ou seconde supérieure)
+ */
+function roundStopTime(minutes: number, rounding: StopRounding): number {
+  const unit = rounding === 'exact' ? 1 / 60 : 1;
+  return Math.ceil(minutes / unit - ROUNDING_EPSILON) * unit;
+}
+
+/**
+ * Simule un déplacement vertical (descente ou remontée)
+ * Charge tissulaire exacte (équation de Schreiner) : un seul tronçon par tranche de vitesse
+ * sauf découpage demandé
+ * Le gaz de chaque tronçon est fourni par `gasAt` (boucle CCR selon la profondeur)
+ * `onStep` reçoit chaque tronçon simulé (enregistrement du profil)
+ * @returns Durée exacte du déplacement
+ */
+function travel(
+  st: TissueState, from: number, to: number, rate: TravelRate,
+  gasAt: (from: number, to: number) => GasMix, model: DecompressionModel,
+  onStep?: (from: number, to: number, minutes: number) => void, split: TravelSplit = {}
+): number {
+  if (from === to) return 0;
+  const down = to > from;
+  const bandDepths = typeof rate === 'number' ? [] : rate.map(b => b.fromDepth);
+  const targets = bandDepths
+    .filter(d => (down ? d > from && d < to : d < from && d > to))
+    .sort((a, b) => (down ? a - b : b - a));
+  targets.push(to);
+  let cur = from;
+  let total = 0;
+
+  for (const target of targets) {
+    const speed = rateAt(rate, (cur + target) / 2);
+    const maxDepthStep = speed * (split.maxStep ?? Infinity);
+    while (cur !== target) {
+      const next = down ? Math.min(target, cur + maxDepthStep) : Math.max(target, cur - maxDepthStep);
+      const minutes = Math.abs(next - cur) / speed;
+      model.updateTravel(st, cur, next, gasAt(cur, next), minutes);
+      onStep?.(cur, next, minutes);
+      total += minutes;
       cur = next;
     }
   }
+  return total;
+}
+
+export type PlanOptions = {
+  lastStopDepth?: number;
+  minLastStopMinutes?: number;
+  timeStepMinutes?: number;     // Pas de recherche de sortie de palier et découpage trace/CCR (min), sans effet sur le TTS
+  calculateO2Toxicity?: boolean; // Activer le calcul de toxicité O₂
+  maxPO2?: number;               // pO₂ maximale autorisée pour les gaz de déco (défaut: 1.6)
+  bottomPO2?: number;            // pO₂ maximale du gaz de fond, avertissement au-delà (défaut: 1.4)
+  gasSwitchStopMinutes?: number; // Palier minimal à chaque changement de gaz (min), défaut: 0
+  initialTissues?: TissueState;  // État tissulaire de départ (plongée successive), défaut: saturation surface
+  previousOxygenExposure?: OxygenExposure; // Exposition O₂ au début de la plongée (série, carnet), active le calcul O₂
+  altitude?: number;             // Altitude du site de plongée (m), défaut: niveau de la mer
+  surfacePressure?: number;      // Pression de surface (bar), prime sur `altitude`
+  timeAtAltitudeMin?: number;    // Temps passé en altitude avant la plongée (min), défaut: plongeur acclimaté
+  waterType?: WaterType;         // Type d'eau (douce, salée, EN13319), défaut: 0.1 bar/m
+  waterDensity?: number;         // Masse volumique de l'eau (kg/m³), prime sur `waterType`
+  gasConsumption?: GasConsumptionSettings; // Bilan de gaz (SAC, bouteilles, réserve)
+  narcosis?: NarcosisSettings;   // Analyse d'END, d'EAD et de densité par phase
+  coefficients?: BuhlmannVariant | BuhlmannCoefficients; // Variante ZH-L16 ou jeu personnalisé
+  compartment1b?: boolean;       // Compartiment 1b à la place du 1 (variantes publiées), défaut: true
+  decoModel?: 'buhlmann' | 'vpmb' | DecompressionModelFactory; // Modèle de décompression, défaut: Bühlmann + GF
+  vpmConservatism?: number;      // Conservatisme VPM-B (0 à 4), défaut: 0
+  trace?: boolean;               // Retourner l'état à chaque pas simulé (temps au niveau découpé au pas de temps)
+  rates?: RateSchedule;          // Vitesses de descente et de remontée par phase et tranche de profondeur
+  stopInterval?: number;         // Intervalle entre paliers (m) : 1, 3 ou TEN_FEET, défaut: 3
+  stopRounding?: StopRounding;   // Arrondi des paliers, défaut: minute supérieure
+};
 
-  const stops: DecompressionStop[] = [];
-  let stopDepth = firstStop;
-
-  // Boucle de paliers successifs  (…12→9→6→3→surface)
-  while (stopDepth >= lastStopDepth) {
-    let held = 0;
-    while (true) {
-      const nextDepth = Math.max(0, stopDepth - STOP_STEP);
-      const gfNext = gfAtDepth(nextDepth, gfLow, gfHigh, firstStop);
-      const ceilNext = overallCeiling(st, gfNext);
-
-      const canLeave = ceilNext <= nextDepth + 1e-6 && (stopDepth !== lastStopDepth || held >= minLast);
-      if (canLeave) break;
-
-      updateConstantDepth(st, stopDepth, gas, timeStep);
-      held += timeStep; 
-      decoTime += timeStep;  // Ajouter au temps de déco
-      // garde-fou (convertir en pas de temps)
-      if (held > 360) break;
+/**
+ * État tissulaire au début de la plongée
+ * - état fourni (plongée successive)
+ * - plongeur arrivé récemment en altitude (saturé au niveau de la mer puis désaturé)
+ * - sinon saturé à la pression de surface locale (acclimaté)
+ */
+export function planStartTissues(
+  opts: PlanOptions, env: DiveEnvironment = resolveEnvironment(opts),
+  coefficients: BuhlmannCoefficients = resolveCoefficients(opts)
+): TissueState {
+  if (opts.initialTissues) return cloneTissues(opts.initialTissues);
+  if (opts.timeAtAltitudeMin !== undefined) {
+    return altitudeArrivalTissues(env, opts.timeAtAltitudeMin, undefined, coefficients);
+  }
+  return initTissues(env);
+}
+
+/**
+ * Test de palier d'une plongée à un niveau en circuit ouvert sur un seul gaz, Bühlmann + GF
+ * Équations des tissus sans planification : descente exacte (Schreiner) calculée une fois,
+ * temps au fond en forme fermée, puis remontée directe avec la règle de sortie de palier du planificateur
+ * (premier palier au plafond GF bas arrondi à la grille, intervalle quitté si le plafond au GF suivant le permet)
+ * @returns Fonction du temps au fond (min, après la descente) : vrai si le planificateur imposerait un palier
+ */
+export function createStopCheck(
+  depthM: number, gas: GasMix, gfLow: number, gfHigh: number, opts: PlanOptions = {}
+): (bottomMin: number) => boolean {
+  const lastStopDepth = Math.max(0, (opts.lastStopDepth ?? 3));
+  const stopInterval = opts.stopInterval ?? STOP_STEP;
+  const rates = resolveRates(opts.rates);
+  if (!(stopInterval > 0)) {
+    throw new Error(`Intervalle de paliers invalide: ${stopInterval}m`);
+  }
+  const env = resolveEnvironment(opts);
+  const coefficients = resolveCoefficients(opts);
+  const model = createBuhlmannModel({ gfLow, gfHigh, env, coefficients, stopInterval });
+  const gasAt = () => gas;
+
+  const arrival = planStartTissues(opts, env, coefficients);
+  travel(arrival, 0, depthM, rates.descent, gasAt, model);
+
+  return bottomMin => {
+    const st = cloneTissues(arrival);
+    model.update(st, depthM, gas, bottomMin);
+
+    const firstCeil = model.ceiling(st);
+    const firstStop = Math.max(lastStopDepth, stopAbove(firstCeil, stopInterval));
+    let cur = depthM;
+    if (cur > firstStop) {
+      travel(st, cur, firstStop, rates.ascent, gasAt, model);
+      cur = firstStop;
+    } else if (cur < firstStop && firstCeil > 1e-6) {
+      travel(st, cur, firstStop, rates.descent, gasAt, model);
+      cur = firstStop;
     }
 
-    if (held > 0) {
-      // Arrondir le temps de palier à la minute la plus proche pour l'affichage
-      const roundedTime = Math.round(held);
-      stops.push({ depth: stopDepth, time: roundedTime, gf: gfAtDepth(stopDepth, gfLow, gfHigh, firstStop) });
-      
-      // Enregistrer segment de palier pour toxicité O₂
-      if (calculateO2) {
-        o2Segments.push({ depthM: stopDepth, timeMinutes: held, fO2: gas.FO2 });
+    let stopDepth = cur >= firstStop ? cur : -1;
+    while (stopDepth >= lastStopDepth) {
+      const below = Math.max(0, stopAbove(stopDepth - stopInterval, stopInterval));
+      const nextDepth = below < lastStopDepth ? 0 : below;
+      if (!model.canAscend(st, nextDepth, firstStop)) return true;
+      if (cur > nextDepth) {
+        const rate = nextDepth === 0 ? rates.surface : nextDepth >= firstStop ? rates.ascent : rates.betweenStops;
+        travel(st, cur, nextDepth, rate, gasAt, model);
+        cur = nextDepth;
       }
+      stopDepth = nextDepth;
+      if (stopDepth === 0 && cur === 0) break;
     }
+    return false;
+  };
+}
 
-    // Remonter de 3 m (ou vers surface si on est au dernier palier)
-    const nextDepth = Math.max(0, stopDepth - STOP_STEP);
-    if (cur > nextDepth) {
-      let totalTime = (cur - nextDepth) / ASCENT_RATE;  // Temps total de remontée
-      let steps = Math.ceil(totalTime / timeStep);
-      let actualTime = steps * timeStep;
-      decoTime += actualTime;  // Ajouter au temps de déco
-      
-      for (let i = 0; i < steps; i++) {
-        const timeRemaining = totalTime - i * timeStep;
-        const actualStep = Math.min(timeStep, timeRemaining);
-        const depthStep = ASCENT_RATE * actualStep;
-        const d = Math.max(nextDepth, cur - depthStep);
-        updateConstantDepth(st, d, gas, actualStep);
-        cur = d;
-      }
+/**
+ * Modèle de décompression d'un plan (les GF ne s'appliquent qu'à Bühlmann)
+ */
+function resolveModel(opts: PlanOptions, context: DecompressionModelContext): DecompressionModel {
+  const selected = opts.decoModel ?? 'buhlmann';
+  if (typeof selected === 'function') return selected(context);
+  if (selected === 'vpmb') return createVpmbModel(context, opts.vpmConservatism);
+  if (selected === 'buhlmann') return createBuhlmannModel(context);
+  throw new Error(`Modèle de décompression inconnu: ${selected}`);
+}
+
+/**
+ * Mode recycleur du moteur
+ * Avec `bailout`, la boucle est quittée au runtime indiqué (défaut: fin des segments,
+ * un déplacement en cours est terminé) et la remontée se fait en circuit ouvert sur les gaz du plan
+ */
+type LoopMode = {
+  settings: RebreatherSettings;
+  bailout?: { runtime?: number };
+};
+
+/**
+ * Moteur commun : simule les segments du profil puis calcule la remontée
+ * et les paliers à partir de l'état tissulaire laissé par le dernier segment
+ * En mode recycleur, le gaz inspiré est celui de la boucle (diluant + setpoint)
+ */
+function runProfile(
+  segments: DiveSegment[], gasPlan: MultiGasPlan,
+  gfLow: number, gfHigh: number,
+  opts: PlanOptions, calculateO2Default: boolean, extraO2Warnings: string[],
+  loopMode?: LoopMode
+): DecompressionPlan {
+  const lastStopDepth = Math.max(0, (opts.lastStopDepth ?? 3));
+  const minLast = Math.max(0, Math.floor(opts.minLastStopMinutes ?? 0));
+  const timeStep = opts.timeStepMinutes ?? 0.5;  // Par défaut 30 secondes pour meilleure précision
+  const rates = resolveRates(opts.rates);
+  const stopInterval = opts.stopInterval ?? STOP_STEP;
+  const stopRounding = opts.stopRounding ?? 'minute';
+  const calculateO2 = opts.calculateO2Toxicity ?? (calculateO2Default || opts.previousOxygenExposure !== undefined);
+  const maxPO2 = opts.maxPO2 ?? 1.6;
+  const switchStopDefault = Math.max(0, opts.gasSwitchStopMinutes ?? 0);
+
+  if (segments.length === 0) {
+    throw new Error('Profil vide: au moins un segment est requis');
+  }
+  for (const seg of segments) {
+    if (!(seg.depth >= 0) || !(seg.time >= 0) || (seg.rate !== undefined && !(seg.rate > 0))) {
+      throw new Error(`Segment invalide: ${seg.depth}m/${seg.time}min`);
     }
-    stopDepth = nextDepth;
+  }
+  if (!(stopInterval > 0)) {
+    throw new Error(`Intervalle de paliers invalide: ${stopInterval}m`);
+  }
+  if (!['minute', 'runtime', 'exact'].includes(stopRounding)) {
+    throw new Error(`Arrondi de palier inconnu: ${stopRounding}`);
+  }
+
+  const env = resolveEnvironment(opts);
+  const coefficients = resolveCoefficients(opts);
+  const st = planStartTissues(opts, env, coefficients);
+  const model = resolveModel(opts, { gfLow, gfHigh, env, coefficients, stopInterval });
+  const warnings: string[] = [];
+  const profile: ProfileSegment[] = [];
+  let descentTime = 0;
+  let bottomTime = 0;  // Temps entre la fin de la descente initiale et le début de la remontée
+  let decoTime = 0;    // TTS réel (décompression seulement)
+  let cur = 0;
+  let currentGas = loopMode?.bailout ? loopMode.settings.diluent : gasPlan.bottomGas;
+  let currentGasName: string | undefined;
+
+  // Segments pour calcul toxicité O₂ (toutes les phases simulées)
+  const o2Segments: O2Segment[] = [];
+
+  // Trier les gaz de déco par profondeur décroissante
+  const sortedDecoGases = [...gasPlan.decoGases].sort((a, b) => b.depth - a.depth);
 
-    // Si on vient de quitter le dernier palier et qu'on est déjà à 0 → fin
-    if (stopDepth === 0 && cur === 0) break;
+  // Recycleur : setpoint selon la profondeur maximale atteinte et le runtime
+  let loop = loopMode?.settings;
+  let deepest = 0;
+  const runtime = () => descentTime + bottomTime + decoTime;
+  const bailoutRuntime = loopMode?.bailout?.runtime ?? Infinity;
+  const loopAt = (depth: number) =>
+    calculateLoopGas(depth, activeSetpoint(loop!, deepest, runtime()), loop!.diluent, env);
+  const untilSetpointSwitch = () =>
+    loop?.lowSetpoint !== undefined && loop.switchTime !== undefined && runtime() < loop.switchTime
+      ? loop.switchTime - runtime() : Infinity;
+  const untilBailout = () => loop && loopMode?.bailout ? bailoutRuntime - runtime() : Infinity;
+
+  // Gaz effectivement inspiré à une profondeur
+  const breathe = (depth: number, gas: GasMix): GasMix => {
+    deepest = Math.max(deepest, depth);
+    return loop ? loopAt(depth).gas : gas;
+  };
+
+  // Enregistrement du profil simulé (phases contiguës fusionnées)
+  // Mode trace : état tissulaire, plafonds et GF à la fin de chaque pas
+  const trace: TraceStep[] | undefined = opts.trace ? [] : undefined;
+  let elapsed = 0;
+  let traceFirstStop: number | undefined;
+  const recordTrace = (phase: ProfileSegment['phase'], depth: number) => {
+    if (!trace) return;
+    const compartments = model.compartmentCeilings?.(st, depth, traceFirstStop);
+    const ceilings = compartments?.ceilings ?? [];
+    const leading = ceilings.reduce((best, c, i) => (c > ceilings[best] ? i : best), 0);
+    trace.push({
+      runtime: elapsed,
+      depth,
+      phase,
+      gas: breathe(depth, currentGas),
+      gasName: currentGasName,
+      pN2: [...st.pN2],
+      pHe: [...st.pHe],
+      ceilings,
+      ceiling: ceilings[leading] ?? model.ceiling(st),
+      leadingCompartment: leading,
+      gf: compartments?.gf,
+      gf99: supersaturationGf(st, depthToPressure(depth, env), coefficients),
+      surfGf: supersaturationGf(st, env.surfacePressure, coefficients)
+    });
+  };
+  recordTrace('descent', 0);
+
+  const record = (phase: ProfileSegment['phase'], from: number, to: number, minutes: number) => {
+    elapsed += minutes;
+    recordTrace(phase, to);
+    const setpoint = loop ? activeSetpoint(loop, deepest, runtime()) : undefined;
+    if (calculateO2) {
+      o2Segments.push({
+        depthM: from, endDepthM: to, timeMinutes: minutes, fO2: currentGas.FO2,
+        pO2: loop ? loopAt(from).pO2 : undefined, endPO2: loop ? loopAt(to).pO2 : undefined,
+        phase, gasName: setpoint !== undefined ? `CCR ${setpoint}` : gasLabel(currentGas, currentGasName)
+      });
+    }
+    const last = profile[profile.length - 1];
+    if (last && last.phase === phase && last.gas === currentGas && last.endDepth === from && last.setpoint === setpoint) {
+      last.endDepth = to;
+      last.time += minutes;
+      return;
+    }
+    profile.push({ phase, startDepth: from, endDepth: to, time: minutes, gas: currentGas, gasName: currentGasName, setpoint });
+  };
+  const recordMove = (from: number, to: number, minutes: number) =>
+    record(to > from ? 'descent' : 'ascent', from, to, minutes);
+  const travelSplit = (): TravelSplit => ({ maxStep: trace || loop ? timeStep : undefined });
+
+  // Segments du profil (descente initiale, puis niveaux successifs)
+  for (let index = 0; index < segments.length && untilBailout() > 0; index++) {
+    const seg = segments[index];
+    if (seg.gas) {
+      currentGas = seg.gas;
+      currentGasName = seg.gasName;
+    }
+    const gas = currentGas;
+
+    if (seg.depth !== cur) {
+      const rate = seg.rate ?? (seg.depth > cur ? rates.descent : rates.ascent);
+      const t = travel(st, cur, seg.depth, rate, (_, to) => breathe(to, gas), model, recordMove, travelSplit());
+      if (index === 0) descentTime += t; else bottomTime += t;
+      cur = seg.depth;
+    }
+
+    // Temps au niveau, scindé au changement de setpoint programmé et au bailout (CCR)
+    let remaining = seg.time;
+    while (remaining > 0 && untilBailout() > 0) {
+      const part = Math.min(remaining, untilSetpointSwitch(), untilBailout(), trace ? timeStep : Infinity);
+      model.update(st, cur, breathe(cur, gas), part);
+      record('bottom', cur, cur, part);
+      bottomTime += part;
+      remaining -= part;
+    }
+
+    // Vérifier que le niveau atteint respecte le plafond (GF bas)
+    const ceiling = model.ceiling(st);
+    if (ceiling > cur + 1e-6) {
+      warnings.push(`⚠️ Plafond violé au segment ${index + 1}: ${cur}m au-dessus du plafond de ${ceiling.toFixed(1)}m`);
+    }
   }
 
-  // Par sécurité : si on a "sauté" le palier final (cas sans paliers) → fin vers 0
-  if (cur > 0) {
-    let totalTime = cur / ASCENT_RATE;  // Temps total de remontée
-    let steps = Math.ceil(totalTime / timeStep);
-    let actualTime = steps * timeStep;
-    decoTime += actualTime;  // Ajouter au temps de déco
-    
-    for (let i = 0; i < steps; i++) {
-      const timeRemaining = totalTime - i * timeStep;
-      const actualStep = Math.min(timeStep, timeRemaining);
-      const depthStep = ASCENT_RATE * actualStep;
-      const d = Math.max(0, cur - depthStep);
-      updateConstantDepth(st, d, gas, actualStep);
-      cur = d;
+  // Bailout : passage en circuit ouvert sur le gaz de fond du plan
+  if (loopMode?.bailout) {
+    loop = undefined;
+    currentGas = gasPlan.bottomGas;
+    currentGasName = undefined;
+  }
+
+  // Changement de gaz à l'arrivée sur un palier, contrôle de contre-diffusion isobare
+  // @returns Palier minimal imposé par le changement (0 sans changement)
+  let gasSwitches: GasSwitchEvent[] = [];
+  const switchGas = (depth: number) => {
+    const gasChoice = getSwitchGasForDepth(depth, sortedDecoGases, currentGas, maxPO2, env);
+    if (!gasChoice.shouldSwitch) return 0;
+    const counterdiffusion = checkCounterdiffusion(currentGas, gasChoice.gas, depth, {
+      tissues: st, env, coefficients, maxPO2: gasChoice.gasSwitch?.maxPO2 ?? maxPO2,
+      fromName: currentGasName, toName: gasChoice.name
+    });
+    currentGas = gasChoice.gas;
+    currentGasName = gasChoice.name;
+    gasSwitches.push({ depth, runtime: runtime(), gas: currentGas, gasName: currentGasName, counterdiffusion });
+    return Math.max(0, gasChoice.gasSwitch?.minStopMinutes ?? switchStopDefault);
+  };
+  // Remontée : pas de changement de gaz entre deux paliers
+  const ascentGas = (_: number, to: number): GasMix => breathe(to, currentGas);
+  // Profondeurs de changement tenues comme des paliers (jusqu'au dernier palier)
+  const switchDepths = sortedDecoGases.map(g => g.depth).filter(d => d >= lastStopDepth);
+
+  // Remontée, recalculée tant que le modèle le demande (VPM-B : volume critique)
+  model.startAscent?.(st, runtime());
+  const ascentStart = {
+    tissues: cloneTissues(st), cur, deepest, currentGas, currentGasName,
+    profile: profile.map(p => ({ ...p })), o2Count: o2Segments.length,
+    elapsed, traceCount: trace?.length ?? 0
+  };
+  let firstStop = 0;
+  let stops: DecompressionStop[] = [];
+
+  for (let pass = 0; ; pass++) {
+    if (pass > 0) {
+      st.pN2 = [...ascentStart.tissues.pN2];
+      st.pHe = [...ascentStart.tissues.pHe];
+      ({ cur, deepest, currentGas, currentGasName } = ascentStart);
+      profile.splice(0, profile.length, ...ascentStart.profile.map(p => ({ ...p })));
+      o2Segments.length = ascentStart.o2Count;
+      if (trace) trace.length = ascentStart.traceCount;
+      elapsed = ascentStart.elapsed;
+      decoTime = 0;
+    }
+    gasSwitches = [];
+
+    // Premier plafond (GF bas en Bühlmann)
+    const firstCeil = model.ceiling(st);
+    firstStop = Math.max(lastStopDepth, stopAbove(firstCeil, stopInterval));
+    traceFirstStop = firstStop;
+
+    // Déplacement depuis le palier précédent (reporté sur le palier suivant)
+    let sinceLastStop = 0;
+    const move = (to: number, rate: TravelRate, gasAt: (from: number, to: number) => GasMix, split: TravelSplit) => {
+      const t = travel(st, cur, to, rate, gasAt, model, recordMove, split);
+      decoTime += t;
+      sinceLastStop += t;
+      cur = to;
+    };
+
+    // Remontée vers le premier palier, ou vers un changement de gaz plus profond
+    if (cur > firstStop) {
+      move(Math.max(firstStop, ...switchDepths.filter(d => d <= cur)), rates.ascent, ascentGas, travelSplit());
+    } else if (cur < firstStop && firstCeil > 1e-6) {
+      // Profil terminé au-dessus du premier palier : redescendre au palier
+      const gas = currentGas;
+      move(firstStop, rates.descent, (_, to) => breathe(to, gas), travelSplit());
+    }
+
+    stops = [];
+    // Sans obligation de palier, un profil terminé au-dessus du dernier palier remonte directement
+    let stopDepth = cur >= firstStop ? cur : -1;
+
+    // Boucle de paliers successifs avec changements de gaz automatiques (…12→9→6→3→surface)
+    while (stopDepth >= lastStopDepth) {
+      let held = 0;
+
+      // Déterminer le meilleur gaz pour ce palier (palier minimal en cas de changement)
+      const switchStop = switchGas(stopDepth);
+
+      // Palier suivant : changement de gaz ou grille, surface après le dernier palier
+      const below = Math.max(0, stopAbove(stopDepth - stopInterval, stopInterval));
+      const nextSwitch = Math.max(-1, ...switchDepths.filter(d => d > below && d < stopDepth));
+      const nextDepth = nextSwitch > 0 ? nextSwitch : below < lastStopDepth ? 0 : below;
+      const canLeave = (heldMin: number) =>
+        model.canAscend(st, nextDepth, firstStop) && heldMin >= switchStop &&
+        (stopDepth !== lastStopDepth || heldMin >= minLast);
+
+      while (!canLeave(held)) {
+        const gas = breathe(stopDepth, currentGas);
+        const before = cloneTissues(st);
+        const restore = () => { st.pN2 = [...before.pN2]; st.pHe = [...before.pHe]; };
+        let part = timeStep;
+        model.update(st, stopDepth, gas, part);
+
+        // Sortie exacte dans le dernier pas : durée du palier indépendante du pas de temps
+        if (canLeave(held + part)) {
+          let low = 0;
+          for (let i = 0; i < STOP_REFINE_ITERATIONS; i++) {
+            const mid = (low + part) / 2;
+            restore();
+            model.update(st, stopDepth, gas, mid);
+            if (canLeave(held + mid)) part = mid; else low = mid;
+          }
+          restore();
+          model.update(st, stopDepth, gas, part);
+        }
+
+        record('stop', stopDepth, stopDepth, part);
+        held += part;
+        decoTime += part;  // Ajouter au temps de déco
+        // garde-fou (convertir en pas de temps)
+        if (held > 360) break;
+      }
+
+      if (held > 0) {
+        // Palier prolongé jusqu'à sa durée arrondie : le palier affiché est celui simulé
+        let extra = stopRounding === 'runtime'
+          ? Math.ceil(runtime() - ROUNDING_EPSILON) - runtime()
+          : roundStopTime(held, stopRounding) - held;
+        while (extra > ROUNDING_EPSILON) {
+          const part = Math.min(timeStep, extra);
+          model.update(st, stopDepth, breathe(stopDepth, currentGas), part);
+          record('stop', stopDepth, stopDepth, part);
+          held += part;
+          decoTime += part;
+          extra -= part;
+        }
+
+        stops.push({
+          depth: stopDepth,
+          time: Math.round(held * 60) / 60,
+          gf: model.stopGf(stopDepth, firstStop),
+          gas: breathe(stopDepth, currentGas),
+          gasName: currentGasName,
+          setpoint: loop ? loopAt(stopDepth).pO2 : undefined,
+          travelTime: sinceLastStop,
+          runtime: runtime()
+        });
+        sinceLastStop = 0;
+      }
+
+      // Remonter d'un intervalle (ou vers surface si on est au dernier palier)
+      if (cur > nextDepth) {
+        const rate = nextDepth === 0 ? rates.surface : nextDepth >= firstStop ? rates.ascent : rates.betweenStops;
+        move(nextDepth, rate, ascentGas, travelSplit());
+      }
+      stopDepth = nextDepth;
+
+      // Si on vient de quitter le dernier palier et qu'on est déjà à 0 → fin
+      if (stopDepth === 0 && cur === 0) break;
+    }
+
+    // Par sécurité : si on a "sauté" le palier final (cas sans paliers) → fin vers 0
+    if (cur > 0) {
+      const gas = currentGas;
+      move(0, rates.surface, (_, to) => breathe(to, gas), travelSplit());
     }
+
+    if (pass >= MAX_ASCENT_PASSES || !model.nextPass?.(st, decoTime)) break;
   }
 
+  gasSwitches.forEach(s => warnings.push(...(s.counterdiffusion?.warnings ?? [])));
+
   // Calculs finaux des temps
-  const totalDiveTime = descentTime + bottomMin + decoTime;
+  const totalDiveTime = descentTime + bottomTime + decoTime;
 
   // Calcul de toxicité oxygène si demandé
   let oxygenToxicity;
   if (calculateO2 && o2Segments.length > 0) {
-    const toxicity = calculateOxygenToxicity(o2Segments);
+    const toxicity = calculateOxygenToxicity(o2Segments, env, opts.previousOxygenExposure);
     oxygenToxicity = {
       cns: toxicity.cns,
       otu: toxicity.otu,
       maxPO2: toxicity.maxPO2,
-      warnings: toxicity.warnings
+      warnings: [...toxicity.warnings, ...extraO2Warnings],
+      exposure: toxicity.exposure,
+      phases: toxicity.phases,
+      gases: toxicity.gases
     };
   }
 
   return {
     firstStopDepth: firstStop,
     stops,
-    tts: Math.round(decoTime),         // TTS = temps de déco seulement
+    tts: Math.round(decoTime),                // TTS = temps de déco seulement
     totalDiveTime: Math.round(totalDiveTime), // Temps total de plongée
     descentTime: Math.round(descentTime),     // Temps de descente
-    bottomTime: bottomMin,                    // Temps de fond (déjà en minutes)
-    oxygenToxicity                            // Calculs de toxicité O₂
+    bottomTime: Math.round(bottomTime),       // Temps de fond (niveaux et transitions)
+    oxygenToxicity,                           // Calculs de toxicité O₂
+    warnings,
+    finalTissues: st,
+    profile,
+    decoModel: model.name,
+    travelTimes: {
+      descent: profile.filter(p => p.phase === 'descent').reduce((sum, p) => sum + p.time, 0),
+      ascent: profile.filter(p => p.phase === 'ascent').reduce((sum, p) => sum + p.time, 0)
+    },
+    gasSwitches,
+    trace,
+    gasConsumption: opts.gasConsumption ? calculateGasConsumption(profile, opts.gasConsumption, env) : undefined,
+    narcosis: opts.narcosis ? calculateNarcosis(profile, opts.narcosis, env) : undefined
   };
 }
 
+/**
+ * Planification multi-stops (3 m) à la Bühlmann+GF
+ * - remonte vers le premier palier (GF low)
+ * - tient chaque palier jusqu'à autorisation d'aller 3 m plus haut
+ * - dernier palier à 3 ou 6 m selon options
+ */
+export function planDecompression(
+  depthM: number, bottomMin: number, gas: GasMix,
+  gfLow: number, gfHigh: number,
+  opts?: { 
+    lastStopDepth?: number; 
+    minLastStopMinutes?: number;
+    timeStepMinutes?: number;  // Pas de temps en minutes (0.5 = 30s, 0.167 = 10s)
+    calculateO2Toxicity?: boolean;  // Activer le calcul de toxicité O₂
+  }
+): DecompressionPlan {
+  return planDecompressionProfile([{ depth: depthM, time: bottomMin }], gas, gfLow, gfHigh, opts);
+}
+
 /**
  * Planification de décompression avec support multi-gaz
  * Version avancée qui gère automatiquement les changements de gaz
@@ -235,197 +714,231 @@ export function planDecompressionMultiGas(
     timeStepMinutes?: number;
     calculateO2Toxicity?: boolean;
     maxPO2?: number;  // pO₂ maximale autorisée (défaut: 1.6)
+    bottomPO2?: number; // pO₂ maximale du gaz de fond (défaut: 1.4)
+    gasSwitchStopMinutes?: number; // Palier minimal à chaque changement de gaz (min)
+    rates?: RateSchedule; // Vitesses de descente et de remontée
+    stopInterval?: number; // Intervalle entre paliers (m)
+    stopRounding?: StopRounding; // Arrondi des paliers
+    narcosis?: NarcosisSettings; // Seuils d'END et de densité
   }
 ): DecompressionPlan {
-  const lastStopDepth = Math.max(0, (opts?.lastStopDepth ?? 3));
-  const minLast = Math.max(0, Math.floor(opts?.minLastStopMinutes ?? 0));
-  const timeStep = opts?.timeStepMinutes ?? 0.5;  // Par défaut 30 secondes pour meilleure précision
-  const calculateO2 = opts?.calculateO2Toxicity ?? true;  // Activé par défaut pour multi-gaz
-  const maxPO2 = opts?.maxPO2 ?? 1.6;
+  return planDecompressionProfile([{ depth: depthM, time: bottomMin }], gasPlan, gfLow, gfHigh, opts);
+}
+
+/**
+ * Limites de pO₂ du plan (gaz de fond et gaz de déco)
+ * END et densité sont contrôlées phase par phase dans le rapport `narcosis` du plan
+ */
+function gasLimits(opts?: PlanOptions) {
+  return { bottomPO2: opts?.bottomPO2, decoPO2: opts?.maxPO2 };
+}
+
+/**
+ * Planification d'un profil multi-niveaux (liste ordonnée de segments)
+ * - chaque segment : transition vers sa profondeur puis temps au niveau
+ * - la déco est calculée à partir de l'état tissulaire du dernier segment
+ * - avec un `MultiGasPlan`, le plan est validé et les gaz de déco sont utilisés
+ *   à la remontée (toxicité O₂ calculée par défaut)
+ *
+ * Exemple : 45 m/15 min, 30 m/10 min, 21 m/20 min
+ *   planDecompressionProfile([{ depth: 45, time: 15 }, { depth: 30, time: 10 }, { depth: 21, time: 20 }], air, 0.4, 0.85)
+ */
+export function planDecompressionProfile(
+  segments: DiveSegment[], gas: GasMix | MultiGasPlan,
+  gfLow: number, gfHigh: number,
+  opts?: PlanOptions
+): DecompressionPlan {
+  if (!('bottomGas' in gas)) {
+    return runProfile(segments, { bottomGas: gas, decoGases: [] }, gfLow, gfHigh, opts ?? {}, false, []);
+  }
 
   // Valider le plan multi-gaz
-  const validation = validateMultiGasPlan(gasPlan, depthM);
+  const maxDepth = Math.max(0, ...segments.map(s => s.depth));
+  const validation = validateMultiGasPlan(gas, maxDepth, resolveEnvironment(opts), gasLimits(opts));
   if (validation.errors.length > 0) {
     throw new Error(`Plan multi-gaz invalide: ${validation.errors.join(', ')}`);
   }
+  return runProfile(segments, gas, gfLow, gfHigh, opts ?? {}, true, validation.warnings);
+}
 
-  const st = initTissues();
-  let descentTime = 0;
-  let decoTime = 0;
-  let cur = 0;
-  let currentGas = gasPlan.bottomGas;
-  
-  // Segments pour calcul toxicité O₂
-  const o2Segments: Array<{ depthM: number; timeMinutes: number; fO2: number }> = [];
-
-  // Trier les gaz de déco par profondeur décroissante
-  const sortedDecoGases = [...gasPlan.decoGases].sort((a, b) => b.depth - a.depth);
+/**
+ * Planification d'une plongée en recycleur (CCR) à setpoint constant
+ * - gaz inspiré déduit du diluant et du setpoint actif (bas puis haut)
+ * - boucle limitée à l'O₂ pur ou au diluant pur si le setpoint ne peut être tenu
+ * - toxicité O₂ calculée sur la pO₂ de la boucle (activée par défaut)
+ */
+export function planDecompressionCCR(
+  segments: DiveSegment[], rebreather: RebreatherSettings,
+  gfLow: number, gfHigh: number,
+  opts?: PlanOptions
+): DecompressionPlan {
+  const maxDepth = Math.max(0, ...segments.map(s => s.depth));
+  const validation = validateRebreatherSettings(rebreather, maxDepth, resolveEnvironment(opts));
+  if (validation.errors.length > 0) {
+    throw new Error(`Réglages recycleur invalides: ${validation.errors.join(', ')}`);
+  }
+  const gasPlan = { bottomGas: rebreather.diluent, decoGases: [] };
+  return runProfile(segments, gasPlan, gfLow, gfHigh, opts ?? {}, true, validation.warnings, { settings: rebreather });
+}
 
-  // Descente avec gaz de fond
-  if (depthM > 0) {
-    let totalTime = depthM / DESCENT_RATE;
-    let steps = Math.ceil(totalTime / timeStep);
-    descentTime = steps * timeStep;
-    
-    for (let i = 0; i < steps; i++) {
-      const timeRemaining = totalTime - i * timeStep;
-      const actualStep = Math.min(timeStep, timeRemaining);
-      const depthStep = DESCENT_RATE * actualStep;
-      const next = Math.min(depthM, cur + depthStep);
-      updateConstantDepth(st, next, currentGas, actualStep);
-      cur = next;
-    }
+/**
+ * Scénario de bailout d'une plongée recycleur
+ * - sortie de boucle en fin de fond (ou au runtime `bailoutRuntime`)
+ * - remontée en circuit ouvert avec changements de gaz (gaz de fond + gaz de déco du plan bailout)
+ * - volume requis par bouteille de bailout au SAC sous stress
+ */
+export function planCCRBailout(
+  segments: DiveSegment[], rebreather: RebreatherSettings, bailoutGases: MultiGasPlan,
+  gfLow: number, gfHigh: number,
+  opts?: PlanOptions & { bailoutRuntime?: number; stressedSac?: number }
+): BailoutPlan {
+  const env = resolveEnvironment(opts);
+  const sac = opts?.stressedSac ?? STRESSED_SAC;
+  const maxDepth = Math.max(0, ...segments.map(s => s.depth));
+
+  const nominal = planDecompressionCCR(segments, rebreather, gfLow, gfHigh, opts);
+  const validation = validateMultiGasPlan(bailoutGases, maxDepth, env, gasLimits(opts));
+  if (validation.errors.length > 0) {
+    throw new Error(`Plan de bailout invalide: ${validation.errors.join(', ')}`);
   }
 
-  // Fond avec gaz de fond
-  if (bottomMin > 0) {
-    updateConstantDepth(st, depthM, currentGas, bottomMin);
-    cur = depthM;
-    
-    if (calculateO2) {
-      o2Segments.push({ depthM, timeMinutes: bottomMin, fO2: currentGas.FO2 });
-    }
+  const bailout = runProfile(segments, bailoutGases, gfLow, gfHigh, opts ?? {}, true, validation.warnings,
+    { settings: rebreather, bailout: { runtime: opts?.bailoutRuntime } });
+
+  // Point de sortie de boucle : fin de la dernière phase effectuée sur la boucle
+  const onLoop = (bailout.profile ?? []).filter(p => p.setpoint !== undefined);
+  const bailoutRuntime = onLoop.reduce((sum, p) => sum + p.time, 0);
+  const bailoutDepth = onLoop.length > 0 ? onLoop[onLoop.length - 1].endDepth : 0;
+
+  // Volume requis par bouteille (bouteilles non utilisées à 0 l)
+  // Bouteille retrouvée par composition du mélange, puis par nom si plusieurs bouteilles ont le même mélange
+  const gasRequirements = [{ gas: bailoutGases.bottomGas, name: undefined as string | undefined, litres: 0 },
+                           ...bailoutGases.decoGases.map(g => ({ gas: g.gas, name: g.name, litres: 0 }))];
+  for (const phase of bailout.profile ?? []) {
+    if (phase.setpoint !== undefined) continue;
+    const matching = gasRequirements.filter(c => sameGas(c.gas, phase.gas));
+    const cylinder = matching.find(c => c.name === phase.gasName) ?? matching[0];
+    if (cylinder) cylinder.litres += calculateSegmentGasUsage(phase, sac, env);
   }
 
-  // Calcul du premier palier
-  const firstCeil = overallCeiling(st, gfLow);
-  let firstStop = Math.max(lastStopDepth, Math.ceil(firstCeil / STOP_STEP) * STOP_STEP);
-
-  // Remontée vers le premier palier
-  if (cur > firstStop) {
-    let totalTime = (cur - firstStop) / ASCENT_RATE;
-    let steps = Math.ceil(totalTime / timeStep);
-    let actualTime = steps * timeStep;
-    decoTime += actualTime;
-    
-    for (let i = 0; i < steps; i++) {
-      const timeRemaining = totalTime - i * timeStep;
-      const actualStep = Math.min(timeStep, timeRemaining);
-      const depthStep = ASCENT_RATE * actualStep;
-      const next = Math.max(firstStop, cur - depthStep);
-      
-      // Vérifier si on doit changer de gaz
-      const gasChoice = getBestGasForDepth(next, sortedDecoGases, currentGas, maxPO2);
-      if (gasChoice.shouldSwitch) {
-        currentGas = gasChoice.gas;
-      }
-      
-      updateConstantDepth(st, next, currentGas, actualStep);
-      cur = next;
-    }
+  const warnings = [...(bailout.warnings ?? [])];
+  if (bailout.tts > nominal.tts) {
+    warnings.push(`ℹ️ Bailout: TTS ${bailout.tts} min (nominal CCR ${nominal.tts} min)`);
   }
 
-  const stops: DecompressionStop[] = [];
-  let stopDepth = firstStop;
-
-  // Boucle de paliers successifs avec changements de gaz automatiques
-  while (stopDepth >= lastStopDepth) {
-    let held = 0;
-    
-    // Déterminer le meilleur gaz pour ce palier
-    const gasChoice = getBestGasForDepth(stopDepth, sortedDecoGases, currentGas, maxPO2);
-    if (gasChoice.shouldSwitch) {
-      currentGas = gasChoice.gas;
-    }
-    
-    while (true) {
-      const nextDepth = Math.max(0, stopDepth - STOP_STEP);
-      const gfNext = gfAtDepth(nextDepth, gfLow, gfHigh, firstStop);
-      const ceilNext = overallCeiling(st, gfNext);
-
-      const canLeave = ceilNext <= nextDepth + 1e-6 && (stopDepth !== lastStopDepth || held >= minLast);
-      if (canLeave) break;
-
-      updateConstantDepth(st, stopDepth, currentGas, timeStep);
-      held += timeStep; 
-      decoTime += timeStep;
-      
-      if (held > 360) break;
-    }
+  return {
+    nominal,
+    bailout,
+    bailoutRuntime,
+    bailoutDepth,
+    tts: bailout.tts,
+    sac,
+    gasRequirements,
+    warnings
+  };
+}
 
-    if (held > 0) {
-      // Arrondir le temps de palier à la minute la plus proche pour l'affichage
-      const roundedTime = Math.round(held);
-      stops.push({ 
-        depth: stopDepth, 
-        time: roundedTime, 
-        gf: gfAtDepth(stopDepth, gfLow, gfHigh, firstStop),
-        gas: currentGas,
-        gasName: gasChoice.name
-      });
-      
-      if (calculateO2) {
-        o2Segments.push({ depthM: stopDepth, timeMinutes: held, fO2: currentGas.FO2 });
-      }
-    }
+/**
+ * Plans de secours « gaz de déco perdu »
+ * - un plan par gaz de déco retiré (et par paire de gaz avec `includePairs`)
+ * - TTS, CNS et gaz supplémentaires comparés au plan nominal
+ *   (consommation au SAC de `gasConsumption`, défaut: DEFAULT_SAC)
+ */
+export function planLostGasContingencies(
+  segments: DiveSegment[], gasPlan: MultiGasPlan,
+  gfLow: number, gfHigh: number,
+  opts?: PlanOptions & { includePairs?: boolean }
+): LostGasPlans {
+  const env = resolveEnvironment(opts);
+  const sac = opts?.gasConsumption?.sac ?? DEFAULT_SAC;
+
+  const summarise = (plan: DecompressionPlan, reference?: ContingencyPlan): ContingencyPlan => {
+    const gasUsage = calculateProfileGasUsage(plan.profile ?? [], sac, env);
+    const total = (usage: ContingencyPlan['gasUsage']) => usage.reduce((sum, u) => sum + u.litres, 0);
+    return {
+      plan,
+      gasUsage,
+      extraTts: reference ? plan.tts - reference.plan.tts : 0,
+      extraCns: reference ? (plan.oxygenToxicity?.cns ?? 0) - (reference.plan.oxygenToxicity?.cns ?? 0) : 0,
+      extraGas: reference ? total(gasUsage) - total(reference.gasUsage) : 0
+    };
+  };
 
-    // Remonter de 3 m
-    const nextDepth = Math.max(0, stopDepth - STOP_STEP);
-    if (cur > nextDepth) {
-      let totalTime = (cur - nextDepth) / ASCENT_RATE;
-      let steps = Math.ceil(totalTime / timeStep);
-      let actualTime = steps * timeStep;
-      decoTime += actualTime;
-      
-      for (let i = 0; i < steps; i++) {
-        const timeRemaining = totalTime - i * timeStep;
-        const actualStep = Math.min(timeStep, timeRemaining);
-        const depthStep = ASCENT_RATE * actualStep;
-        const d = Math.max(nextDepth, cur - depthStep);
-        
-        // Vérifier changement de gaz pendant la remontée
-        const gasChoice = getBestGasForDepth(d, sortedDecoGases, currentGas, maxPO2);
-        if (gasChoice.shouldSwitch) {
-          currentGas = gasChoice.gas;
-        }
-        
-        updateConstantDepth(st, d, currentGas, actualStep);
-        cur = d;
-      }
-    }
-    stopDepth = nextDepth;
+  const nominal = summarise(planDecompressionProfile(segments, gasPlan, gfLow, gfHigh, opts));
 
-    if (stopDepth === 0 && cur === 0) break;
+  const lostSets = gasPlan.decoGases.map((_, i) => [i]);
+  if (opts?.includePairs) {
+    for (let i = 0; i < gasPlan.decoGases.length; i++) {
+      for (let j = i + 1; j < gasPlan.decoGases.length; j++) lostSets.push([i, j]);
+    }
   }
 
-  // Remontée finale
-  if (cur > 0) {
-    let totalTime = cur / ASCENT_RATE;
-    let steps = Math.ceil(totalTime / timeStep);
-    let actualTime = steps * timeStep;
-    decoTime += actualTime;
-    
-    for (let i = 0; i < steps; i++) {
-      const timeRemaining = totalTime - i * timeStep;
-      const actualStep = Math.min(timeStep, timeRemaining);
-      const depthStep = ASCENT_RATE * actualStep;
-      const d = Math.max(0, cur - depthStep);
-      updateConstantDepth(st, d, currentGas, actualStep);
-      cur = d;
+  const contingencies = lostSets.map(lost => {
+    const remaining: MultiGasPlan = {
+      bottomGas: gasPlan.bottomGas,
+      decoGases: gasPlan.decoGases.filter((_, i) => !lost.includes(i))
+    };
+    const plan = planDecompressionProfile(segments, remaining, gfLow, gfHigh, opts);
+    return {
+      lostGases: lost.map(i => gasLabel(gasPlan.decoGases[i].gas, gasPlan.decoGases[i].name)),
+      ...summarise(plan, nominal)
+    };
+  });
+
+  return { nominal, contingencies };
+}
+
+/**
+ * Table de runtime d'un plan : une ligne par palier avec le runtime de sortie
+ */
+export function buildRuntimeTable(plan: DecompressionPlan): RuntimeTableEntry[] {
+  const table: RuntimeTableEntry[] = [];
+  let runtime = 0;
+
+  for (const phase of plan.profile ?? []) {
+    runtime += phase.time;
+    if (phase.phase !== 'stop') continue;
+    const last = table[table.length - 1];
+    if (last && last.depth === phase.startDepth) {
+      // Changement de gaz pendant le palier
+      last.time += phase.time;
+      last.runtime = runtime;
+      last.gasName = phase.gasName;
+    } else {
+      table.push({ depth: phase.startDepth, time: phase.time, runtime, gasName: phase.gasName });
     }
   }
 
-  // Calculs finaux
-  const totalDiveTime = descentTime + bottomMin + decoTime;
+  return table.map(entry => ({ ...entry, time: Math.round(entry.time), runtime: Math.ceil(entry.runtime - 1e-9) }));
+}
 
-  let oxygenToxicity;
-  if (calculateO2 && o2Segments.length > 0) {
-    const toxicity = calculateOxygenToxicity(o2Segments);
-    oxygenToxicity = {
-      cns: toxicity.cns,
-      otu: toxicity.otu,
-      maxPO2: toxicity.maxPO2,
-      warnings: [...toxicity.warnings, ...validation.warnings]
+/**
+ * Grille de plans de secours « plus profond / plus long »
+ * - profondeur et temps ajoutés au niveau le plus profond du profil
+ *   (défaut: +0/3/6 m et +0/3/5 min)
+ * - table de runtime, TTS et exposition O₂ (calculée par défaut) pour chaque case
+ * @returns Cases indexées par [écart de profondeur][écart de temps]
+ */
+export function planDeeperLongerGrid(
+  segments: DiveSegment[], gas: GasMix | MultiGasPlan,
+  gfLow: number, gfHigh: number,
+  opts?: PlanOptions & { depthDeltas?: number[]; timeDeltas?: number[] }
+): ScheduleCell[][] {
+  const depthDeltas = opts?.depthDeltas ?? [0, 3, 6];
+  const timeDeltas = opts?.timeDeltas ?? [0, 3, 5];
+  const planOpts = { ...opts, calculateO2Toxicity: opts?.calculateO2Toxicity ?? true };
+  const deepest = segments.reduce((best, seg, i) => (seg.depth > segments[best].depth ? i : best), 0);
+
+  return depthDeltas.map(depthDelta => timeDeltas.map(timeDelta => {
+    const adjusted = segments.map((seg, i) =>
+      i === deepest ? { ...seg, depth: seg.depth + depthDelta, time: seg.time + timeDelta } : seg);
+    const plan = planDecompressionProfile(adjusted, gas, gfLow, gfHigh, planOpts);
+    return {
+      depthDelta,
+      timeDelta,
+      maxDepth: Math.max(0, ...adjusted.map(seg => seg.depth)),
+      plan,
+      runtimeTable: buildRuntimeTable(plan)
     };
-  }
-
-  return {
-    firstStopDepth: firstStop,
-    stops,
-    tts: Math.round(decoTime),
-    totalDiveTime: Math.round(totalDiveTime),
-    descentTime: Math.round(descentTime),
-    bottomTime: bottomMin,
-    oxygenToxicity
-  };
-}
\ No newline at end of file
+  }));
+}
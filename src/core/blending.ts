@@ -0,0 +1,204 @@
+/**
+ * Module de fabrication des mélanges (gonflage)
+ * - pressions partielles : hélium, puis oxygène, puis complément à l'air ou au nitrox en stock
+ * - nitrox continu : hélium éventuel, puis complément au compresseur avec un nitrox réglé à la demande
+ * - complément d'une bouteille entamée (vidange partielle si le mélange restant l'impose)
+ * Les quantités sont suivies en bar de gaz parfait ; avec la correction gaz réel,
+ * les pressions lues au manomètre sont déduites du facteur de compressibilité du mélange
+ */
+
+import { GasMix } from './models';
+import { gasLabel } from './utils';
+import { idealPressure, realPressure } from './real-gas';
+
+const BLEND_TOLERANCE = 0.005;    // Écart de composition toléré sans gaz pur disponible (fraction de la quantité finale)
+const MAX_CONTINUOUS_FO2 = 0.40;  // FO₂ maximale d'un nitrox continu (limite des compresseurs non dégraissés O₂)
+const AIR: GasMix = { FO2: 0.21, FHe: 0, FN2: 0.79 };
+
+/**
+ * Gaz disponible pour le gonflage
+ */
+export interface BlendSupply {
+  name: string;
+  gas: GasMix;
+  pressure?: number;  // Pression du stock (bar), défaut: illimitée (compresseur, surpresseur)
+}
+
+/**
+ * Étape de gonflage, dans l'ordre d'exécution
+ */
+export interface BlendStep {
+  action: 'drain' | 'fill';
+  gasName: string;        // Gaz ajouté (« Vidange » pour une vidange)
+  gas?: GasMix;           // Gaz ajouté
+  pressureAdded: number;  // Pression à ajouter (bar), négative pour une vidange
+  pressure: number;       // Pression de la bouteille après l'étape (bar)
+  mix: GasMix;            // Mélange obtenu après l'étape
+  litres?: number;        // Gaz libre ajouté ou vidangé (litres à 1 bar), si le volume de la bouteille est fourni
+}
+
+export interface BlendPlan {
+  steps: BlendStep[];
+  mix: GasMix;          // Mélange final
+  pressure: number;     // Pression finale (bar)
+  realGas: boolean;
+  warnings: string[];
+}
+
+export interface BlendOptions {
+  realGas?: boolean;          // Correction gaz réel (défaut: false, gaz parfait)
+  continuousFlow?: boolean;   // Complément au nitrox continu plutôt qu'aux pressions partielles
+  maxContinuousFO2?: number;  // FO₂ maximale du nitrox continu (défaut: 0.40)
+  cylinderVolume?: number;    // Volume en eau de la bouteille (litres), pour les volumes de gaz libre
+}
+
+/**
+ * Gaz disponibles par défaut : oxygène, hélium et air au compresseur
+ */
+export const STANDARD_SUPPLIES: BlendSupply[] = [
+  { name: 'O₂', gas: { FO2: 1, FHe: 0, FN2: 0 } },
+  { name: 'He', gas: { FO2: 0, FHe: 1, FN2: 0 } },
+  { name: 'Air', gas: AIR }
+];
+
+type Amounts = { O2: number; N2: number; He: number };
+
+/**
+ * Calcule la séquence de gonflage d'une bouteille
+ * @param start Contenu de départ (pression 0 pour une bouteille vide)
+ * @param target Mélange et pression visés
+ * @param supplies Gaz disponibles (O₂ pur, He pur, air, nitrox en stock…), défaut: STANDARD_SUPPLIES
+ * @param opts Correction gaz réel, nitrox continu
+ * @returns Étapes de gonflage et mélange obtenu
+ */
+export function planBlend(
+  start: { gas: GasMix; pressure: number },
+  target: { gas: GasMix; pressure: number },
+  supplies: BlendSupply[] = STANDARD_SUPPLIES,
+  opts: BlendOptions = {}
+): BlendPlan {
+  const realGas = opts.realGas ?? false;
+  const maxContinuousFO2 = opts.maxContinuousFO2 ?? MAX_CONTINUOUS_FO2;
+  for (const gas of [start.gas, target.gas, ...supplies.map(s => s.gas)]) {
+    if (Math.abs(gas.FO2 + gas.FHe + gas.FN2 - 1) > 1e-6 || [gas.FO2, gas.FHe, gas.FN2].some(f => f < 0)) {
+      throw new Error(`Mélange invalide: ${gasLabel(gas)}`);
+    }
+  }
+  if (!(start.pressure >= 0) || !(target.pressure > 0)) {
+    throw new Error(`Pressions de gonflage invalides: ${start.pressure} → ${target.pressure} bar`);
+  }
+
+  const amountOf = (gas: GasMix, pressure: number) => (realGas ? idealPressure(gas, pressure) : pressure);
+  const pressureOf = (gas: GasMix, amount: number) => (realGas ? realPressure(gas, amount) : amount);
+  const split = (gas: GasMix, amount: number): Amounts => ({ O2: gas.FO2 * amount, N2: gas.FN2 * amount, He: gas.FHe * amount });
+
+  const startTotal = amountOf(start.gas, start.pressure);
+  const targetTotal = amountOf(target.gas, target.pressure);
+  const s = split(start.gas, startTotal);
+  const t = split(target.gas, targetTotal);
+  const tolerance = BLEND_TOLERANCE * targetTotal;
+
+  const oxygen = supplies.find(sp => sp.gas.FO2 >= 0.995);
+  const helium = supplies.find(sp => sp.gas.FHe >= 0.995);
+  // Ajout d'un gaz pur : positif s'il est disponible, négligeable sinon
+  const pureOk = (amount: number, supply?: BlendSupply) => (supply ? amount >= -1e-9 * targetTotal : Math.abs(amount) <= tolerance);
+
+  // Quantités à ajouter en gardant la fraction k du contenu de départ, avec un gaz de complément donné
+  type Fill = { he: number; o2: number; top: number; topSupply?: BlendSupply };
+  const solve = (k: number, top?: BlendSupply): Fill | undefined => {
+    const rem = { O2: t.O2 - k * s.O2, N2: t.N2 - k * s.N2, He: t.He - k * s.He };
+    if (!pureOk(rem.He, helium)) return undefined;
+
+    // Nitrox continu : l'azote manquant vient du compresseur, enrichi à la FO₂ nécessaire
+    if (opts.continuousFlow && rem.N2 > tolerance) {
+      const FO2 = Math.max(AIR.FO2, rem.O2 / (rem.O2 + rem.N2));
+      if (FO2 > maxContinuousFO2 + 1e-9 || (FO2 > AIR.FO2 + 1e-9 && !oxygen)) return undefined;
+      const topAmount = rem.N2 / (1 - FO2);
+      if (!pureOk(rem.O2 - topAmount * FO2, undefined)) return undefined;
+      const topSupply = { name: `Nitrox continu ${Math.round(FO2 * 100)}%`, gas: { FO2, FHe: 0, FN2: 1 - FO2 } };
+      return { he: rem.He, o2: 0, top: topAmount, topSupply };
+    }
+
+    // Pressions partielles : l'azote manquant vient du gaz de complément
+    if (!top && Math.abs(rem.N2) > tolerance) return undefined;
+    const topAmount = top ? rem.N2 / top.gas.FN2 : 0;
+    if (topAmount < -1e-9 * targetTotal) return undefined;
+    const o2 = rem.O2 - topAmount * (top?.gas.FO2 ?? 0);
+    const he = rem.He - topAmount * (top?.gas.FHe ?? 0);
+    if (!pureOk(o2, oxygen) || !pureOk(he, helium)) return undefined;
+    return { he, o2, top: topAmount, topSupply: top };
+  };
+
+  // Plus grande fraction du contenu de départ conservée (ensemble réalisable convexe en k)
+  const maxKept = (top?: BlendSupply) => {
+    if (solve(1, top)) return 1;
+    if (!solve(0, top)) return undefined;
+    let lo = 0, hi = 1;
+    for (let i = 0; i < 60; i++) {
+      const mid = (lo + hi) / 2;
+      if (solve(mid, top)) lo = mid; else hi = mid;
+    }
+    return lo;
+  };
+
+  const candidates: Array<BlendSupply | undefined> = opts.continuousFlow
+    ? [undefined]
+    : [undefined, ...supplies.filter(sp => sp.gas.FN2 > 0)];
+  let best: { k: number; fill: Fill } | undefined;
+  for (const top of candidates) {
+    const k = maxKept(top);
+    if (k === undefined) continue;
+    const fill = solve(k, top)!;
+    if (!best || k > best.k + 1e-9 || (Math.abs(k - best.k) <= 1e-9 && fill.o2 < best.fill.o2 - 1e-9)) {
+      best = { k, fill };
+    }
+  }
+  if (!best) {
+    throw new Error(`Mélange ${gasLabel(target.gas)} impossible avec les gaz disponibles (${supplies.map(sp => sp.name).join(', ')})`);
+  }
+
+  // Séquence : vidange, hélium, oxygène, complément
+  const steps: BlendStep[] = [];
+  const warnings: string[] = [];
+  const cur = { O2: best.k * s.O2, N2: best.k * s.N2, He: best.k * s.He };
+  const mixOf = (a: Amounts): GasMix => {
+    const total = a.O2 + a.N2 + a.He;
+    return total > 0 ? { FO2: a.O2 / total, FHe: a.He / total, FN2: a.N2 / total } : start.gas;
+  };
+  let pressure = start.pressure;
+  const litresOf = (amount: number) => (opts.cylinderVolume !== undefined ? amount * opts.cylinderVolume : undefined);
+
+  if (best.k < 1 - 1e-9) {
+    const drained = pressureOf(start.gas, best.k * startTotal);
+    steps.push({ action: 'drain', gasName: 'Vidange', pressureAdded: drained - pressure, pressure: drained, mix: start.gas,
+      litres: litresOf((best.k - 1) * startTotal) });
+    pressure = drained;
+  }
+
+  const fills = [
+    { supply: helium, amount: best.fill.he },
+    { supply: oxygen, amount: best.fill.o2 },
+    { supply: best.fill.topSupply, amount: best.fill.top }
+  ];
+  for (const { supply, amount } of fills) {
+    if (!supply || !(amount > 1e-9 * targetTotal)) continue;
+    cur.O2 += supply.gas.FO2 * amount;
+    cur.N2 += supply.gas.FN2 * amount;
+    cur.He += supply.gas.FHe * amount;
+    const mix = mixOf(cur);
+    const next = pressureOf(mix, cur.O2 + cur.N2 + cur.He);
+    steps.push({ action: 'fill', gasName: supply.name, gas: supply.gas, pressureAdded: next - pressure, pressure: next, mix,
+      litres: litresOf(amount) });
+    if (supply.pressure !== undefined && next > supply.pressure + 1e-9) {
+      warnings.push(`⚠️ ${supply.name}: stock à ${supply.pressure} bar, transvasement impossible jusqu'à ${next.toFixed(1)} bar (surpresseur nécessaire)`);
+    }
+    pressure = next;
+  }
+
+  const mix = mixOf(cur);
+  if (Math.abs(mix.FO2 - target.gas.FO2) > 1e-3 || Math.abs(mix.FHe - target.gas.FHe) > 1e-3) {
+    warnings.push(`ℹ️ Mélange obtenu ${gasLabel(mix)} au lieu de ${gasLabel(target.gas)} (gaz purs manquants)`);
+  }
+
+  return { steps, mix, pressure, realGas, warnings };
+}
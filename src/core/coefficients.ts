@@ -0,0 +1,127 @@
+/**
+ * Jeux de coefficients Bühlmann ZH-L16 (A, B, C ou personnalisé)
+ * Les variantes ne diffèrent que par les coefficients a de l'azote :
+ * - ZH-L16A : valeurs expérimentales d'origine
+ * - ZH-L16B : tables imprimées
+ * - ZH-L16C : ordinateurs de plongée (plus conservatrice)
+ * Le compartiment 1b (5 min) remplace par défaut le compartiment 1 (4 min)
+ * Référence: Bühlmann, A.A. (1995). Tauchmedizin. Springer-Verlag.
+ */
+
+import { A_N2, B_N2, A_HE, B_HE, HALF_TIMES_N2, HALF_TIMES_HE } from './constants';
+import { BuhlmannCoefficients, BuhlmannVariant } from './models';
+
+/**
+ * Coefficients historiques du planificateur (constantes du module `constants`)
+ * Les a de l'azote correspondent à ZH-L16A avec le compartiment 1b
+ */
+export const DEFAULT_COEFFICIENTS: BuhlmannCoefficients = {
+  name: 'default',
+  halfTimesN2: HALF_TIMES_N2,
+  halfTimesHe: HALF_TIMES_HE,
+  aN2: A_N2,
+  bN2: B_N2,
+  aHe: A_HE,
+  bHe: B_HE
+};
+
+// Tables publiées : compartiments 1, 1b, 2…16 (17 lignes)
+const ZHL16_HALF_TIMES_N2 = [4.0,5.0,8.0,12.5,18.5,27.0,38.3,54.3,77.0,109.0,146.0,187.0,239.0,305.0,390.0,498.0,635.0];
+const ZHL16_HALF_TIMES_HE = [1.51,1.88,3.02,4.72,6.99,10.21,14.48,20.53,29.11,41.20,55.19,70.69,90.34,115.29,147.42,188.24,240.03];
+const ZHL16_A_N2: Record<BuhlmannVariant, number[]> = {
+  ZHL16A: [1.2599,1.1696,1.0,0.8618,0.7562,0.6667,0.5933,0.5282,0.4701,0.4187,0.3798,0.3497,0.3223,0.2971,0.2737,0.2523,0.2327],
+  ZHL16B: [1.2599,1.1696,1.0,0.8618,0.7562,0.6667,0.5600,0.4947,0.4500,0.4187,0.3798,0.3497,0.3223,0.2850,0.2737,0.2523,0.2327],
+  ZHL16C: [1.2599,1.1696,1.0,0.8618,0.7562,0.6200,0.5043,0.4410,0.4000,0.3750,0.3500,0.3295,0.3065,0.2835,0.2610,0.2480,0.2327]
+};
+const ZHL16_B_N2 = [0.5050,0.5578,0.6514,0.7222,0.7825,0.8126,0.8434,0.8693,0.8910,0.9092,0.9222,0.9319,0.9403,0.9477,0.9544,0.9602,0.9653];
+const ZHL16_A_HE = [1.7424,1.6189,1.3830,1.1919,1.0458,0.9220,0.8205,0.7305,0.6502,0.5950,0.5545,0.5333,0.5189,0.5181,0.5176,0.5172,0.5119];
+const ZHL16_B_HE = [0.4245,0.4770,0.5747,0.6527,0.7223,0.7582,0.7957,0.8279,0.8553,0.8757,0.8903,0.8997,0.9073,0.9122,0.9171,0.9217,0.9267];
+
+/**
+ * Jeu de coefficients publié
+ * @param variant Variante ZH-L16 (A, B ou C)
+ * @param compartment1b Compartiment 1b (5 min) à la place du compartiment 1 (4 min), défaut: true
+ */
+export function getCoefficients(variant: BuhlmannVariant, compartment1b: boolean = true): BuhlmannCoefficients {
+  if (!(variant in ZHL16_A_N2)) {
+    throw new Error(`Variante Bühlmann inconnue: ${variant}`);
+  }
+  const pick = (table: number[]) => table.filter((_, row) => row !== (compartment1b ? 0 : 1));
+  return {
+    name: compartment1b ? `${variant}-1b` : variant,
+    halfTimesN2: pick(ZHL16_HALF_TIMES_N2),
+    halfTimesHe: pick(ZHL16_HALF_TIMES_HE),
+    aN2: pick(ZHL16_A_N2[variant]),
+    bN2: pick(ZHL16_B_N2),
+    aHe: pick(ZHL16_A_HE),
+    bHe: pick(ZHL16_B_HE)
+  };
+}
+
+/**
+ * Valide un jeu de coefficients personnalisé
+ * @param coefficients Jeu à valider
+ * @returns Liste des erreurs et avertissements
+ */
+export function validateCoefficients(coefficients: BuhlmannCoefficients): { errors: string[]; warnings: string[] } {
+  const errors: string[] = [];
+  const warnings: string[] = [];
+  const tables: Array<[string, number[]]> = [
+    ['halfTimesN2', coefficients.halfTimesN2], ['halfTimesHe', coefficients.halfTimesHe],
+    ['aN2', coefficients.aN2], ['bN2', coefficients.bN2],
+    ['aHe', coefficients.aHe], ['bHe', coefficients.bHe]
+  ];
+
+  for (const [name, table] of tables) {
+    if (!Array.isArray(table) || table.length !== HALF_TIMES_N2.length) {
+      errors.push(`🚨 ${name}: ${HALF_TIMES_N2.length} compartiments attendus`);
+    } else if (table.some(v => !Number.isFinite(v))) {
+      errors.push(`🚨 ${name}: valeurs numériques attendues`);
+    }
+  }
+  if (errors.length > 0) return { errors, warnings };
+
+  if ([...coefficients.halfTimesN2, ...coefficients.halfTimesHe].some(t => t <= 0)) {
+    errors.push('🚨 Demi-vies strictement positives attendues');
+  }
+  if ([...coefficients.aN2, ...coefficients.aHe].some(a => a < 0)) {
+    errors.push('🚨 Coefficients a positifs attendus');
+  }
+  if ([...coefficients.bN2, ...coefficients.bHe].some(b => b <= 0 || b > 1)) {
+    errors.push('🚨 Coefficients b attendus dans ]0, 1]');
+  }
+
+  const sorted = (table: number[]) => table.every((v, i) => i === 0 || v >= table[i - 1]);
+  if (!sorted(coefficients.halfTimesN2) || !sorted(coefficients.halfTimesHe)) {
+    warnings.push('⚠️ Demi-vies non triées du compartiment le plus rapide au plus lent');
+  }
+  if (coefficients.halfTimesHe.some((t, i) => t > coefficients.halfTimesN2[i])) {
+    warnings.push('⚠️ Demi-vies hélium plus longues que celles de l\'azote');
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Jeu de coefficients d'un plan : variante publiée, jeu personnalisé validé ou défaut
+ * @param opts Options du planificateur
+ */
+export function resolveCoefficients(opts?: {
+  coefficients?: BuhlmannVariant | BuhlmannCoefficients;
+  compartment1b?: boolean;
+}): BuhlmannCoefficients {
+  const selected = opts?.coefficients;
+  if (selected === undefined) {
+    if (opts?.compartment1b === false) {
+      throw new Error('Compartiment 1 (4 min) disponible uniquement avec une variante ZH-L16 publiée');
+    }
+    return DEFAULT_COEFFICIENTS;
+  }
+  if (typeof selected === 'string') return getCoefficients(selected, opts?.compartment1b ?? true);
+
+  const validation = validateCoefficients(selected);
+  if (validation.errors.length > 0) {
+    throw new Error(`Coefficients invalides: ${validation.errors.join(', ')}`);
+  }
+  return selected;
+}
@@ -8,6 +8,46 @@
 export const SURFACE_PRESSURE = 1.01325;      // bar (pression atmosphérique au niveau de la mer)
 export const WATER_VAPOUR_PRESSURE = 0.0627;  // bar (pression vapeur d'eau dans les poumons à 37°C)
 export const PRESSURE_PER_METER = 0.1;        // bar/m (augmentation de pression par mètre d'eau)
+export const AIR_FN2 = 0.79;                  // Fraction d'azote de l'air respiré en surface
+export const GRAVITY = 9.80665;               // m/s² (gravité standard)
+export const DEFAULT_SAC = 20;                // l/min (consommation en surface par défaut)
+export const STRESSED_SAC = 30;               // l/min (consommation sous stress, bailout et réserve)
+export const TEN_FEET = 3.048;                // m (intervalle de paliers des tables impériales)
+export const CNS_HALF_TIME = 90;              // min (élimination du CNS en surface)
+
+/**
+ * Bouteille par défaut (12 l, 200 bar) pour les gaz sans bouteille configurée
+ */
+export const DEFAULT_CYLINDER = {
+  volume: 12,
+  workingPressure: 200
+};
+
+/**
+ * Masses volumiques des gaz respirés (g/l, 0 °C et 1.01325 bar)
+ */
+export const GAS_DENSITY = {
+  O2: 1.429,
+  N2: 1.251,
+  He: 0.1786
+};
+
+/**
+ * Seuils par défaut de narcose et de densité (Anthony & Mitchell 2016 pour la densité)
+ */
+export const DEFAULT_MAX_END = 30;            // m
+export const DENSITY_WARNING = 5.2;           // g/l (recommandé)
+export const DENSITY_LIMIT = 6.2;             // g/l (maximum)
+
+/**
+ * Masses volumiques de l'eau (kg/m³)
+ * EN13319 : convention des ordinateurs de plongée (1020 kg/m³)
+ */
+export const WATER_DENSITY = {
+  fresh: 1000,
+  en13319: 1020,
+  salt: 1030
+};
 
 /**
  * Demi-vies des 16 compartiments tissulaires (en minutes)
@@ -19,7 +59,8 @@ export const HALF_TIMES_HE = [1.88,3.02,4.72,6.99,10.21,14.48,20.53,29.11,41.20,
 /**
  * Coefficients a et b de Bühlmann pour l'azote (N₂)
  * Utilisés dans le calcul des M-values : M = a + b * P
- * Référence: Tables ZH-L16C de Bühlmann
+ * Référence: Tables ZH-L16 de Bühlmann (a de la variante A, compartiment 1b)
+ * Autres variantes : voir le module `coefficients`
  */
 export const A_N2 = [1.1696,1.0,0.8618,0.7562,0.6667,0.5933,0.5282,0.4701,0.4187,0.3798,0.3497,0.3223,0.2971,0.2737,0.2523,0.2327];
 export const B_N2 = [0.5578,0.6514,0.7222,0.7825,0.8126,0.8434,0.8693,0.8910,0.9092,0.9222,0.9319,0.9403,0.9477,0.9544,0.9602,0.9653];
@@ -0,0 +1,123 @@
+/**
+ * Module de contre-diffusion isobare (ICD) aux changements de gaz
+ * Le passage d'un trimix à un gaz plus riche en azote à profondeur constante peut faire
+ * monter la sursaturation de certains tissus (l'N₂ entre pendant que l'He sort, M-value plus basse) :
+ * - règle des cinquièmes : hausse de la fraction d'N₂ ≤ 1/5 de la baisse de la fraction d'He
+ * - contrôle par compartiment de la sursaturation juste après le changement
+ */
+
+import { GasMix, TissueState, DiveEnvironment, BuhlmannCoefficients, CounterdiffusionCheck } from './models';
+import { DEFAULT_COEFFICIENTS } from './coefficients';
+import { SEA_LEVEL, cloneTissues, depthToPressure, gasLabel, updateConstantDepth } from './utils';
+
+const ICD_WINDOW_MINUTES = 10;    // Fenêtre surveillée après le changement (min)
+const ICD_STEP_MINUTES = 0.1;     // Pas de simulation de la fenêtre (min)
+const ICD_GF_TOLERANCE = 1;       // Hausse de sursaturation ignorée en deçà (points de %)
+
+/**
+ * Vérifie la contre-diffusion isobare d'un changement de gaz
+ * @param from Gaz respiré avant le changement
+ * @param to Nouveau gaz
+ * @param depthM Profondeur du changement (m)
+ * @param opts.tissues État tissulaire au changement (contrôle par compartiment, sinon règle seule)
+ * @param opts.env Conditions ambiantes (défaut: niveau de la mer)
+ * @param opts.coefficients Coefficients Bühlmann (demi-vies et M-values)
+ * @param opts.maxPO2 pO₂ maximale du mélange intermédiaire suggéré (défaut: 1.6)
+ * @param opts.fromName Nom du gaz de départ (messages)
+ * @param opts.toName Nom du nouveau gaz (messages)
+ */
+export function checkCounterdiffusion(
+  from: GasMix, to: GasMix, depthM: number,
+  opts: {
+    tissues?: TissueState;
+    env?: DiveEnvironment;
+    coefficients?: BuhlmannCoefficients;
+    maxPO2?: number;
+    fromName?: string;
+    toName?: string;
+  } = {}
+): CounterdiffusionCheck {
+  const env = opts.env ?? SEA_LEVEL;
+  const coefficients = opts.coefficients ?? DEFAULT_COEFFICIENTS;
+  const { n2Increase, heDecrease, ruleOfFifths } = fractionSwap(from, to);
+  const warnings: string[] = [];
+  const switchLabel = `${gasLabel(from, opts.fromName)} → ${gasLabel(to, opts.toName)}`;
+
+  const suggestedMix = suggestIntermediateMix(from, to, depthM, opts.maxPO2, env);
+  if (!ruleOfFifths) {
+    warnings.push(`⚠️ Contre-diffusion isobare à ${depthM}m (${switchLabel}): N₂ +${(n2Increase * 100).toFixed(0)}% pour He −${(heDecrease * 100).toFixed(0)}% (règle des cinquièmes)`);
+    if (suggestedMix) {
+      warnings.push(`ℹ️ Mélange intermédiaire suggéré à ${depthM}m: ${gasLabel(suggestedMix)}`);
+    }
+  }
+
+  // Sursaturation de chaque compartiment sur la fenêtre suivant le changement
+  const compartments: CounterdiffusionCheck['compartments'] = [];
+  if (opts.tissues) {
+    const pAmb = depthToPressure(depthM, env);
+    const st = cloneTissues(opts.tissues);
+    const before = st.pN2.map((pN2, i) => supersaturation(pN2, st.pHe[i], pAmb, i, coefficients));
+    const peak = before.map(gf => ({ gf, minutes: 0 }));
+    for (let t = ICD_STEP_MINUTES; t <= ICD_WINDOW_MINUTES + 1e-9; t += ICD_STEP_MINUTES) {
+      updateConstantDepth(st, depthM, to, ICD_STEP_MINUTES, env, coefficients);
+      st.pN2.forEach((pN2, i) => {
+        const gf = supersaturation(pN2, st.pHe[i], pAmb, i, coefficients);
+        if (gf > peak[i].gf) peak[i] = { gf, minutes: t };
+      });
+    }
+    peak.forEach((p, i) => {
+      if (p.gf - before[i] > ICD_GF_TOLERANCE) {
+        compartments.push({ compartment: i + 1, gfBefore: before[i], peakGf: p.gf, peakMinutes: p.minutes });
+      }
+    });
+    if (compartments.length > 0) {
+      const worst = compartments.reduce((a, b) => (b.peakGf - b.gfBefore > a.peakGf - a.gfBefore ? b : a));
+      warnings.push(`⚠️ Contre-diffusion isobare à ${depthM}m (${switchLabel}): sursaturation en hausse après le changement (compartiments ${compartments.map(c => c.compartment).join(', ')}, ${worst.gfBefore.toFixed(0)}% → ${worst.peakGf.toFixed(0)}%)`);
+    }
+  }
+
+  return { n2Increase, heDecrease, ruleOfFifths, compartments, suggestedMix, warnings };
+}
+
+/**
+ * Échange de fractions inertes d'un changement de gaz et règle des cinquièmes
+ */
+function fractionSwap(from: GasMix, to: GasMix) {
+  const n2Increase = Math.max(0, to.FN2 - from.FN2);
+  const heDecrease = Math.max(0, from.FHe - to.FHe);
+  // Sans baisse d'hélium, pas de contre-diffusion
+  return { n2Increase, heDecrease, ruleOfFifths: heDecrease <= 0 || n2Increase <= heDecrease / 5 + 1e-9 };
+}
+
+/**
+ * Sursaturation d'un compartiment rapportée à sa M-value brute à la pression ambiante (%)
+ */
+function supersaturation(pN2: number, pHe: number, pAmb: number, i: number, coefficients: BuhlmannCoefficients) {
+  const pn = Math.max(0, pN2), ph = Math.max(0, pHe);
+  const sum = pn + ph || 1e-9;
+  const a = (coefficients.aN2[i] * pn + coefficients.aHe[i] * ph) / sum;
+  const b = (coefficients.bN2[i] * pn + coefficients.bHe[i] * ph) / sum;
+  const mValue = a + pAmb / b;
+  return Math.max(0, (pn + ph - pAmb) / (mValue - pAmb)) * 100;
+}
+
+/**
+ * Suggère un mélange intermédiaire respectant la règle des cinquièmes depuis `from`
+ * - O₂ du gaz visé, limité par la pO₂ maximale à la profondeur du changement
+ * - hélium minimal pour que la hausse d'N₂ ne dépasse pas 1/5 de la baisse d'He
+ * Pourcentages entiers (O₂ arrondi par défaut, He par excès)
+ * @returns Mélange intermédiaire, ou undefined si le changement direct respecte la règle
+ *          ou si aucun mélange plus pauvre en hélium ne la respecte (O₂ non augmentable)
+ */
+export function suggestIntermediateMix(
+  from: GasMix, to: GasMix, depthM: number, maxPO2: number = 1.6, env?: DiveEnvironment
+): GasMix | undefined {
+  if (fractionSwap(from, to).ruleOfFifths) return undefined;
+
+  const pAmb = depthToPressure(depthM, env);
+  const FO2 = Math.floor(Math.min(to.FO2, maxPO2 / pAmb) * 100) / 100;
+  const minHe = (1 - FO2 - from.FN2 - from.FHe / 5) / (1 - 1 / 5);
+  const FHe = Math.min(1 - FO2, Math.max(0, Math.ceil(minHe * 100 - 1e-9) / 100));
+  if (FHe >= from.FHe) return undefined;
+  return { FO2, FHe, FN2: Math.round((1 - FO2 - FHe) * 100) / 100 };
+}
@@ -0,0 +1,547 @@
+/**
+ * Import de plongées enregistrées (Subsurface XML/.ssrf, UDDF 3.x) et rejeu dans le modèle
+ * - les points profondeur/temps/gaz sont simulés avec le même moteur que le planificateur
+ * - plafond, GF99 et SurfGF calculés à chaque point, violations de plafond signalées
+ * Export des plans calculés vers les mêmes formats
+ * Lecteur XML minimal intégré (éléments, attributs, texte), sans dépendance
+ */
+
+import { AIR_FN2, WATER_DENSITY } from './constants';
+import { GasMix, DecompressionPlan, DiveLog, DiveLogSample, DiveReplay, ReplayPoint, CeilingViolation } from './models';
+import { depthToPressure, resolveEnvironment, gasLabel } from './utils';
+import { resolveCoefficients, DEFAULT_COEFFICIENTS } from './coefficients';
+import { PlanOptions, createBuhlmannModel, planStartTissues, supersaturationGf } from './algorithm';
+import { calculateOxygenToxicity, O2Segment } from './oxygen-toxicity';
+
+const CEILING_TOLERANCE = 0.5; // m (bruit du capteur et arrondi des ordinateurs)
+const AIR: GasMix = { FO2: 0.21, FHe: 0, FN2: AIR_FN2 };
+
+type XmlElement = { name: string; attrs: Record<string, string>; children: XmlElement[]; text: string };
+
+const XML_TOKEN = new RegExp([
+  '<!--[\\s\\S]*?-->',                                  // commentaire
+  '<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>',                     // CDATA
+  '<[?!][^>]*>',                                        // prologue, doctype
+  '<\\/\\s*([\\w:.-]+)\\s*>',                             // balise fermante
+  '<([\\w:.-]+)((?:\\s+[\\w:.-]+\\s*=\\s*(?:"[^"]*"|\'[^\']*\'))*)\\s*(\\/?)>', // balise ouvrante
+  '([^<]+)'                                             // texte
+].join('|'), 'y');
+const XML_ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function decodeEntities(text: string): string {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (_, entity: string) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    }
+    return ({ lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' } as Record<string, string>)[entity.toLowerCase()];
+  });
+}
+
+/**
+ * Lecture d'un document XML en arbre d'éléments (espaces de noms ignorés)
+ */
+function parseXml(text: string): XmlElement {
+  const document: XmlElement = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [document];
+  XML_TOKEN.lastIndex = 0;
+
+  while (XML_TOKEN.lastIndex < text.length) {
+    const position = XML_TOKEN.lastIndex;
+    const match = XML_TOKEN.exec(text);
+    if (!match) {
+      throw new Error(`XML invalide à la position ${position}`);
+    }
+    const [token, cdata, closing, opening, attributes, selfClosing, content] = match;
+    const top = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      top.text += cdata;
+    } else if (closing !== undefined) {
+      if (stack.length === 1 || top.name !== localName(closing)) {
+        throw new Error(`XML invalide: balise fermante inattendue </${closing}>`);
+      }
+      stack.pop();
+    } else if (opening !== undefined) {
+      const element: XmlElement = { name: localName(opening), attrs: {}, children: [], text: '' };
+      for (const [, name, double, single] of attributes.matchAll(XML_ATTRIBUTE)) {
+        element.attrs[localName(name)] = decodeEntities(double ?? single);
+      }
+      top.children.push(element);
+      if (!selfClosing) stack.push(element);
+    } else if (content !== undefined) {
+      top.text += decodeEntities(content);
+    } else if (token.startsWith('<!DOCTYPE') && token.includes('[')) {
+      throw new Error('XML invalide: DTD interne non supportée');
+    }
+  }
+  if (stack.length > 1) {
+    throw new Error(`XML invalide: balise <${stack[stack.length - 1].name}> non fermée`);
+  }
+  return document;
+}
+
+const localName = (name: string) => name.slice(name.indexOf(':') + 1);
+const child = (el: XmlElement, name: string) => el.children.find(c => c.name === name);
+const childText = (el: XmlElement, name: string) => child(el, name)?.text.trim();
+
+function descendants(el: XmlElement, name: string, found: XmlElement[] = []): XmlElement[] {
+  for (const c of el.children) {
+    if (c.name === name) found.push(c);
+    else descendants(c, name, found);
+  }
+  return found;
+}
+
+// Valeur numérique avec unité (« 12.3 m », « 32.0% », « 1.013 bar »)
+function parseNumber(value: string | undefined): number | undefined {
+  if (value === undefined) return undefined;
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+// Durée Subsurface (« 45:30 min », « 1:02:10 », « 12 min ») en minutes
+function parseDuration(value: string | undefined): number | undefined {
+  if (value === undefined) return undefined;
+  const clock = value.trim().match(/^(\d+(?::\d+)*)(?:\.\d+)?/);
+  if (!clock) return undefined;
+  const parts = clock[1].split(':').map(Number);
+  if (parts.length === 1) return parts[0];
+  return parts.reduce((total, part) => total * 60 + part, 0) / 60;
+}
+
+function mixFromFractions(fO2: number | undefined, fHe: number | undefined): GasMix {
+  if (fO2 === undefined && !fHe) return AIR;
+  const o2 = fO2 ?? AIR.FO2;
+  const he = fHe ?? 0;
+  if (!(o2 > 0 && he >= 0 && o2 + he <= 1 + 1e-9)) {
+    throw new Error(`Mélange invalide: O₂ ${o2}, He ${he}`);
+  }
+  return { FO2: o2, FHe: he, FN2: Math.max(0, 1 - o2 - he) };
+}
+
+/**
+ * Import d'un carnet Subsurface (XML ou .ssrf)
+ * Premier ordinateur de chaque plongée, changements de gaz par événement `gaschange`
+ * @param text Contenu du fichier
+ * @returns Une plongée par élément `<dive>`
+ */
+export function parseSubsurfaceXml(text: string): DiveLog[] {
+  const document = parseXml(text);
+  return descendants(document, 'dive').map(dive => {
+    const cylinders = dive.children.filter(c => c.name === 'cylinder').map(c => {
+      const gas = mixFromFractions(
+        c.attrs.o2 !== undefined ? parseNumber(c.attrs.o2)! / 100 : undefined,
+        c.attrs.he !== undefined ? parseNumber(c.attrs.he)! / 100 : undefined);
+      return { gas, name: gasLabel(gas) };
+    });
+    if (cylinders.length === 0) cylinders.push({ gas: AIR, name: gasLabel(AIR) });
+
+    // Les anciens fichiers placent les points directement sous <dive>
+    const computer = child(dive, 'divecomputer') ?? dive;
+    const switches = computer.children
+      .filter(c => c.name === 'event' && c.attrs.name === 'gaschange')
+      .map(event => {
+        const time = parseDuration(event.attrs.time) ?? 0;
+        const index = parseNumber(event.attrs.cylinder);
+        if (index !== undefined && cylinders[index]) return { time, ...cylinders[index] };
+        // Ancien format : value = %O₂ + (%He << 16)
+        const value = parseNumber(event.attrs.value) ?? 0;
+        const gas = mixFromFractions((value & 0xffff) / 100 || undefined, (value >> 16) / 100);
+        return { time, gas, name: gasLabel(gas) };
+      })
+      .sort((a, b) => a.time - b.time);
+
+    const samples: DiveLogSample[] = [];
+    let current = cylinders[0];
+    let depth: number | undefined;
+    let nextSwitch = 0;
+    for (const sample of computer.children.filter(c => c.name === 'sample')) {
+      const time = parseDuration(sample.attrs.time);
+      depth = parseNumber(sample.attrs.depth) ?? depth;
+      if (time === undefined || depth === undefined) continue;
+      while (nextSwitch < switches.length && switches[nextSwitch].time <= time) {
+        current = switches[nextSwitch++];
+      }
+      samples.push({ time, depth, gas: current.gas, gasName: current.name });
+    }
+
+    const salinity = parseNumber(child(computer, 'water')?.attrs.salinity); // g/l, soit kg/m³
+    return {
+      format: 'subsurface' as const,
+      id: dive.attrs.number,
+      date: dive.attrs.date ? [dive.attrs.date, dive.attrs.time].filter(Boolean).join(' ') : undefined,
+      surfacePressure: parseNumber(child(computer, 'surface')?.attrs.pressure),
+      waterDensity: salinity,
+      samples
+    };
+  });
+}
+
+/**
+ * Import d'un fichier UDDF 3.x (unités SI : secondes, mètres, pascals)
+ * Gaz définis dans `<gasdefinitions>`, changements par `<switchmix ref>`
+ * @param text Contenu du fichier
+ * @returns Une plongée par élément `<dive>`
+ */
+export function parseUddf(text: string): DiveLog[] {
+  const document = parseXml(text);
+  const mixes = new Map<string, { gas: GasMix; name: string }>();
+  for (const mix of descendants(document, 'mix')) {
+    const gas = mixFromFractions(parseNumber(childText(mix, 'o2')), parseNumber(childText(mix, 'he')));
+    mixes.set(mix.attrs.id, { gas, name: childText(mix, 'name') || gasLabel(gas) });
+  }
+  const mixFor = (ref: string | undefined) => {
+    const mix = ref !== undefined ? mixes.get(ref) : undefined;
+    if (ref !== undefined && !mix) {
+      throw new Error(`UDDF: mélange inconnu ${ref}`);
+    }
+    return mix;
+  };
+
+  return descendants(document, 'dive').map(dive => {
+    const before = child(dive, 'informationbeforedive');
+    const tankMix = descendants(dive, 'tankdata').map(tank => child(tank, 'link')?.attrs.ref).find(Boolean);
+    let current = mixFor(tankMix) ?? (mixes.size === 1 ? [...mixes.values()][0] : { gas: AIR, name: gasLabel(AIR) });
+
+    const samples: DiveLogSample[] = [];
+    let depth: number | undefined;
+    for (const waypoint of descendants(dive, 'waypoint')) {
+      current = mixFor(child(waypoint, 'switchmix')?.attrs.ref) ?? current;
+      const seconds = parseNumber(childText(waypoint, 'divetime'));
+      depth = parseNumber(childText(waypoint, 'depth')) ?? depth;
+      if (seconds === undefined || depth === undefined) continue;
+      samples.push({ time: seconds / 60, depth, gas: current.gas, gasName: current.name });
+    }
+
+    const surfacePressure = parseNumber(before && childText(before, 'surfacepressure')); // Pa
+    return {
+      format: 'uddf' as const,
+      id: dive.attrs.id,
+      date: before && childText(before, 'datetime'),
+      surfacePressure: surfacePressure !== undefined ? surfacePressure / 1e5 : undefined,
+      samples
+    };
+  });
+}
+
+/**
+ * Import d'un carnet, format détecté d'après l'élément racine
+ * @param text Contenu du fichier (Subsurface ou UDDF)
+ */
+export function parseDiveLog(text: string): DiveLog[] {
+  const tag = text.match(/<([\w:.-]+)[\s>/]/);
+  const root = tag ? localName(tag[1]) : undefined;
+  if (root === 'uddf') return parseUddf(text);
+  if (root === 'divelog' || root === 'dives' || root === 'dive') return parseSubsurfaceXml(text);
+  throw new Error(`Format de carnet non reconnu: <${root ?? '?'}>`);
+}
+
+/**
+ * Rejoue une plongée enregistrée dans le modèle Bühlmann + GF
+ * Entre deux points, la profondeur varie linéairement (équation de Schreiner) sur le gaz du premier point ;
+ * un premier point après le début est précédé d'un départ de la surface au temps 0
+ * Le GF est interpolé depuis le plafond GF bas le plus profond rencontré (comme Subsurface)
+ * @param log Plongée importée
+ * @param gfLow Gradient Factor bas (0-1)
+ * @param gfHigh Gradient Factor haut (0-1)
+ * @param opts Environnement, coefficients, état tissulaire et exposition O₂ de départ ; ils priment sur les valeurs enregistrées
+ */
+export function replayDive(log: DiveLog, gfLow: number, gfHigh: number, opts: PlanOptions = {}): DiveReplay {
+  if (log.samples.length === 0) {
+    throw new Error('Plongée sans points enregistrés');
+  }
+  log.samples.forEach((s, i) => {
+    if (!(s.depth >= 0) || !(s.time >= 0) || (i > 0 && s.time < log.samples[i - 1].time)) {
+      throw new Error(`Point invalide: ${s.depth}m à ${s.time}min`);
+    }
+  });
+
+  const env = resolveEnvironment({
+    ...opts,
+    surfacePressure: opts.surfacePressure ?? (opts.altitude === undefined ? log.surfacePressure : undefined),
+    waterDensity: opts.waterDensity ?? (opts.waterType === undefined ? log.waterDensity : undefined)
+  });
+  const coefficients = resolveCoefficients(opts);
+  const st = planStartTissues(opts, env, coefficients);
+  const model = createBuhlmannModel({ gfLow, gfHigh, env, coefficients });
+
+  const points: ReplayPoint[] = [];
+  const violations: CeilingViolation[] = [];
+  const o2Segments: O2Segment[] = [];
+  let firstStop = 0;
+  let open: CeilingViolation | undefined;
+
+  const evaluate = (sample: DiveLogSample) => {
+    firstStop = Math.max(firstStop, model.ceiling(st));
+    const { ceilings } = model.compartmentCeilings!(st, sample.depth, firstStop > 0 ? firstStop : undefined);
+    const ceiling = Math.max(0, ...ceilings);
+    points.push({
+      time: sample.time,
+      depth: sample.depth,
+      gasName: sample.gasName,
+      ceiling,
+      gf99: supersaturationGf(st, depthToPressure(sample.depth, env), coefficients),
+      surfGf: supersaturationGf(st, env.surfacePressure, coefficients)
+    });
+
+    const excess = ceiling - sample.depth;
+    if (excess > CEILING_TOLERANCE) {
+      if (!open) {
+        open = { start: sample.time, end: sample.time, maxExcess: 0, missedStop: false };
+        violations.push(open);
+      }
+      open.end = sample.time;
+      open.maxExcess = Math.max(open.maxExcess, excess);
+    } else {
+      open = undefined;
+    }
+  };
+
+  let prev: DiveLogSample = log.samples[0].time > 0 ? { ...log.samples[0], time: 0, depth: 0 } : log.samples[0];
+  evaluate(prev);
+  for (const sample of log.samples[0] === prev ? log.samples.slice(1) : log.samples) {
+    const minutes = sample.time - prev.time;
+    if (minutes > 0) {
+      model.updateTravel(st, prev.depth, sample.depth, prev.gas, minutes);
+      o2Segments.push({
+        depthM: prev.depth, endDepthM: sample.depth, timeMinutes: minutes, fO2: prev.gas.FO2,
+        gasName: gasLabel(prev.gas, prev.gasName)
+      });
+    }
+    evaluate(sample);
+    prev = sample;
+  }
+
+  const warnings: string[] = [];
+  if (open) open.missedStop = true;
+  for (const v of violations) {
+    warnings.push(v.missedStop
+      ? `🚨 Palier manqué: plafond non respecté depuis ${v.start.toFixed(1)} min jusqu'à la fin (dépassement max ${v.maxExcess.toFixed(1)} m)`
+      : `⚠️ Plafond violé de ${v.start.toFixed(1)} à ${v.end.toFixed(1)} min (dépassement max ${v.maxExcess.toFixed(1)} m)`);
+  }
+  const maxGf99 = Math.max(...points.map(p => p.gf99));
+  if (maxGf99 > 100) {
+    warnings.push(`🚨 M-value dépassée: GF99 max ${maxGf99.toFixed(0)}%`);
+  }
+
+  // Avertissements pO₂ regroupés sur la valeur maximale (un par point sinon)
+  const oxygenToxicity = calculateOxygenToxicity(o2Segments, env, opts.previousOxygenExposure);
+  oxygenToxicity.warnings = oxygenToxicity.warnings.filter(w => !w.includes('pO₂'));
+  if (oxygenToxicity.maxPO2 > 2.0) {
+    oxygenToxicity.warnings.unshift(`🚨 pO₂ dangereuse: ${oxygenToxicity.maxPO2.toFixed(2)} bar (limite absolue: 2.0 bar)`);
+  } else if (oxygenToxicity.maxPO2 > 1.6) {
+    oxygenToxicity.warnings.unshift(`⚠️ pO₂ élevée: ${oxygenToxicity.maxPO2.toFixed(2)} bar (limite recommandée: 1.6 bar)`);
+  }
+
+  return {
+    points,
+    maxCeiling: Math.max(...points.map(p => p.ceiling)),
+    maxGf99,
+    maxSurfGf: Math.max(...points.map(p => p.surfGf)),
+    violations,
+    oxygenToxicity,
+    finalTissues: st,
+    warnings
+  };
+}
+
+/**
+ * Options d'export d'un plan
+ * Environnement et coefficients : ceux utilisés pour calculer le plan
+ */
+export type DiveExportOptions = Pick<PlanOptions,
+  'altitude' | 'surfacePressure' | 'waterType' | 'waterDensity' | 'coefficients' | 'compartment1b'> & {
+  date?: Date;      // Date prévue de la plongée, défaut: maintenant
+  number?: number;  // Numéro de la plongée, défaut: 1
+  notes?: string;   // Notes ajoutées au plan
+};
+
+type ExportPoint = { time: number; depth: number; gasIndex: number; setpoint?: number; stop?: { depth: number; time: number } };
+
+/**
+ * Points du profil d'un plan (sommets des phases) et gaz utilisés dans l'ordre
+ */
+function exportPoints(plan: DecompressionPlan) {
+  if (!plan.profile || plan.profile.length === 0) {
+    throw new Error('Plan sans profil simulé: export impossible');
+  }
+  const gases: Array<{ gas: GasMix; name: string }> = [];
+  const gasIndex = (gas: GasMix, name?: string) => {
+    let index = gases.findIndex(g => g.gas.FO2 === gas.FO2 && g.gas.FHe === gas.FHe);
+    if (index < 0) index = gases.push({ gas, name: gasLabel(gas, name) }) - 1;
+    return index;
+  };
+
+  const first = plan.profile[0];
+  const points: ExportPoint[] = [{ time: 0, depth: first.startDepth, gasIndex: gasIndex(first.gas, first.gasName), setpoint: first.setpoint }];
+  let time = 0;
+  for (const phase of plan.profile) {
+    // Le gaz et le setpoint de la phase s'appliquent dès son point de départ
+    const start = points[points.length - 1];
+    start.gasIndex = gasIndex(phase.gas, phase.gasName);
+    start.setpoint = phase.setpoint;
+    if (phase.phase === 'stop') start.stop = { depth: phase.startDepth, time: phase.time };
+    time += phase.time;
+    points.push({ time, depth: phase.endDepth, gasIndex: start.gasIndex, setpoint: phase.setpoint });
+  }
+  return { points, gases, maxDepth: Math.max(...points.map(p => p.depth)), duration: time };
+}
+
+const escapeXml = (text: string) => text.replace(/[<>&"']/g, c =>
+  ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', '\'': '&apos;' } as Record<string, string>)[c]);
+const pad = (value: number) => String(value).padStart(2, '0');
+const formatDate = (date: Date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const formatTime = (date: Date) => `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+const formatDuration = (minutes: number) => {
+  const seconds = Math.round(minutes * 60);
+  return `${Math.floor(seconds / 60)}:${pad(seconds % 60)} min`;
+};
+const percent = (fraction: number) => `${(fraction * 100).toFixed(1)}%`;
+
+/**
+ * Export d'un plan en document UDDF 3.2 (unités SI)
+ * Mélanges, modèle Bühlmann avec GF, points du profil, paliers et changements de gaz
+ * @param plan Plan calculé (avec son profil)
+ * @param gfLow Gradient Factor bas du plan (0-1)
+ * @param gfHigh Gradient Factor haut du plan (0-1)
+ * @param opts Environnement et coefficients du plan, date et numéro de plongée
+ */
+export function exportUddf(plan: DecompressionPlan, gfLow: number, gfHigh: number, opts: DiveExportOptions = {}): string {
+  const { points, gases, maxDepth, duration } = exportPoints(plan);
+  const env = resolveEnvironment(opts);
+  const coefficients = resolveCoefficients(opts);
+  const date = opts.date ?? new Date();
+  const number = opts.number ?? 1;
+
+  const buehlmann = (plan.decoModel ?? 'buhlmann') === 'buhlmann';
+  const tissues = coefficients.halfTimesN2.flatMap((_, i) => [
+    `      <tissue gas="n2" halflife="${coefficients.halfTimesN2[i]}" number="${i + 1}" a="${coefficients.aN2[i]}" b="${coefficients.bN2[i]}"/>`,
+    `      <tissue gas="he" halflife="${coefficients.halfTimesHe[i]}" number="${i + 1}" a="${coefficients.aHe[i]}" b="${coefficients.bHe[i]}"/>`
+  ]);
+  // Éléments des points dans l'ordre du schéma (alphabétique)
+  const waypoints = points.map((p, i) => {
+    const previous = points[i - 1];
+    return [
+      '          <waypoint>',
+      p.stop ? `            <decostop kind="mandatory" decodepth="${p.stop.depth}" duration="${Math.round(p.stop.time * 60)}"/>` : '',
+      `            <depth>${p.depth}</depth>`,
+      i === 0 ? `            <divemode type="${p.setpoint !== undefined ? 'closedcircuit' : 'opencircuit'}"/>` : '',
+      `            <divetime>${Math.round(p.time * 60)}</divetime>`,
+      p.setpoint !== undefined && p.setpoint !== previous?.setpoint
+        ? `            <setpo2 setby="user">${Math.round(p.setpoint * 1e5)}</setpo2>` : '',
+      p.gasIndex !== previous?.gasIndex ? `            <switchmix ref="mix${p.gasIndex + 1}"/>` : '',
+      '          </waypoint>'
+    ].filter(Boolean).join('\n');
+  });
+  const mixes = gases.map((g, i) => [
+    `    <mix id="mix${i + 1}">`,
+    `      <name>${escapeXml(g.name)}</name>`,
+    `      <o2>${g.gas.FO2}</o2>`,
+    `      <n2>${g.gas.FN2}</n2>`,
+    `      <he>${g.gas.FHe}</he>`,
+    '    </mix>'
+  ].join('\n'));
+  const decoModel = buehlmann ? [
+    '  <decomodel>',
+    '    <buehlmann id="buehlmann1">',
+    ...tissues,
+    `      <gradientfactorhigh>${gfHigh}</gradientfactorhigh>`,
+    `      <gradientfactorlow>${gfLow}</gradientfactorlow>`,
+    '    </buehlmann>',
+    '  </decomodel>'
+  ] : [];
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<uddf xmlns="http://www.streit.cc/uddf/3.2/" version="3.2.0">',
+    '  <generator>',
+    '    <name>buhlmann-planner-agent</name>',
+    '    <type>converter</type>',
+    `    <datetime>${formatDate(date)}T${formatTime(date)}</datetime>`,
+    '  </generator>',
+    '  <gasdefinitions>',
+    ...mixes,
+    '  </gasdefinitions>',
+    ...decoModel,
+    '  <profiledata>',
+    '    <repetitiongroup id="rg1">',
+    `      <dive id="dive${number}">`,
+    '        <informationbeforedive>',
+    ...(buehlmann ? ['          <link ref="buehlmann1"/>'] : []),
+    `          <divenumber>${number}</divenumber>`,
+    `          <datetime>${formatDate(date)}T${formatTime(date)}</datetime>`,
+    `          <surfacepressure>${Math.round(env.surfacePressure * 1e5)}</surfacepressure>`,
+    '        </informationbeforedive>',
+    ...gases.map((_, i) => `        <tankdata id="tank${i + 1}"><link ref="mix${i + 1}"/></tankdata>`),
+    '        <samples>',
+    ...waypoints,
+    '        </samples>',
+    '        <informationafterdive>',
+    `          <greatestdepth>${maxDepth}</greatestdepth>`,
+    `          <diveduration>${Math.round(duration * 60)}</diveduration>`,
+    ...(opts.notes ? [`          <notes><para>${escapeXml(opts.notes)}</para></notes>`] : []),
+    '        </informationafterdive>',
+    '      </dive>',
+    '    </repetitiongroup>',
+    '  </profiledata>',
+    '</uddf>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Export d'un plan en plongée planifiée Subsurface (XML)
+ * Ordinateur « planned dive », bouteilles par gaz, événements `gaschange`,
+ * GF du plan dans les notes et les données complémentaires
+ * @param plan Plan calculé (avec son profil)
+ * @param gfLow Gradient Factor bas du plan (0-1)
+ * @param gfHigh Gradient Factor haut du plan (0-1)
+ * @param opts Environnement et coefficients du plan, date et numéro de plongée
+ */
+export function exportSubsurfaceXml(plan: DecompressionPlan, gfLow: number, gfHigh: number, opts: DiveExportOptions = {}): string {
+  const { points, gases, maxDepth, duration } = exportPoints(plan);
+  const env = resolveEnvironment(opts);
+  const coefficients = resolveCoefficients(opts);
+  const date = opts.date ?? new Date();
+  const density = opts.waterDensity ?? (opts.waterType ? WATER_DENSITY[opts.waterType] : undefined);
+  const gf = `${Math.round(gfLow * 100)}/${Math.round(gfHigh * 100)}`;
+  const ccr = points.some(p => p.setpoint !== undefined);
+  const model = (plan.decoModel ?? 'buhlmann') === 'buhlmann'
+    ? `Bühlmann ${coefficients === DEFAULT_COEFFICIENTS ? 'ZH-L16' : coefficients.name ?? 'personnalisé'} GF ${gf}`
+    : plan.decoModel === 'vpmb' ? 'VPM-B' : plan.decoModel!;
+  const notes = [`Plan ${model}`, opts.notes].filter(Boolean).join('\n');
+
+  const cylinders = gases.map(g => {
+    const o2 = g.gas.FO2 !== 0.21 || g.gas.FHe > 0 ? ` o2='${percent(g.gas.FO2)}'` : '';
+    const he = g.gas.FHe > 0 ? ` he='${percent(g.gas.FHe)}'` : '';
+    return `  <cylinder description='${escapeXml(g.name)}'${o2}${he} />`;
+  });
+  const events = points.flatMap((p, i) => i > 0 && p.gasIndex !== points[i - 1].gasIndex
+    ? [`  <event time='${formatDuration(p.time)}' type='25' name='gaschange' cylinder='${p.gasIndex}' ` +
+       `value='${Math.round(gases[p.gasIndex].gas.FO2 * 100) + (Math.round(gases[p.gasIndex].gas.FHe * 100) << 16)}' />`]
+    : []);
+  const samples = points.map((p, i) => {
+    const setpoint = p.setpoint !== undefined && p.setpoint !== points[i - 1]?.setpoint ? ` po2='${p.setpoint.toFixed(2)} bar'` : '';
+    return `  <sample time='${formatDuration(p.time)}' depth='${p.depth.toFixed(1)} m'${setpoint} />`;
+  });
+
+  return [
+    '<divelog program=\'subsurface\' version=\'3\'>',
+    '<dives>',
+    `<dive number='${opts.number ?? 1}' date='${formatDate(date)}' time='${formatTime(date)}' duration='${formatDuration(duration)}'>`,
+    `  <notes>${escapeXml(notes)}</notes>`,
+    ...cylinders,
+    `  <divecomputer model='planned dive'${ccr ? ' dctype=\'CCR\'' : ''}>`,
+    `  <depth max='${maxDepth.toFixed(1)} m' />`,
+    `  <surface pressure='${env.surfacePressure.toFixed(3)} bar' />`,
+    ...(density !== undefined ? [`  <water salinity='${Math.round(density)} g/l' />`] : []),
+    `  <extradata key='Deco model' value='${escapeXml(model)}' />`,
+    ...events,
+    ...samples,
+    '  </divecomputer>',
+    '</dive>',
+    '</dives>',
+    '</divelog>',
+    ''
+  ].join('\n');
+}
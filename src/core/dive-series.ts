@@ -0,0 +1,70 @@
+/**
+ * Module de planification de plongées successives
+ * Les tissus sont désaturés à l'air en surface (pression locale) pendant chaque intervalle,
+ * la plongée suivante démarre avec l'azote/hélium résiduel
+ * L'exposition à l'oxygène (CNS résiduel, OTU du jour) est reportée de la même façon
+ */
+
+import { GasMix, MultiGasPlan, DiveSegment, TissueState, DecompressionPlan, OxygenExposure } from './models';
+import { cloneTissues, surfaceInterval, resolveEnvironment } from './utils';
+import { resolveCoefficients } from './coefficients';
+import { planDecompressionProfile, planStartTissues, PlanOptions } from './algorithm';
+import { recoverOxygenExposure } from './oxygen-toxicity';
+
+export interface SeriesDive {
+  segments: DiveSegment[];        // Profil de la plongée
+  gas: GasMix | MultiGasPlan;     // Gaz unique ou plan multi-gaz
+  surfaceIntervalMin?: number;    // Intervalle de surface avant cette plongée (min), ignoré pour la première
+}
+
+export interface DiveSeriesResult {
+  plans: DecompressionPlan[];     // Un plan par plongée
+  startTissues: TissueState[];    // État tissulaire au début de chaque plongée
+  finalTissues: TissueState;      // État tissulaire à la sortie de la dernière plongée
+  oxygenExposure?: OxygenExposure; // Exposition O₂ à la sortie de la dernière plongée (si calculée)
+}
+
+/**
+ * Planifie une série de plongées successives
+ * @param dives Plongées dans l'ordre chronologique
+ * @param gfLow GF bas (0-1)
+ * @param gfHigh GF haut (0-1)
+ * @param opts Options du planificateur, `initialTissues` et `previousOxygenExposure` = état avant la première plongée
+ */
+export function planDiveSeries(
+  dives: SeriesDive[],
+  gfLow: number, gfHigh: number,
+  opts?: PlanOptions
+): DiveSeriesResult {
+  if (dives.length === 0) {
+    throw new Error('Série vide: au moins une plongée est requise');
+  }
+
+  const env = resolveEnvironment(opts);
+  const coefficients = resolveCoefficients(opts);
+  let st = planStartTissues(opts ?? {}, env, coefficients);
+  const plans: DecompressionPlan[] = [];
+  const startTissues: TissueState[] = [];
+  let exposure: OxygenExposure | undefined = opts?.previousOxygenExposure ?? { cns: 0, dailyOtu: [0] };
+
+  dives.forEach((dive, index) => {
+    const interval = dive.surfaceIntervalMin ?? 0;
+    if (index > 0) {
+      if (!(interval >= 0)) {
+        throw new Error(`Intervalle de surface invalide avant la plongée ${index + 1}: ${interval}min`);
+      }
+      surfaceInterval(st, interval, env, coefficients);
+      exposure = exposure && recoverOxygenExposure(exposure, interval);
+    }
+
+    startTissues.push(cloneTissues(st));
+    const plan = planDecompressionProfile(dive.segments, dive.gas, gfLow, gfHigh, {
+      ...opts, initialTissues: st, previousOxygenExposure: exposure
+    });
+    plans.push(plan);
+    st = cloneTissues(plan.finalTissues!);
+    exposure = plan.oxygenToxicity?.exposure;
+  });
+
+  return { plans, startTissues, finalTissues: st, oxygenExposure: exposure };
+}
@@ -0,0 +1,172 @@
+/**
+ * Module de calcul de consommation de gaz en circuit ouvert
+ * Consommation = SAC (l/min en surface) × pression ambiante moyenne × durée
+ */
+
+import {
+  GasMix, ProfileSegment, DiveEnvironment, Cylinder,
+  GasConsumptionSettings, GasConsumptionReport, GasBudget, SegmentGasUsage
+} from './models';
+import { DEFAULT_CYLINDER, STRESSED_SAC } from './constants';
+import { depthToPressure, gasLabel } from './utils';
+import { cylinderGasVolume, cylinderPressure } from './real-gas';
+
+export interface GasUsage {
+  gas: GasMix;       // Mélange consommé
+  name?: string;     // Nom du gaz
+  litres: number;    // Volume de gaz libre consommé (litres à 1 bar)
+}
+
+/**
+ * Volume consommé sur une phase (pression moyenne si la profondeur varie)
+ * @param segment Phase du profil
+ * @param sac Consommation en surface (l/min)
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
+ * @returns Litres de gaz libre (à 1 bar)
+ */
+export function calculateSegmentGasUsage(segment: ProfileSegment, sac: number, env?: DiveEnvironment): number {
+  const meanPressure = depthToPressure((segment.startDepth + segment.endDepth) / 2, env);
+  return sac * meanPressure * segment.time;
+}
+
+/**
+ * Consommation par gaz sur les phases en circuit ouvert d'un profil
+ * Les phases effectuées sur la boucle (CCR) ne consomment pas de gaz en circuit ouvert
+ * @param profile Phases simulées du plan
+ * @param sac Consommation en surface (l/min)
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
+ * @returns Consommation par gaz, dans l'ordre d'utilisation
+ */
+export function calculateProfileGasUsage(
+  profile: ProfileSegment[], sac: number, env?: DiveEnvironment
+): GasUsage[] {
+  const usage: GasUsage[] = [];
+
+  for (const segment of profile) {
+    if (segment.setpoint !== undefined) continue;
+    const litres = calculateSegmentGasUsage(segment, sac, env);
+    const existing = usage.find(u => sameGas(u.gas, segment.gas));
+    if (existing) {
+      existing.litres += litres;
+    } else {
+      usage.push({ gas: segment.gas, name: segment.gasName, litres });
+    }
+  }
+
+  return usage;
+}
+
+/**
+ * Bilan de gaz d'un profil simulé
+ * - consommation par phase et par gaz au SAC nominal
+ * - réserve rock-bottom : remontée finale (depuis son début) partagée entre plongeurs,
+ *   au SAC sous stress, avec un temps de résolution du problème à la profondeur de départ
+ * - pression de demi-tour du gaz de fond (moitié ou tiers du gaz utilisable au-delà de la réserve)
+ * - conversion litres ↔ bar en gaz parfait, ou en gaz réel avec `realGas`
+ * @param profile Phases simulées du plan
+ * @param settings SAC, bouteilles et règles de réserve
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
+ */
+export function calculateGasConsumption(
+  profile: ProfileSegment[], settings: GasConsumptionSettings, env?: DiveEnvironment
+): GasConsumptionReport {
+  const stressedSac = settings.stressedSac ?? STRESSED_SAC;
+  const divers = settings.divers ?? 2;
+  const problemSolvingMin = settings.problemSolvingMin ?? 1;
+  if (!(settings.sac > 0) || !(stressedSac > 0) || !(divers >= 1) || !(problemSolvingMin >= 0)) {
+    throw new Error('Paramètres de consommation invalides');
+  }
+
+  const openCircuit = profile.filter(p => p.setpoint === undefined);
+  const segments: SegmentGasUsage[] = openCircuit.map(p => ({
+    phase: p.phase,
+    startDepth: p.startDepth,
+    endDepth: p.endDepth,
+    time: p.time,
+    gasName: p.gasName,
+    litres: calculateSegmentGasUsage(p, settings.sac, env)
+  }));
+
+  // Remontée finale : dernières phases de remontée et de paliers en circuit ouvert
+  let ascentStart = profile.length;
+  while (ascentStart > 0 && (profile[ascentStart - 1].phase === 'ascent' || profile[ascentStart - 1].phase === 'stop')) {
+    ascentStart--;
+  }
+  const finalAscent = profile.slice(ascentStart).filter(p => p.setpoint === undefined);
+
+  const warnings: string[] = [];
+  const gases = calculateProfileGasUsage(profile, settings.sac, env).map((usage, index): GasBudget => {
+    const cylinder = cylinderFor(usage.gas, settings);
+    const start = cylinder.startPressure ?? cylinder.workingPressure;
+    if (!(cylinder.volume > 0) || !(start > 0)) {
+      throw new Error(`Bouteille invalide: ${cylinder.volume}l/${start}bar`);
+    }
+
+    let minimumGas = finalAscent
+      .filter(p => sameGas(p.gas, usage.gas))
+      .reduce((sum, p) => sum + calculateSegmentGasUsage(p, stressedSac, env), 0);
+    if (finalAscent.length > 0 && sameGas(finalAscent[0].gas, usage.gas)) {
+      minimumGas += stressedSac * depthToPressure(finalAscent[0].startDepth, env) * problemSolvingMin;
+    }
+    minimumGas *= divers;
+
+    // Gaz réel : pressions déduites du gaz libre restant dans la bouteille
+    const litresAt = (pressure: number) =>
+      settings.realGas ? cylinderGasVolume(cylinder.volume, usage.gas, pressure) : cylinder.volume * pressure;
+    const pressureFor = (litres: number) =>
+      settings.realGas && litres > 0 ? cylinderPressure(cylinder.volume, usage.gas, litres) : litres / cylinder.volume;
+    const available = litresAt(start);
+    const pressureUsed = settings.realGas
+      ? Math.ceil(start - pressureFor(available - usage.litres))
+      : Math.ceil(usage.litres / cylinder.volume);
+    const rockBottom = Math.ceil(pressureFor(minimumGas));
+    const endPressure = start - pressureUsed;
+    const label = gasLabel(usage.gas, usage.name);
+
+    if (start > cylinder.workingPressure) {
+      warnings.push(`⚠️ ${label}: pression de départ ${start} bar supérieure à la pression de service ${cylinder.workingPressure} bar`);
+    }
+    if (endPressure < 0) {
+      warnings.push(`🚨 ${label}: consommation prévue ${pressureUsed} bar supérieure aux ${start} bar disponibles`);
+    } else if (endPressure < rockBottom) {
+      warnings.push(`🚨 ${label}: réserve insuffisante, ${endPressure} bar restants pour ${rockBottom} bar de rock-bottom`);
+    }
+
+    // Demi-tour : seul le gaz de fond est consommé à l'aller
+    let turnPressure: number | undefined;
+    if (index === 0) {
+      const share = settings.turnRule === 'thirds' ? 3 : 2;
+      const usable = Math.max(0, start - rockBottom);
+      turnPressure = settings.realGas
+        ? Math.ceil(pressureFor(available - Math.max(0, available - litresAt(rockBottom)) / share))
+        : Math.ceil(start - usable / share);
+    }
+
+    return {
+      gas: usage.gas,
+      name: usage.name,
+      cylinder,
+      litres: usage.litres,
+      available,
+      pressureUsed,
+      endPressure,
+      minimumGas,
+      rockBottom,
+      turnPressure
+    };
+  });
+
+  return { sac: settings.sac, stressedSac, segments, gases, warnings };
+}
+
+function cylinderFor(gas: GasMix, settings: GasConsumptionSettings): Cylinder {
+  const own = settings.cylinders?.find(c => sameGas(c.gas, gas));
+  return own?.cylinder ?? settings.cylinder ?? DEFAULT_CYLINDER;
+}
+
+/**
+ * Deux mélanges de même composition (objets distincts ou non)
+ */
+export function sameGas(a: GasMix, b: GasMix): boolean {
+  return Math.abs(a.FO2 - b.FO2) < 1e-6 && Math.abs(a.FHe - b.FHe) < 1e-6;
+}
@@ -88,6 +88,7 @@ export const GF_PROFILES: { [key: string]: GradientFactorProfile } = {
     useCase: "Plongée en altitude, eau froide, effort important, fatigue",
     warnings: [
       "Ajuster selon l'altitude réelle",
+      "Les GF ne corrigent pas la pression de surface : utiliser l'option altitude du planificateur",
       "Considérer les facteurs personnels (âge, condition physique)"
     ]
   }
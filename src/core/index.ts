@@ -1,7 +1,18 @@
 export * from './constants';
 export * from './models';
 export * from './utils';
+export * from './coefficients';
 export * from './algorithm';
 export * from './gradient-factors';
 export * from './oxygen-toxicity';
 export * from './multi-gas';
+export * from './counterdiffusion';
+export * from './dive-series';
+export * from './rebreather';
+export * from './vpm-b';
+export * from './gas-consumption';
+export * from './narcosis';
+export * from './real-gas';
+export * from './blending';
+export * from './dive-log';
+export * from './ndl';
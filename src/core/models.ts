@@ -1,9 +1,54 @@
 export interface GasMix { FO2: number; FHe: number; FN2: number; }
 
 export interface GasSwitch {
-  depth: number;    // Profondeur de changement de gaz (m)
+  depth: number;    // Profondeur de changement de gaz (m), tenue comme un palier
   gas: GasMix;      // Nouveau gaz à utiliser
   name?: string;    // Nom du gaz (ex: "EAN50", "O2")
+  maxPO2?: number;  // pO₂ maximale de ce gaz (défaut: limite déco du plan)
+  minStopMinutes?: number; // Palier minimal au changement (min), défaut: option du plan
+}
+
+/**
+ * Changement de gaz effectué à la remontée
+ */
+export interface GasSwitchEvent {
+  depth: number;    // m
+  runtime: number;  // min
+  gas: GasMix;
+  gasName?: string;
+  counterdiffusion?: CounterdiffusionCheck; // Contre-diffusion isobare au changement
+}
+
+/**
+ * Contre-diffusion isobare d'un changement de gaz
+ * - règle des cinquièmes : hausse de la fraction d'N₂ ≤ 1/5 de la baisse de la fraction d'He
+ * - compartiments dont la sursaturation augmente juste après le changement (profondeur constante)
+ */
+export interface CounterdiffusionCheck {
+  n2Increase: number;    // Hausse de la fraction d'N₂ (0-1)
+  heDecrease: number;    // Baisse de la fraction d'He (0-1)
+  ruleOfFifths: boolean; // Règle des cinquièmes respectée
+  compartments: Array<{
+    compartment: number; // Numéro du compartiment (1-16)
+    gfBefore: number;    // Sursaturation au changement (% de la M-value à la pression ambiante)
+    peakGf: number;      // Sursaturation au pic (%)
+    peakMinutes: number; // Délai du pic après le changement (min)
+  }>;
+  suggestedMix?: GasMix; // Mélange intermédiaire respectant la règle des cinquièmes
+  warnings: string[];
+}
+
+/**
+ * Recycleur à circuit fermé (CCR) à setpoint constant
+ * Le setpoint bas s'applique jusqu'à `switchDepth` atteinte ou `switchTime` écoulé,
+ * puis le setpoint haut jusqu'à la fin de la plongée
+ */
+export interface RebreatherSettings {
+  diluent: GasMix;        // Diluant
+  lowSetpoint?: number;   // Setpoint bas (bar), défaut: setpoint haut pendant toute la plongée
+  highSetpoint: number;   // Setpoint haut (bar)
+  switchDepth?: number;   // Profondeur de passage au setpoint haut (m)
+  switchTime?: number;    // Runtime de passage au setpoint haut (min)
 }
 
 export interface MultiGasPlan {
@@ -11,13 +56,118 @@ export interface MultiGasPlan {
   decoGases: GasSwitch[];      // Gaz de décompression (triés par profondeur décroissante)
 }
 export interface TissueState { pN2: number[]; pHe: number[]; }
+
+/**
+ * Conditions ambiantes de la plongée
+ */
+export interface DiveEnvironment {
+  surfacePressure: number;   // Pression atmosphérique en surface (bar)
+  pressurePerMeter: number;  // Augmentation de pression par mètre d'eau (bar/m)
+}
+
+export type WaterType = 'fresh' | 'salt' | 'en13319';
+
+export type BuhlmannVariant = 'ZHL16A' | 'ZHL16B' | 'ZHL16C';
+
+/**
+ * Coefficients du modèle Bühlmann, un élément par compartiment
+ * M-value : M = a + P / b (Baker), du compartiment le plus rapide au plus lent
+ */
+export interface BuhlmannCoefficients {
+  name?: string;
+  halfTimesN2: number[];  // Demi-vies azote (min)
+  halfTimesHe: number[];  // Demi-vies hélium (min)
+  aN2: number[];
+  bN2: number[];
+  aHe: number[];
+  bHe: number[];
+}
+
+/**
+ * Segment d'un profil multi-niveaux
+ * Le plongeur se déplace vers `depth` (à `rate` m/min) puis y reste `time` minutes
+ */
+export interface DiveSegment {
+  depth: number;     // Profondeur cible (m)
+  time: number;      // Durée à la profondeur cible (min), transition non comprise
+  rate?: number;     // Vitesse de transition vers la profondeur cible (m/min)
+  gas?: GasMix;      // Gaz respiré (défaut: gaz du segment précédent)
+  gasName?: string;  // Nom du gaz
+}
 export interface DecompressionStop { 
   depth: number; 
   time: number; 
   gf: number;
   gas?: GasMix;    // Gaz utilisé pendant ce palier
   gasName?: string; // Nom du gaz
+  setpoint?: number; // pO₂ de la boucle pendant ce palier (CCR)
+  travelTime?: number; // Temps de déplacement depuis le palier précédent ou le fond (min)
+  runtime?: number;    // Runtime à la sortie du palier (min)
+}
+
+/**
+ * Arrondi des durées de palier, appliqué au palier simulé (le plan affiché est celui calculé)
+ * - `minute` : chaque palier arrondi à la minute supérieure
+ * - `runtime` : sortie du palier à la minute de runtime supérieure (tables)
+ * - `exact` : durée exacte arrondie à la seconde supérieure
+ */
+export type StopRounding = 'minute' | 'runtime' | 'exact';
+
+/**
+ * Vitesse d'une tranche de profondeur : s'applique à partir de `fromDepth`
+ * jusqu'à la tranche suivante plus profonde (la tranche la moins profonde couvre aussi la surface)
+ */
+export interface RateBand {
+  fromDepth: number;  // m
+  rate: number;       // m/min
 }
+
+export type TravelRate = number | RateBand[];
+
+/**
+ * Vitesses de déplacement par phase (m/min), éventuellement par tranche de profondeur
+ * Défauts : descente 19 m/min, remontée 9 m/min ; les phases suivantes reprennent la précédente
+ */
+export interface RateSchedule {
+  descent?: TravelRate;       // Descentes (profil et retour au premier palier)
+  ascent?: TravelRate;        // Remontées du profil et vers le premier palier
+  betweenStops?: TravelRate;  // D'un palier au suivant
+  surface?: TravelRate;       // Du dernier palier à la surface
+}
+/**
+ * Phase simulée du profil (déplacement ou temps à profondeur constante)
+ * Les temps sont ceux réellement simulés, non arrondis
+ */
+export interface ProfileSegment {
+  phase: 'descent' | 'bottom' | 'ascent' | 'stop';
+  startDepth: number;  // Profondeur au début de la phase (m)
+  endDepth: number;    // Profondeur à la fin de la phase (m)
+  time: number;        // Durée (min)
+  gas: GasMix;         // Gaz respiré (diluant en CCR)
+  gasName?: string;    // Nom du gaz
+  setpoint?: number;   // Setpoint actif si la phase est effectuée sur la boucle (CCR)
+}
+/**
+ * Part de la toxicité oxygène d'une phase ou d'un gaz
+ */
+export interface OxygenToxicityShare {
+  key: string;         // Phase (descent, bottom, ascent, stop) ou nom du gaz
+  time: number;        // Durée d'exposition (min)
+  cns: number;         // CNS ajouté (%)
+  otu: number;         // OTU ajoutées
+  maxPO2: number;      // pO₂ maximale (bar)
+}
+
+/**
+ * Exposition à l'oxygène reportée d'une plongée à la suivante (série, carnet de plongée)
+ * Les jours d'exposition sont des fenêtres de 24 h démarrant à la première plongée de la série
+ */
+export interface OxygenExposure {
+  cns: number;             // CNS résiduel (%)
+  dailyOtu: number[];      // OTU par jour d'exposition consécutif, jour en cours en dernier
+  dayElapsedMin?: number;  // Temps écoulé depuis le début du jour en cours (min), défaut: 0
+}
+
 export interface DecompressionPlan { 
   firstStopDepth: number; 
   stops: DecompressionStop[]; 
@@ -30,5 +180,273 @@ export interface DecompressionPlan {
     otu: number;         // Unités OTU
     maxPO2: number;      // pO₂ maximale rencontrée
     warnings: string[];  // Avertissements de sécurité
+    exposure?: OxygenExposure; // Exposition cumulée en sortie de plongée
+    phases?: OxygenToxicityShare[]; // Répartition par phase, dans l'ordre de la plongée
+    gases?: OxygenToxicityShare[];  // Répartition par gaz, dans l'ordre d'utilisation
   };
+  warnings?: string[];   // Avertissements du profil (plafond violé, etc.)
+  finalTissues?: TissueState; // État tissulaire en surface à la fin de la plongée
+  profile?: ProfileSegment[];  // Phases simulées, dans l'ordre
+  gasConsumption?: GasConsumptionReport; // Consommation et réserves (si `gasConsumption` fourni)
+  narcosis?: NarcosisReport; // END, EAD et densité par phase (si `narcosis` fourni)
+  decoModel?: string;    // Modèle de décompression utilisé (buhlmann, vpmb…)
+  travelTimes?: { descent: number; ascent: number }; // Temps de déplacement cumulés (min, non arrondis)
+  gasSwitches?: GasSwitchEvent[]; // Changements de gaz de la remontée
+  trace?: TraceStep[];   // État à chaque pas simulé (option `trace`)
+}
+
+/**
+ * État tissulaire à la fin d'un pas simulé (mode trace)
+ */
+export interface TraceStep {
+  runtime: number;            // Temps simulé écoulé (min, non arrondi)
+  depth: number;              // Profondeur (m)
+  phase: ProfileSegment['phase'];
+  gas: GasMix;                // Gaz inspiré (gaz de la boucle en CCR)
+  gasName?: string;
+  pN2: number[];              // Tensions N₂ par compartiment (bar)
+  pHe: number[];              // Tensions He par compartiment (bar)
+  ceilings: number[];         // Plafond par compartiment (m)
+  ceiling: number;            // Plafond du compartiment directeur (m)
+  leadingCompartment: number; // Index du compartiment directeur (0 = plus rapide)
+  gf?: number;                // GF appliqué (Bühlmann)
+  gf99: number;               // Sursaturation rapportée à la M-value à la pression ambiante (%)
+  surfGf: number;             // Sursaturation rapportée à la M-value en surface (%)
+}
+
+/**
+ * Modèle de décompression branché sur le moteur de planification
+ * Le moteur simule le profil et les paliers ; le modèle fournit la charge tissulaire,
+ * le plafond du premier palier et l'autorisation de quitter un palier
+ */
+export interface DecompressionModel {
+  name: string;
+  update(state: TissueState, depthM: number, gas: GasMix, minutes: number): void; // Charge tissulaire (en place)
+  updateTravel(state: TissueState, fromM: number, toM: number, gas: GasMix, minutes: number): void; // Déplacement à vitesse constante
+  ceiling(state: TissueState): number;          // Plafond (m) fixant le premier palier
+  canAscend(state: TissueState, nextDepth: number, firstStopDepth: number): boolean; // Palier suivant autorisé
+  stopGf(depthM: number, firstStopDepth: number): number; // GF reporté sur les paliers
+  startAscent?(state: TissueState, runtime: number): void; // Appelé au début de la remontée
+  nextPass?(state: TissueState, ascentTime: number): boolean; // Remontée à recalculer (état en surface)
+  // Plafonds par compartiment pour le mode trace (`firstStopDepth` connu pendant la remontée)
+  compartmentCeilings?(state: TissueState, depthM: number, firstStopDepth?: number): { ceilings: number[]; gf?: number };
+}
+
+/**
+ * Paramètres communs transmis à la création d'un modèle
+ */
+export interface DecompressionModelContext {
+  gfLow: number;
+  gfHigh: number;
+  env: DiveEnvironment;
+  coefficients: BuhlmannCoefficients;
+  stopInterval?: number; // Intervalle entre paliers (m), défaut: 3
+}
+
+export type DecompressionModelFactory = (context: DecompressionModelContext) => DecompressionModel;
+
+/**
+ * Plan de secours comparé au plan nominal
+ */
+export interface ContingencyPlan {
+  plan: DecompressionPlan;
+  gasUsage: Array<{ gas: GasMix; name?: string; litres: number }>; // Consommation par gaz (litres à 1 bar)
+  extraTts: number;   // TTS supplémentaire par rapport au nominal (min)
+  extraCns: number;   // CNS supplémentaire (%)
+  extraGas: number;   // Gaz supplémentaire, tous gaz confondus (litres à 1 bar)
+}
+
+/**
+ * Plans de secours en cas de perte d'un ou plusieurs gaz de déco
+ */
+export interface LostGasPlans {
+  nominal: ContingencyPlan;
+  contingencies: Array<ContingencyPlan & { lostGases: string[] }>;
+}
+
+/**
+ * Ligne de la table de runtime : sortie d'un palier
+ */
+export interface RuntimeTableEntry {
+  depth: number;     // Profondeur du palier (m)
+  time: number;      // Durée du palier (min)
+  runtime: number;   // Runtime à la sortie du palier (min, arrondi supérieur)
+  gasName?: string;  // Gaz respiré au palier
+}
+
+/**
+ * Case de la grille « plus profond / plus long »
+ */
+export interface ScheduleCell {
+  depthDelta: number;   // Profondeur ajoutée au niveau le plus profond (m)
+  timeDelta: number;    // Temps ajouté au niveau le plus profond (min)
+  maxDepth: number;     // Profondeur maximale du profil (m)
+  plan: DecompressionPlan;
+  runtimeTable: RuntimeTableEntry[];
+}
+
+/**
+ * Bouteille de plongée
+ */
+export interface Cylinder {
+  volume: number;          // Volume en eau (litres)
+  workingPressure: number; // Pression de service (bar)
+  startPressure?: number;  // Pression au départ (bar), défaut: pression de service
+}
+
+/**
+ * Paramètres de consommation de gaz en circuit ouvert
+ * La réserve (rock-bottom) couvre la remontée finale à deux plongeurs
+ * sur un même gaz, au SAC sous stress, après un temps de résolution du problème au fond
+ */
+export interface GasConsumptionSettings {
+  sac: number;                 // Consommation en surface (l/min)
+  stressedSac?: number;        // Consommation sous stress (l/min), défaut: STRESSED_SAC
+  cylinder?: Cylinder;         // Bouteille par défaut, défaut: DEFAULT_CYLINDER
+  cylinders?: Array<{ gas: GasMix; cylinder: Cylinder }>; // Bouteille propre à un gaz
+  divers?: number;             // Plongeurs respirant la réserve (défaut: 2, remontée partagée)
+  problemSolvingMin?: number;  // Temps de résolution au début de la remontée (défaut: 1 min)
+  turnRule?: 'half' | 'thirds'; // Part du gaz utilisable consommée avant demi-tour (défaut: moitié)
+  realGas?: boolean;           // Conversion litres ↔ bar en gaz réel (défaut: gaz parfait)
+}
+
+/**
+ * Consommation d'une phase du profil
+ */
+export interface SegmentGasUsage {
+  phase: ProfileSegment['phase'];
+  startDepth: number;
+  endDepth: number;
+  time: number;
+  gasName?: string;
+  litres: number;      // Litres de gaz libre (à 1 bar)
+}
+
+/**
+ * Bilan d'un gaz : consommation, réserve et pression de demi-tour
+ */
+export interface GasBudget {
+  gas: GasMix;
+  name?: string;
+  cylinder: Cylinder;
+  litres: number;           // Consommation prévue (litres à 1 bar)
+  available: number;        // Gaz libre au départ (litres à 1 bar)
+  pressureUsed: number;     // Pression consommée (bar)
+  endPressure: number;      // Pression restante en fin de plongée (bar)
+  minimumGas: number;       // Réserve rock-bottom (litres à 1 bar)
+  rockBottom: number;       // Réserve rock-bottom (bar)
+  turnPressure?: number;    // Pression de demi-tour (bar), gaz de fond uniquement
+}
+
+export interface GasConsumptionReport {
+  sac: number;
+  stressedSac: number;
+  segments: SegmentGasUsage[]; // Phases en circuit ouvert
+  gases: GasBudget[];          // Un bilan par gaz, dans l'ordre d'utilisation
+  warnings: string[];
+}
+
+/**
+ * Seuils de l'analyse de narcose et de densité du gaz respiré
+ */
+export interface NarcosisSettings {
+  o2Narcotic?: boolean;     // O₂ compté comme narcotique dans l'END (défaut: true)
+  maxEnd?: number;          // END maximale (m), défaut: 30
+  densityWarning?: number;  // Densité recommandée maximale (g/l), défaut: 5.2
+  densityLimit?: number;    // Densité maximale (g/l), défaut: 6.2
+}
+
+/**
+ * Narcose et densité d'une phase, au point le plus profond de la phase
+ */
+export interface SegmentNarcosis {
+  phase: ProfileSegment['phase'];
+  startDepth: number;
+  endDepth: number;
+  time: number;
+  gasName?: string;
+  end: number;         // Profondeur équivalente narcotique (m)
+  ead?: number;        // Profondeur équivalente air (m), nitrox uniquement
+  density: number;     // Densité du gaz respiré (g/l)
+}
+
+export interface NarcosisReport {
+  o2Narcotic: boolean;
+  segments: SegmentNarcosis[];
+  maxEnd: number;      // END maximale atteinte (m)
+  maxDensity: number;  // Densité maximale atteinte (g/l)
+  warnings: string[];
+}
+
+/**
+ * Scénario de bailout CCR → circuit ouvert
+ */
+export interface BailoutPlan {
+  nominal: DecompressionPlan;   // Plan recycleur nominal
+  bailout: DecompressionPlan;   // Plan avec remontée en circuit ouvert
+  bailoutRuntime: number;       // Runtime de sortie de boucle (min)
+  bailoutDepth: number;         // Profondeur de sortie de boucle (m)
+  tts: number;                  // Temps de remontée en bailout (min)
+  sac: number;                  // SAC sous stress utilisé (l/min)
+  gasRequirements: Array<{ gas: GasMix; name?: string; litres: number }>; // Volume requis par bouteille de bailout
+  warnings: string[];
+}
+
+/**
+ * Point enregistré d'une plongée réelle (Subsurface, UDDF)
+ * Le gaz est celui respiré à partir de ce point
+ */
+export interface DiveLogSample {
+  time: number;                // Temps depuis le début de la plongée (min)
+  depth: number;               // Profondeur (m)
+  gas: GasMix;
+  gasName?: string;
+}
+
+/**
+ * Plongée importée d'un carnet
+ */
+export interface DiveLog {
+  format: 'subsurface' | 'uddf';
+  id?: string;                 // Numéro ou identifiant de la plongée
+  date?: string;               // Date et heure telles qu'enregistrées
+  surfacePressure?: number;    // Pression de surface enregistrée (bar)
+  waterDensity?: number;       // Masse volumique de l'eau enregistrée (kg/m³)
+  samples: DiveLogSample[];
+}
+
+/**
+ * État calculé à un point de la plongée rejouée
+ */
+export interface ReplayPoint {
+  time: number;                // min
+  depth: number;               // m
+  gasName?: string;
+  ceiling: number;             // Plafond au GF interpolé (m)
+  gf99: number;                // %
+  surfGf: number;              // %
+}
+
+/**
+ * Intervalle passé au-dessus du plafond
+ */
+export interface CeilingViolation {
+  start: number;               // Début (min)
+  end: number;                 // Fin (min)
+  maxExcess: number;           // Dépassement maximal du plafond (m)
+  missedStop: boolean;         // Plafond non nul à l'arrivée en surface
+}
+
+/**
+ * Plongée réelle rejouée dans le modèle
+ */
+export interface DiveReplay {
+  points: ReplayPoint[];
+  maxCeiling: number;          // m
+  maxGf99: number;             // %
+  maxSurfGf: number;           // %
+  violations: CeilingViolation[];
+  oxygenToxicity: NonNullable<DecompressionPlan['oxygenToxicity']>;
+  finalTissues: TissueState;   // État tissulaire au dernier point
+  warnings: string[];
 }
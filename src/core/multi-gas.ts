@@ -2,45 +2,100 @@
  * Module de gestion multi-gaz pour la planification de décompression
  */
 
-import { GasMix, GasSwitch, MultiGasPlan } from './models';
+import { GasMix, GasSwitch, MultiGasPlan, DiveEnvironment, NarcosisSettings } from './models';
 import { calculatePO2, calculateMaxDepth } from './oxygen-toxicity';
+import { calculateEND, calculateGasDensity } from './narcosis';
+import { DEFAULT_MAX_END, DENSITY_WARNING, DENSITY_LIMIT } from './constants';
+import { gasLabel } from './utils';
+
+/**
+ * Limites de pO₂ d'un plan multi-gaz, et d'END et de densité si `narcosis` est fourni
+ */
+export interface GasLimits {
+  bottomPO2?: number;  // pO₂ maximale du gaz de fond (défaut: 1.4)
+  decoPO2?: number;    // pO₂ maximale des gaz de déco sans limite propre (défaut: 1.6)
+  narcosis?: NarcosisSettings; // Seuils d'END et de densité
+}
+
+/**
+ * Gaz choisi à une profondeur
+ */
+export interface GasChoice {
+  gas: GasMix;
+  name?: string;
+  shouldSwitch: boolean;
+  gasSwitch?: GasSwitch;  // Changement retenu (absent si le gaz actuel est conservé)
+}
 
 /**
  * Détermine le meilleur gaz à utiliser à une profondeur donnée
+ * Un gaz est retenu à sa profondeur de changement ou plus profond, dans sa limite de pO₂
+ * Pour la remontée, voir `getSwitchGasForDepth` (gaz disponible à sa profondeur de changement et au-dessus)
  * @param depth Profondeur actuelle (m)
  * @param availableGases Gaz disponibles triés par profondeur décroissante
  * @param currentGas Gaz actuellement utilisé
- * @param maxPO2 Pression partielle d'O₂ maximale autorisée
+ * @param maxPO2 Pression partielle d'O₂ maximale autorisée (gaz sans limite propre)
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
  * @returns Le gaz optimal à utiliser
  */
 export function getBestGasForDepth(
   depth: number,
   availableGases: GasSwitch[],
   currentGas: GasMix,
-  maxPO2: number = 1.6
-): { gas: GasMix; name?: string; shouldSwitch: boolean } {
+  maxPO2: number = 1.6,
+  env?: DiveEnvironment
+): GasChoice {
+  return chooseGas(depth, availableGases.filter(g => depth >= g.depth), currentGas, maxPO2, env);
+}
+
+/**
+ * Gaz à prendre en remontée à une profondeur donnée
+ * Un gaz est disponible à sa profondeur de changement et au-dessus, dans sa limite de pO₂
+ * @param depth Profondeur actuelle (m)
+ * @param availableGases Gaz disponibles triés par profondeur décroissante
+ * @param currentGas Gaz actuellement utilisé
+ * @param maxPO2 Pression partielle d'O₂ maximale autorisée (gaz sans limite propre)
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
+ * @returns Le gaz optimal à utiliser
+ */
+export function getSwitchGasForDepth(
+  depth: number,
+  availableGases: GasSwitch[],
+  currentGas: GasMix,
+  maxPO2: number = 1.6,
+  env?: DiveEnvironment
+): GasChoice {
+  return chooseGas(depth, availableGases.filter(g => depth <= g.depth + 1e-9), currentGas, maxPO2, env);
+}
+
+function chooseGas(
+  depth: number,
+  candidates: GasSwitch[],
+  currentGas: GasMix,
+  maxPO2: number,
+  env?: DiveEnvironment
+): GasChoice {
   
   // Vérifier si le gaz actuel est encore sûr
-  const currentPO2 = calculatePO2(depth, currentGas.FO2);
+  const currentPO2 = calculatePO2(depth, currentGas.FO2, env);
   
   // Trouver le meilleur gaz disponible à cette profondeur
   let bestGas = currentGas;
   let bestGasName: string | undefined;
+  let bestSwitch: GasSwitch | undefined;
   let shouldSwitch = false;
   
-  for (const gasSwitch of availableGases) {
-    // Le gaz doit être utilisable à cette profondeur ou plus profond
-    if (depth >= gasSwitch.depth) {
-      const gasPO2 = calculatePO2(depth, gasSwitch.gas.FO2);
-      
-      // Le gaz doit être sûr (pO₂ < maxPO2)
-      if (gasPO2 <= maxPO2) {
-        // Préférer le gaz le plus riche en O₂ (accélère la déco)
-        if (gasSwitch.gas.FO2 > bestGas.FO2) {
-          bestGas = gasSwitch.gas;
-          bestGasName = gasSwitch.name;
-          shouldSwitch = true;
-        }
+  for (const gasSwitch of candidates) {
+    const gasPO2 = calculatePO2(depth, gasSwitch.gas.FO2, env);
+    
+    // Le gaz doit être sûr (pO₂ ≤ limite du gaz)
+    if (gasPO2 <= (gasSwitch.maxPO2 ?? maxPO2)) {
+      // Préférer le gaz le plus riche en O₂ (accélère la déco)
+      if (gasSwitch.gas.FO2 > bestGas.FO2) {
+        bestGas = gasSwitch.gas;
+        bestGasName = gasSwitch.name;
+        bestSwitch = gasSwitch;
+        shouldSwitch = true;
       }
     }
   }
@@ -53,7 +108,8 @@ export function getBestGasForDepth(
   return {
     gas: bestGas,
     name: bestGasName,
-    shouldSwitch: shouldSwitch && (bestGas !== currentGas)
+    shouldSwitch: shouldSwitch && (bestGas !== currentGas),
+    gasSwitch: bestSwitch
   };
 }
 
@@ -61,19 +117,25 @@ export function getBestGasForDepth(
  * Valide un plan multi-gaz
  * @param plan Plan multi-gaz à valider
  * @param maxDepth Profondeur maximale de la plongée
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
+ * @param limits Limites de pO₂ du gaz de fond et des gaz de déco, seuils d'END et de densité
  * @returns Liste des erreurs et avertissements
  */
 export function validateMultiGasPlan(
   plan: MultiGasPlan,
-  maxDepth: number
+  maxDepth: number,
+  env?: DiveEnvironment,
+  limits: GasLimits = {}
 ): { errors: string[]; warnings: string[] } {
   const errors: string[] = [];
   const warnings: string[] = [];
+  const bottomLimit = limits.bottomPO2 ?? 1.4;
+  const decoLimit = limits.decoPO2 ?? 1.6;
   
   // Vérifier le gaz de fond
-  const bottomPO2 = calculatePO2(maxDepth, plan.bottomGas.FO2);
-  if (bottomPO2 > 1.4) {
-    warnings.push(`⚠️ pO₂ élevée au fond: ${bottomPO2.toFixed(2)} bar avec ${(plan.bottomGas.FO2 * 100).toFixed(0)}% O₂`);
+  const bottomPO2 = calculatePO2(maxDepth, plan.bottomGas.FO2, env);
+  if (bottomPO2 > bottomLimit) {
+    warnings.push(`⚠️ pO₂ élevée au fond: ${bottomPO2.toFixed(2)} bar avec ${(plan.bottomGas.FO2 * 100).toFixed(0)}% O₂ (limite: ${bottomLimit} bar)`);
   }
   if (bottomPO2 > 1.6) {
     errors.push(`🚨 pO₂ dangereuse au fond: ${bottomPO2.toFixed(2)} bar avec ${(plan.bottomGas.FO2 * 100).toFixed(0)}% O₂`);
@@ -81,11 +143,20 @@ export function validateMultiGasPlan(
   
   // Vérifier les gaz de déco
   for (const decoGas of plan.decoGases) {
-    const maxDepthForGas = calculateMaxDepth(decoGas.gas.FO2, 1.6);
+    const limit = decoGas.maxPO2 ?? decoLimit;
+    const maxDepthForGas = calculateMaxDepth(decoGas.gas.FO2, limit, env);
     
     if (decoGas.depth > maxDepthForGas) {
       errors.push(`🚨 ${decoGas.name || 'Gaz déco'} (${(decoGas.gas.FO2 * 100).toFixed(0)}% O₂) utilisé trop profond: ${decoGas.depth}m (max: ${maxDepthForGas.toFixed(0)}m)`);
     }
+    if (!(limit > 0)) {
+      errors.push(`🚨 ${decoGas.name || 'Gaz déco'}: limite de pO₂ invalide (${limit} bar)`);
+    } else if (limit > 1.6) {
+      warnings.push(`⚠️ ${decoGas.name || 'Gaz déco'}: limite de pO₂ de ${limit} bar au-dessus de 1.6 bar`);
+    }
+    if (decoGas.minStopMinutes !== undefined && !(decoGas.minStopMinutes >= 0)) {
+      errors.push(`🚨 ${decoGas.name || 'Gaz déco'}: palier de changement invalide (${decoGas.minStopMinutes} min)`);
+    }
     
     // Vérifier que les gaz de déco sont plus riches que le gaz de fond
     if (decoGas.gas.FO2 <= plan.bottomGas.FO2) {
@@ -93,6 +164,28 @@ export function validateMultiGasPlan(
     }
   }
   
+  // END et densité de chaque gaz à sa profondeur d'utilisation maximale
+  if (limits.narcosis) {
+    const maxEnd = limits.narcosis.maxEnd ?? DEFAULT_MAX_END;
+    const densityWarning = limits.narcosis.densityWarning ?? DENSITY_WARNING;
+    const densityLimit = limits.narcosis.densityLimit ?? DENSITY_LIMIT;
+    const uses = [{ gas: plan.bottomGas, name: undefined as string | undefined, depth: maxDepth },
+      ...plan.decoGases.map(g => ({ gas: g.gas, name: g.name, depth: Math.min(g.depth, maxDepth) }))];
+    for (const use of uses) {
+      const label = gasLabel(use.gas, use.name);
+      const end = calculateEND(use.depth, use.gas, limits.narcosis.o2Narcotic ?? true, env);
+      const density = calculateGasDensity(use.depth, use.gas, env);
+      if (end > maxEnd + 1e-9) {
+        warnings.push(`⚠️ ${label}: END ${end.toFixed(0)}m à ${use.depth}m (limite: ${maxEnd}m)`);
+      }
+      if (density > densityLimit) {
+        warnings.push(`🚨 ${label}: densité ${density.toFixed(1)} g/l à ${use.depth}m (maximum: ${densityLimit} g/l)`);
+      } else if (density > densityWarning) {
+        warnings.push(`⚠️ ${label}: densité ${density.toFixed(1)} g/l à ${use.depth}m (recommandé: ${densityWarning} g/l)`);
+      }
+    }
+  }
+  
   // Vérifier l'ordre des profondeurs de changement
   const sortedGases = [...plan.decoGases].sort((a, b) => b.depth - a.depth);
   for (let i = 0; i < plan.decoGases.length; i++) {
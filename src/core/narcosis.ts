@@ -0,0 +1,114 @@
+/**
+ * Module de narcose et de densité du gaz respiré
+ * - END : profondeur à laquelle l'air aurait le même effet narcotique
+ * - EAD : profondeur à laquelle l'air aurait la même pression partielle d'N₂ (nitrox)
+ * - densité du gaz respiré (g/l), liée au travail respiratoire et à la rétention de CO₂
+ */
+
+import { GasMix, DiveEnvironment, ProfileSegment, NarcosisSettings, NarcosisReport, SegmentNarcosis } from './models';
+import { AIR_FN2, GAS_DENSITY, DEFAULT_MAX_END, DENSITY_WARNING, DENSITY_LIMIT, SURFACE_PRESSURE } from './constants';
+import { depthToPressure, pressureToDepth, gasLabel } from './utils';
+import { calculateLoopGas } from './rebreather';
+
+/**
+ * Calcule la profondeur équivalente narcotique (END)
+ * @param depthM Profondeur en mètres
+ * @param gas Mélange respiré
+ * @param o2Narcotic O₂ compté comme narcotique (défaut: true)
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
+ * @returns END en mètres (0 au minimum)
+ */
+export function calculateEND(depthM: number, gas: GasMix, o2Narcotic: boolean = true, env?: DiveEnvironment): number {
+  const narcotic = o2Narcotic ? gas.FN2 + gas.FO2 : gas.FN2;
+  const airNarcotic = o2Narcotic ? 1 : AIR_FN2;
+  return Math.max(0, pressureToDepth(depthToPressure(depthM, env) * narcotic / airNarcotic, env));
+}
+
+/**
+ * Calcule la profondeur équivalente air (EAD) d'un nitrox
+ * @param depthM Profondeur en mètres
+ * @param gas Mélange respiré
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
+ * @returns EAD en mètres (0 au minimum)
+ */
+export function calculateEAD(depthM: number, gas: GasMix, env?: DiveEnvironment): number {
+  return Math.max(0, pressureToDepth(depthToPressure(depthM, env) * gas.FN2 / AIR_FN2, env));
+}
+
+/**
+ * Calcule la densité du gaz respiré (gaz parfait)
+ * @param depthM Profondeur en mètres
+ * @param gas Mélange respiré
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
+ * @returns Densité en g/l
+ */
+export function calculateGasDensity(depthM: number, gas: GasMix, env?: DiveEnvironment): number {
+  const surfaceDensity = gas.FO2 * GAS_DENSITY.O2 + gas.FN2 * GAS_DENSITY.N2 + gas.FHe * GAS_DENSITY.He;
+  return surfaceDensity * depthToPressure(depthM, env) / SURFACE_PRESSURE;
+}
+
+/**
+ * Analyse de narcose et de densité d'un profil simulé
+ * Chaque phase est évaluée à sa profondeur maximale ; sur la boucle (CCR),
+ * le gaz respiré est celui de la boucle au setpoint de la phase
+ * @param profile Phases simulées du plan
+ * @param settings Seuils d'END et de densité
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
+ */
+export function calculateNarcosis(
+  profile: ProfileSegment[], settings: NarcosisSettings = {}, env?: DiveEnvironment
+): NarcosisReport {
+  const o2Narcotic = settings.o2Narcotic ?? true;
+  const maxEnd = settings.maxEnd ?? DEFAULT_MAX_END;
+  const densityWarning = settings.densityWarning ?? DENSITY_WARNING;
+  const densityLimit = settings.densityLimit ?? DENSITY_LIMIT;
+  if (!(maxEnd >= 0) || !(densityWarning > 0) || !(densityLimit >= densityWarning)) {
+    throw new Error('Seuils de narcose invalides');
+  }
+
+  const segments: SegmentNarcosis[] = profile.map(p => {
+    const depth = Math.max(p.startDepth, p.endDepth);
+    const gas = p.setpoint !== undefined ? calculateLoopGas(depth, p.setpoint, p.gas, env).gas : p.gas;
+    return {
+      phase: p.phase,
+      startDepth: p.startDepth,
+      endDepth: p.endDepth,
+      time: p.time,
+      gasName: p.gasName,
+      end: calculateEND(depth, gas, o2Narcotic, env),
+      ead: gas.FHe === 0 ? calculateEAD(depth, gas, env) : undefined,
+      density: calculateGasDensity(depth, gas, env)
+    };
+  });
+
+  // Un avertissement par gaz et par seuil, à la valeur la plus élevée
+  const warnings: string[] = [];
+  const worst = (key: 'end' | 'density', over: number) => {
+    const byGas = new Map<string, SegmentNarcosis & { label: string }>();
+    segments.forEach((s, i) => {
+      if (s[key] <= over + 1e-9) return;
+      const label = gasLabel(profile[i].gas, s.gasName);
+      const current = byGas.get(label);
+      if (!current || s[key] > current[key]) byGas.set(label, { ...s, label });
+    });
+    return [...byGas.values()];
+  };
+  const depthOf = (s: SegmentNarcosis) => Math.max(s.startDepth, s.endDepth);
+
+  for (const s of worst('end', maxEnd)) {
+    warnings.push(`⚠️ ${s.label}: END ${s.end.toFixed(0)}m à ${depthOf(s).toFixed(0)}m (limite: ${maxEnd}m)`);
+  }
+  for (const s of worst('density', densityWarning)) {
+    warnings.push(s.density > densityLimit
+      ? `🚨 ${s.label}: densité ${s.density.toFixed(1)} g/l à ${depthOf(s).toFixed(0)}m (maximum: ${densityLimit} g/l)`
+      : `⚠️ ${s.label}: densité ${s.density.toFixed(1)} g/l à ${depthOf(s).toFixed(0)}m (recommandé: ${densityWarning} g/l)`);
+  }
+
+  return {
+    o2Narcotic,
+    segments,
+    maxEnd: Math.max(0, ...segments.map(s => s.end)),
+    maxDensity: Math.max(0, ...segments.map(s => s.density)),
+    warnings
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Module de limite de non-décompression (NDL)
+ * Temps au fond résolu sur les équations des tissus (Schreiner en déplacement, forme fermée au fond)
+ * et les M-values réduites par les GF, avec la règle de palier du planificateur :
+ * descente et remontée aux vitesses du plan, premier palier au plafond GF bas, GF interpolé jusqu'à la surface
+ * La remontée charge encore les compartiments lents : sur une plongée profonde, la NDL
+ * est nettement plus courte que la seule comparaison des tissus au fond avec la M-value de surface
+ * Racine trouvée par dichotomie sur le temps au fond : la NDL ne dépasse jamais le temps accepté par le planificateur
+ */
+
+import { GasMix } from './models';
+import { depthToPressure, gasLabel, resolveEnvironment } from './utils';
+import { createStopCheck, PlanOptions } from './algorithm';
+
+const NDL_SEARCH_LIMIT = 24 * 60;  // Horizon de recherche (min), au-delà: pas de limite
+const NDL_TOLERANCE = 1e-3;        // Précision de la dichotomie (min)
+
+/**
+ * Options du calcul de NDL : environnement, coefficients, état tissulaire de départ, vitesses et grille de paliers
+ * du planificateur ; `bottomPO2` limite la profondeur d'utilisation des gaz dans les tables
+ */
+export type NdlOptions = Pick<PlanOptions,
+  'initialTissues' | 'altitude' | 'surfacePressure' | 'timeAtAltitudeMin' | 'waterType' | 'waterDensity' |
+  'coefficients' | 'compartment1b' | 'rates' | 'lastStopDepth' | 'stopInterval' | 'bottomPO2'>;
+
+/**
+ * Gradient Factors (0-1)
+ */
+export interface NdlGradientFactors {
+  gfLow: number;
+  gfHigh: number;
+}
+
+/**
+ * Temps au fond (après la descente) avant d'imposer un palier
+ * @param depthM Profondeur (m)
+ * @param gas Gaz respiré pendant toute la plongée
+ * @param gf GF bas et haut du plan (0-1)
+ * @param opts Environnement, coefficients, tissus résiduels (plongée successive), vitesses
+ * @returns NDL en minutes : 0 si un palier est imposé sans temps au fond, Infinity sans limite
+ */
+export function ndl(depthM: number, gas: GasMix, gf: NdlGradientFactors, opts: NdlOptions = {}): number {
+  if (!(depthM >= 0)) {
+    throw new Error(`Profondeur invalide: ${depthM}m`);
+  }
+  if (!(gf.gfLow > 0 && gf.gfLow <= gf.gfHigh && gf.gfHigh <= 1)) {
+    throw new Error(`GF invalides: ${gf.gfLow}/${gf.gfHigh} (attendu 0 < GF bas ≤ GF haut ≤ 1)`);
+  }
+  const needsStop = createStopCheck(depthM, gas, gf.gfLow, gf.gfHigh, opts);
+
+  if (needsStop(0)) return 0;
+  let low = 0, high = 1;
+  while (!needsStop(high)) {
+    if (high >= NDL_SEARCH_LIMIT) return Infinity;
+    low = high;
+    high = Math.min(2 * high, NDL_SEARCH_LIMIT);
+  }
+  while (high - low > NDL_TOLERANCE) {
+    const mid = (low + high) / 2;
+    if (needsStop(mid)) high = mid; else low = mid;
+  }
+  return low;
+}
+
+/**
+ * Gaz d'une table de NDL
+ */
+export interface NdlTableGas {
+  gas: GasMix;
+  name?: string;  // Nom affiché (défaut: "O₂/He")
+}
+
+export interface NdlTableRow {
+  depth: number;                      // Profondeur (m)
+  ndl: Array<number | undefined>;     // NDL par gaz (min), undefined au-delà de la profondeur d'utilisation
+}
+
+export interface NdlTable {
+  gf: NdlGradientFactors;  // GF du calcul
+  gases: string[];         // Noms des gaz, dans l'ordre des colonnes
+  rows: NdlTableRow[];
+}
+
+/**
+ * Table de NDL pour une série de profondeurs et de gaz
+ * Un gaz n'est pas évalué au-delà de sa profondeur d'utilisation (pO₂ de fond, défaut: 1.4 bar)
+ * @param depths Profondeurs (m)
+ * @param gases Gaz des colonnes
+ * @param gf GF bas et haut (0-1)
+ * @param opts Options du calcul de NDL
+ */
+export function ndlTable(depths: number[], gases: Array<GasMix | NdlTableGas>, gf: NdlGradientFactors, opts: NdlOptions = {}): NdlTable {
+  const env = resolveEnvironment(opts);
+  const maxPO2 = opts.bottomPO2 ?? 1.4;
+  const columns = gases.map(g => ('gas' in g ? g : { gas: g }));
+  return {
+    gf,
+    gases: columns.map(c => gasLabel(c.gas, c.name)),
+    rows: [...depths].sort((a, b) => a - b).map(depth => ({
+      depth,
+      ndl: columns.map(c => (depthToPressure(depth, env) * c.gas.FO2 > maxPO2 + 1e-9 ? undefined : ndl(depth, c.gas, gf, opts)))
+    }))
+  };
+}
+
+/**
+ * Mise en forme texte d'une table de NDL (impression)
+ * NDL arrondies à la minute inférieure, « — » au-delà de la profondeur d'utilisation, « ∞ » sans limite
+ */
+export function formatNdlTable(table: NdlTable): string {
+  const cell = (value: number | undefined) =>
+    value === undefined ? '—' : value === Infinity ? '∞' : String(Math.floor(value + 1e-9));
+  const lines = [
+    [`GF ${Math.round(table.gf.gfLow * 100)}/${Math.round(table.gf.gfHigh * 100)}`, ...table.gases],
+    ...table.rows.map(row => [`${row.depth} m`, ...row.ndl.map(cell)])
+  ];
+  const widths = lines[0].map((_, col) => Math.max(...lines.map(line => line[col].length)));
+  return lines.map(line => line.map((text, col) => text.padStart(widths[col])).join('  ')).join('\n');
+}
@@ -3,7 +3,9 @@
  * Basé sur les modèles NOAA et standards de plongée technique
  */
 
-import { depthToPressure } from './utils';
+import { depthToPressure, pressureToDepth } from './utils';
+import { DiveEnvironment, OxygenExposure, OxygenToxicityShare, ProfileSegment } from './models';
+import { CNS_HALF_TIME } from './constants';
 
 // Tables CNS basées sur les limites NOAA
 // Temps maximum d'exposition (en minutes) pour différentes pressions partielles d'O₂
@@ -26,18 +28,43 @@ const CNS_TABLE: { [pO2: string]: number } = {
   '2.00': 6       // 6 minutes
 };
 
+// Limites REPA (NOAA) : OTU moyennes admises par jour selon le nombre de jours d'exposition consécutifs
+// Au-delà de 14 jours : 300 OTU par jour
+const REPA_DAILY_OTU = [850, 700, 620, 525, 460, 420, 380, 350, 330, 310, 300, 300, 300, 300];
+const MINUTES_PER_DAY = 24 * 60;
+const PO2_STEP = 0.01;  // Pas d'intégration (bar) des segments à pO₂ variable
+
+/**
+ * Segment d'exposition à l'oxygène
+ * La profondeur varie linéairement de depthM à endDepthM (défaut: segment à profondeur constante)
+ */
+export interface O2Segment {
+  depthM: number;
+  timeMinutes: number;
+  fO2: number;
+  pO2?: number;        // pO₂ explicite au début du segment (setpoint CCR), prioritaire sur fO2
+  endDepthM?: number;  // Profondeur à la fin du segment
+  endPO2?: number;     // pO₂ explicite à la fin du segment (défaut: pO2)
+  phase?: ProfileSegment['phase'];  // Phase pour la répartition par phase
+  gasName?: string;    // Gaz pour la répartition par gaz
+}
+
 export interface OxygenToxicity {
-  cns: number;        // Pourcentage CNS (0-100+)
-  otu: number;        // Unités OTU accumulées
+  cns: number;        // Pourcentage CNS (0-100+), CNS résiduel inclus
+  otu: number;        // Unités OTU accumulées pendant la plongée
   maxPO2: number;     // Pression partielle d'O₂ maximale rencontrée
   warnings: string[]; // Avertissements de sécurité
+  exposure: OxygenExposure; // Exposition cumulée en sortie de plongée
+  phases: OxygenToxicityShare[]; // Répartition par phase (segments avec phase)
+  gases: OxygenToxicityShare[];  // Répartition par gaz (segments avec nom de gaz)
 }
 
 /**
  * Calcule la pression partielle d'oxygène à une profondeur donnée
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
  */
-export function calculatePO2(depthM: number, fO2: number): number {
-  const pAmb = depthToPressure(depthM);
+export function calculatePO2(depthM: number, fO2: number, env?: DiveEnvironment): number {
+  const pAmb = depthToPressure(depthM, env);
   return pAmb * fO2;
 }
 
@@ -95,36 +122,108 @@ export function calculateOTUIncrement(pO2: number, timeMinutes: number): number
   return timeMinutes * Math.pow(pO2 - 0.5, 0.83);
 }
 
+/**
+ * Limites REPA d'OTU pour une exposition de plusieurs jours consécutifs
+ * @param days Nombre de jours d'exposition consécutifs
+ * @returns OTU moyennes admises par jour et total admis sur la période
+ */
+export function repaLimits(days: number): { daily: number; total: number } {
+  const n = Math.max(1, Math.floor(days));
+  const daily = REPA_DAILY_OTU[Math.min(n, REPA_DAILY_OTU.length) - 1];
+  return { daily, total: daily * n };
+}
+
+/**
+ * Avance l'horloge des jours d'exposition
+ * Une journée complète sans exposition remet le décompte des jours consécutifs à zéro
+ */
+function advanceDays(exposure: OxygenExposure, minutes: number): OxygenExposure {
+  let dailyOtu = exposure.dailyOtu.length > 0 ? [...exposure.dailyOtu] : [0];
+  let elapsed = (exposure.dayElapsedMin ?? 0) + minutes;
+  while (elapsed >= MINUTES_PER_DAY) {
+    dailyOtu = dailyOtu[dailyOtu.length - 1] > 0 ? [...dailyOtu, 0] : [0];
+    elapsed -= MINUTES_PER_DAY;
+  }
+  return { cns: exposure.cns, dailyOtu, dayElapsedMin: elapsed };
+}
+
+/**
+ * Exposition à l'oxygène après un intervalle de surface
+ * CNS éliminé avec une demi-période de 90 min, jours d'exposition avancés
+ * @param exposure Exposition en sortie de la plongée précédente (plan ou carnet de plongée)
+ * @param surfaceIntervalMin Intervalle de surface (min)
+ * @returns Exposition au début de la plongée suivante
+ */
+export function recoverOxygenExposure(exposure: OxygenExposure, surfaceIntervalMin: number): OxygenExposure {
+  if (!(surfaceIntervalMin >= 0)) {
+    throw new Error(`Intervalle de surface invalide: ${surfaceIntervalMin}min`);
+  }
+  const advanced = advanceDays(exposure, surfaceIntervalMin);
+  return { ...advanced, cns: exposure.cns * Math.pow(0.5, surfaceIntervalMin / CNS_HALF_TIME) };
+}
+
 /**
  * Calcule la toxicité oxygène cumulée pour un profil de plongée
- * @param segments Array de segments {depthM, timeMinutes, fO2}
+ * Sur un segment à profondeur variable, la pO₂ varie linéairement et CNS/OTU sont intégrés par pas de 0.01 bar
+ * @param segments Segments d'exposition (profondeur ou pO₂ explicite, phase et gaz optionnels)
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
+ * @param previous Exposition au début de la plongée (CNS résiduel, OTU des jours précédents)
  * @returns Toxicité oxygène totale
  */
 export function calculateOxygenToxicity(
-  segments: Array<{ depthM: number; timeMinutes: number; fO2: number }>
+  segments: O2Segment[],
+  env?: DiveEnvironment,
+  previous?: OxygenExposure
 ): OxygenToxicity {
-  let totalCNS = 0;
+  let totalCNS = previous?.cns ?? 0;
   let totalOTU = 0;
   let maxPO2 = 0;
   const warnings: string[] = [];
+  const phases = new Map<string, OxygenToxicityShare>();
+  const gases = new Map<string, OxygenToxicityShare>();
+  const addShare = (shares: Map<string, OxygenToxicityShare>, key: string | undefined,
+                    time: number, cns: number, otu: number, pO2: number) => {
+    if (key === undefined) return;
+    const share = shares.get(key) ?? { key, time: 0, cns: 0, otu: 0, maxPO2: 0 };
+    share.time += time;
+    share.cns += cns;
+    share.otu += otu;
+    share.maxPO2 = Math.max(share.maxPO2, pO2);
+    shares.set(key, share);
+  };
+  const pushOnce = (warning: string) => {
+    if (!warnings.includes(warning)) warnings.push(warning);
+  };
   
   for (const segment of segments) {
-    const pO2 = calculatePO2(segment.depthM, segment.fO2);
+    const endDepth = segment.endDepthM ?? segment.depthM;
+    const startPO2 = segment.pO2 ?? calculatePO2(segment.depthM, segment.fO2, env);
+    const endPO2 = segment.endPO2 ?? segment.pO2 ?? calculatePO2(endDepth, segment.fO2, env);
+    const pO2 = Math.max(startPO2, endPO2);
+    const depthM = endPO2 > startPO2 ? endDepth : segment.depthM;
     maxPO2 = Math.max(maxPO2, pO2);
     
-    // Calculs CNS et OTU
-    const cnsIncrement = calculateCNSIncrement(pO2, segment.timeMinutes);
-    const otuIncrement = calculateOTUIncrement(pO2, segment.timeMinutes);
+    // Calculs CNS et OTU, au milieu de chaque pas de pO₂
+    const steps = Math.max(1, Math.ceil(Math.abs(endPO2 - startPO2) / PO2_STEP));
+    let cnsIncrement = 0;
+    let otuIncrement = 0;
+    for (let i = 0; i < steps; i++) {
+      const stepPO2 = startPO2 + (endPO2 - startPO2) * (i + 0.5) / steps;
+      cnsIncrement += calculateCNSIncrement(stepPO2, segment.timeMinutes / steps);
+      otuIncrement += calculateOTUIncrement(stepPO2, segment.timeMinutes / steps);
+    }
     
     totalCNS += cnsIncrement;
     totalOTU += otuIncrement;
+    addShare(phases, segment.phase, segment.timeMinutes, cnsIncrement, otuIncrement, pO2);
+    addShare(gases, segment.gasName, segment.timeMinutes, cnsIncrement, otuIncrement, pO2);
     
-    // Vérifications de sécurité
+    // Vérifications de sécurité (une fois par pO₂ et profondeur)
     if (pO2 > 1.6) {
-      warnings.push(`⚠️ pO₂ élevée: ${pO2.toFixed(2)} bar à ${segment.depthM}m (limite recommandée: 1.6 bar)`);
+      pushOnce(`⚠️ pO₂ élevée: ${pO2.toFixed(2)} bar à ${depthM}m (limite recommandée: 1.6 bar)`);
     }
     if (pO2 > 2.0) {
-      warnings.push(`🚨 pO₂ dangereuse: ${pO2.toFixed(2)} bar à ${segment.depthM}m (limite absolue: 2.0 bar)`);
+      pushOnce(`🚨 pO₂ dangereuse: ${pO2.toFixed(2)} bar à ${depthM}m (limite absolue: 2.0 bar)`);
     }
   }
   
@@ -142,12 +241,31 @@ export function calculateOxygenToxicity(
   if (totalOTU > 300) {
     warnings.push(`🚨 OTU critique: ${totalOTU.toFixed(0)} (limite quotidienne dépassée)`);
   }
+
+  // OTU du jour et des jours consécutifs précédents (REPA)
+  const dailyOtu = previous && previous.dailyOtu.length > 0 ? [...previous.dailyOtu] : [0];
+  dailyOtu[dailyOtu.length - 1] += totalOTU;
+  const today = dailyOtu[dailyOtu.length - 1];
+  const periodOtu = dailyOtu.reduce((sum, otu) => sum + otu, 0);
+  const repa = repaLimits(dailyOtu.length);
+  if (today > REPA_DAILY_OTU[0]) {
+    warnings.push(`🚨 OTU du jour: ${today.toFixed(0)} (limite REPA: ${REPA_DAILY_OTU[0]} par jour)`);
+  }
+  if (dailyOtu.length > 1 && periodOtu > repa.total) {
+    warnings.push(`⚠️ OTU cumulées sur ${dailyOtu.length} jours: ${periodOtu.toFixed(0)} (limite REPA: ${repa.total})`);
+  }
+
+  const duration = segments.reduce((sum, segment) => sum + segment.timeMinutes, 0);
+  const exposure = advanceDays({ cns: totalCNS, dailyOtu, dayElapsedMin: previous?.dayElapsedMin }, duration);
   
   return {
     cns: totalCNS,
     otu: totalOTU,
     maxPO2,
-    warnings
+    warnings,
+    exposure,
+    phases: [...phases.values()],
+    gases: [...gases.values()]
   };
 }
 
@@ -155,9 +273,10 @@ export function calculateOxygenToxicity(
  * Calcule la profondeur maximale recommandée pour un mélange donné
  * @param fO2 Fraction d'oxygène
  * @param maxPO2 Pression partielle d'O₂ maximale souhaitée (défaut: 1.4 bar)
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
  * @returns Profondeur maximale en mètres
  */
-export function calculateMaxDepth(fO2: number, maxPO2: number = 1.4): number {
+export function calculateMaxDepth(fO2: number, maxPO2: number = 1.4, env?: DiveEnvironment): number {
   const maxPressure = maxPO2 / fO2;
-  return (maxPressure - 1.01325) * 10; // Conversion pression -> profondeur
+  return pressureToDepth(maxPressure, env); // Conversion pression -> profondeur
 }
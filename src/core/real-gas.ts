@@ -0,0 +1,74 @@
+/**
+ * Module gaz réel (facteur de compressibilité Z)
+ * P·V = Z·n·R·T : au-delà de ~150 bar, l'air et le nitrox sont moins compressibles
+ * que le gaz parfait (Z > 1 à haute pression) et l'hélium l'est nettement moins à toute pression
+ * Z est approché par un développement du viriel en pression par gaz, pondéré par les fractions :
+ *   Z = 1 + P·(B₁ + P·(B₂ + P·B₃))
+ * Coefficients ajustés sur les données NIST vers 20 °C (modèle repris de Subsurface)
+ */
+
+import { GasMix } from './models';
+
+const VIRIAL = {
+  O2: [-7.18092073703e-04, 2.81852572808e-06, -1.50290620492e-09],
+  N2: [-2.19260353292e-04, 2.92844845532e-06, -2.07613482075e-09],
+  He: [4.87320026468e-04, -8.83632921053e-08, 5.33304543646e-11]
+};
+
+/**
+ * Facteur de compressibilité d'un mélange
+ * @param gas Mélange
+ * @param pressureBar Pression (bar)
+ * @returns Z (1 pour un gaz parfait)
+ */
+export function compressibilityFactor(gas: GasMix, pressureBar: number): number {
+  const [b1, b2, b3] = [0, 1, 2].map(i => gas.FO2 * VIRIAL.O2[i] + gas.FN2 * VIRIAL.N2[i] + gas.FHe * VIRIAL.He[i]);
+  return 1 + pressureBar * (b1 + pressureBar * (b2 + pressureBar * b3));
+}
+
+/**
+ * Pression qu'aurait la même quantité de gaz s'il était parfait (P/Z)
+ * Proportionnelle à la quantité de gaz : sert de mesure de quantité en bar
+ * @param gas Mélange
+ * @param pressureBar Pression réelle (bar)
+ */
+export function idealPressure(gas: GasMix, pressureBar: number): number {
+  return pressureBar / compressibilityFactor(gas, pressureBar);
+}
+
+/**
+ * Pression réelle d'une quantité de gaz donnée en pression de gaz parfait (inverse de `idealPressure`)
+ * @param gas Mélange
+ * @param idealBar Quantité de gaz (bar de gaz parfait)
+ */
+export function realPressure(gas: GasMix, idealBar: number): number {
+  let pressure = idealBar;
+  for (let i = 0; i < 50; i++) {
+    const next = idealBar * compressibilityFactor(gas, pressure);
+    if (Math.abs(next - pressure) < 1e-9) return next;
+    pressure = next;
+  }
+  return pressure;
+}
+
+/**
+ * Volume de gaz libre contenu dans une bouteille
+ * @param volume Volume en eau de la bouteille (litres)
+ * @param gas Mélange
+ * @param pressureBar Pression de la bouteille (bar)
+ * @returns Litres de gaz libre (à 1 bar)
+ */
+export function cylinderGasVolume(volume: number, gas: GasMix, pressureBar: number): number {
+  return volume * idealPressure(gas, pressureBar);
+}
+
+/**
+ * Pression d'une bouteille contenant un volume de gaz libre donné (inverse de `cylinderGasVolume`)
+ * @param volume Volume en eau de la bouteille (litres)
+ * @param gas Mélange
+ * @param litres Gaz libre (litres à 1 bar)
+ * @returns Pression (bar)
+ */
+export function cylinderPressure(volume: number, gas: GasMix, litres: number): number {
+  return realPressure(gas, litres / volume);
+}
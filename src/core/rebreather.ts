@@ -0,0 +1,98 @@
+/**
+ * Module recycleur à circuit fermé (CCR) à setpoint constant
+ * Le gaz inspiré est déduit du diluant et de la pO₂ maintenue dans la boucle :
+ * - pO₂ = setpoint tant que la pression ambiante le permet
+ * - boucle limitée à l'O₂ pur si la pression ambiante est inférieure au setpoint
+ * - boucle limitée au diluant pur si le diluant seul dépasse le setpoint
+ * Le reste de la pression est partagé entre N₂ et He dans les proportions du diluant
+ */
+
+import { GasMix, RebreatherSettings, DiveEnvironment } from './models';
+import { depthToPressure } from './utils';
+import { calculatePO2 } from './oxygen-toxicity';
+
+export interface LoopGas {
+  gas: GasMix;    // Mélange équivalent en circuit ouvert à cette profondeur
+  pO2: number;    // pO₂ effective de la boucle (bar)
+  clamped?: 'oxygen' | 'diluent';  // Setpoint non tenu
+}
+
+/**
+ * Calcule le gaz de la boucle à une profondeur donnée
+ * @param depthM Profondeur en mètres
+ * @param setpoint pO₂ de consigne (bar)
+ * @param diluent Diluant
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
+ */
+export function calculateLoopGas(
+  depthM: number, setpoint: number, diluent: GasMix, env?: DiveEnvironment
+): LoopGas {
+  const pAmb = depthToPressure(depthM, env);
+  const diluentPO2 = pAmb * diluent.FO2;
+
+  if (setpoint >= pAmb) {
+    return { gas: { FO2: 1, FHe: 0, FN2: 0 }, pO2: pAmb, clamped: 'oxygen' };
+  }
+  if (diluentPO2 >= setpoint) {
+    return { gas: diluent, pO2: diluentPO2, clamped: diluentPO2 > setpoint ? 'diluent' : undefined };
+  }
+
+  const FO2 = setpoint / pAmb;
+  const inert = diluent.FN2 + diluent.FHe;
+  const FHe = inert > 0 ? (1 - FO2) * diluent.FHe / inert : 0;
+  return { gas: { FO2, FHe, FN2: 1 - FO2 - FHe }, pO2: setpoint };
+}
+
+/**
+ * Setpoint actif selon la profondeur maximale atteinte et le runtime
+ * @param settings Réglages du recycleur
+ * @param deepestM Profondeur maximale atteinte jusqu'ici (m)
+ * @param runtime Runtime écoulé (min)
+ */
+export function activeSetpoint(settings: RebreatherSettings, deepestM: number, runtime: number): number {
+  if (settings.lowSetpoint === undefined) return settings.highSetpoint;
+  const byDepth = settings.switchDepth !== undefined && deepestM >= settings.switchDepth;
+  const byTime = settings.switchTime !== undefined && runtime >= settings.switchTime;
+  return byDepth || byTime ? settings.highSetpoint : settings.lowSetpoint;
+}
+
+/**
+ * Valide les réglages d'un recycleur
+ * @param settings Réglages du recycleur
+ * @param maxDepth Profondeur maximale de la plongée
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
+ * @returns Liste des erreurs et avertissements
+ */
+export function validateRebreatherSettings(
+  settings: RebreatherSettings,
+  maxDepth: number,
+  env?: DiveEnvironment
+): { errors: string[]; warnings: string[] } {
+  const errors: string[] = [];
+  const warnings: string[] = [];
+  const setpoints = [settings.highSetpoint, ...(settings.lowSetpoint !== undefined ? [settings.lowSetpoint] : [])];
+
+  for (const sp of setpoints) {
+    if (!(sp >= 0.4 && sp <= 1.6)) {
+      errors.push(`🚨 Setpoint hors limites: ${sp} bar (0.4 à 1.6 bar)`);
+    }
+  }
+  if (settings.lowSetpoint !== undefined && settings.lowSetpoint > settings.highSetpoint) {
+    errors.push(`🚨 Setpoint bas (${settings.lowSetpoint} bar) supérieur au setpoint haut (${settings.highSetpoint} bar)`);
+  }
+  if (settings.lowSetpoint !== undefined && settings.switchDepth === undefined && settings.switchTime === undefined) {
+    warnings.push(`⚠️ Aucun changement de setpoint défini : setpoint bas pendant toute la plongée`);
+  }
+
+  const diluentPO2 = calculatePO2(maxDepth, settings.diluent.FO2, env);
+  if (diluentPO2 > 1.6) {
+    errors.push(`🚨 Diluant trop riche au fond: pO₂ ${diluentPO2.toFixed(2)} bar avec ${(settings.diluent.FO2 * 100).toFixed(0)}% O₂`);
+  } else if (diluentPO2 > settings.highSetpoint) {
+    warnings.push(`⚠️ Diluant au-dessus du setpoint au fond: pO₂ ${diluentPO2.toFixed(2)} bar`);
+  }
+  if (calculatePO2(0, settings.diluent.FO2, env) < 0.16) {
+    warnings.push(`⚠️ Diluant hypoxique en surface: ${(settings.diluent.FO2 * 100).toFixed(0)}% O₂`);
+  }
+
+  return { errors, warnings };
+}
@@ -3,19 +3,81 @@
  * Implémente les équations de Schreiner/Haldane pour la saturation tissulaire
  */
 
-import { WATER_VAPOUR_PRESSURE, PRESSURE_PER_METER, SURFACE_PRESSURE,
+import { WATER_VAPOUR_PRESSURE, PRESSURE_PER_METER, SURFACE_PRESSURE, AIR_FN2, GRAVITY, WATER_DENSITY,
          HALF_TIMES_N2, HALF_TIMES_HE } from './constants';
-import { GasMix, TissueState } from './models';
+import { GasMix, TissueState, DiveEnvironment, WaterType, BuhlmannCoefficients } from './models';
+import { DEFAULT_COEFFICIENTS } from './coefficients';
 
 const LN2 = Math.log(2);
+const AIR: GasMix = { FO2: 1 - AIR_FN2, FHe: 0, FN2: AIR_FN2 };
+
+/**
+ * Environnement par défaut : niveau de la mer, 0.1 bar/m
+ */
+export const SEA_LEVEL: DiveEnvironment = { surfacePressure: SURFACE_PRESSURE, pressurePerMeter: PRESSURE_PER_METER };
+
+/**
+ * Pression atmosphérique en fonction de l'altitude (atmosphère standard ISA)
+ * P = P₀ * (1 - 2.25577e-5 * h)^5.25588
+ * @param altitudeM Altitude en mètres
+ * @returns Pression atmosphérique en bar
+ */
+export function altitudeToSurfacePressure(altitudeM: number): number {
+  return SURFACE_PRESSURE * Math.pow(1 - 2.25577e-5 * altitudeM, 5.25588);
+}
+
+/**
+ * Pression hydrostatique par mètre pour une masse volumique d'eau
+ * ΔP = ρ * g * h (converti en bar)
+ * @param densityKgM3 Masse volumique de l'eau en kg/m³
+ * @returns Augmentation de pression en bar/m
+ */
+export function pressurePerMeterForDensity(densityKgM3: number): number {
+  return densityKgM3 * GRAVITY / 100000;
+}
+
+/**
+ * Construit l'environnement de plongée à partir des options utilisateur
+ * La pression de surface explicite prime sur l'altitude,
+ * la masse volumique explicite prime sur le type d'eau
+ * @param opts altitude (m), pression de surface (bar), type d'eau, masse volumique (kg/m³)
+ */
+export function resolveEnvironment(opts?: {
+  altitude?: number; surfacePressure?: number;
+  waterType?: WaterType; waterDensity?: number;
+}): DiveEnvironment {
+  const surfacePressure = opts?.surfacePressure
+    ?? (opts?.altitude !== undefined ? altitudeToSurfacePressure(opts.altitude) : SURFACE_PRESSURE);
+  if (!(surfacePressure > 0)) {
+    throw new Error(`Pression de surface invalide: ${surfacePressure} bar`);
+  }
+
+  const density = opts?.waterDensity ?? (opts?.waterType ? WATER_DENSITY[opts.waterType] : undefined);
+  if (density !== undefined && !(density >= 900 && density <= 1100)) {
+    throw new Error(`Masse volumique de l'eau invalide: ${density} kg/m³`);
+  }
+  const pressurePerMeter = density !== undefined ? pressurePerMeterForDensity(density) : PRESSURE_PER_METER;
+  return { surfacePressure, pressurePerMeter };
+}
 
 /**
  * Convertit une profondeur en pression absolue
  * @param depthM Profondeur en mètres
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
  * @returns Pression absolue en bar
  */
-export function depthToPressure(depthM: number): number { 
-  return SURFACE_PRESSURE + depthM * PRESSURE_PER_METER; 
+export function depthToPressure(depthM: number, env: DiveEnvironment = SEA_LEVEL): number { 
+  return env.surfacePressure + depthM * env.pressurePerMeter; 
+}
+
+/**
+ * Convertit une pression absolue en profondeur
+ * @param pAmb Pression absolue en bar
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
+ * @returns Profondeur en mètres (négative au-dessus de la surface)
+ */
+export function pressureToDepth(pAmb: number, env: DiveEnvironment = SEA_LEVEL): number {
+  return (pAmb - env.surfacePressure) / env.pressurePerMeter;
 }
 
 /**
@@ -29,16 +91,54 @@ export function computePinsp(pAmb: number, fInert: number): number {
   return Math.max(0, (pAmb - WATER_VAPOUR_PRESSURE) * fInert); 
 }
 
+/**
+ * Nom d'affichage d'un gaz : nom fourni, sinon "O₂/He" en pourcentages (ex. 21/35)
+ */
+export function gasLabel(gas: GasMix, name?: string): string {
+  return name ?? `${Math.round(gas.FO2 * 100)}/${Math.round(gas.FHe * 100)}`;
+}
+
 /**
  * Initialise les tissus à saturation surface (air)
+ * En altitude, correspond à un plongeur acclimaté (saturé à la pression locale)
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
  * @returns État tissulaire initial avec N₂ saturé à 79% et He à 0%
  */
-export function initTissues(): TissueState {
-  const initN2 = HALF_TIMES_N2.map(() => computePinsp(SURFACE_PRESSURE, 0.79));
+export function initTissues(env: DiveEnvironment = SEA_LEVEL): TissueState {
+  const initN2 = HALF_TIMES_N2.map(() => computePinsp(env.surfacePressure, AIR_FN2));
   const initHe = HALF_TIMES_HE.map(() => 0);
   return { pN2: initN2, pHe: initHe };
 }
 
+/**
+ * Tissus d'un plongeur arrivé récemment en altitude
+ * Saturé à la pression d'origine, puis désaturation à l'air à la pression locale
+ * @param env Conditions ambiantes du site de plongée
+ * @param minutesAtAltitude Temps passé en altitude avant la plongée (min)
+ * @param originPressure Pression de surface du lieu d'origine (défaut: niveau de la mer)
+ * @param coefficients Coefficients Bühlmann (défaut: DEFAULT_COEFFICIENTS)
+ */
+export function altitudeArrivalTissues(
+  env: DiveEnvironment, minutesAtAltitude: number, originPressure: number = SURFACE_PRESSURE,
+  coefficients: BuhlmannCoefficients = DEFAULT_COEFFICIENTS
+): TissueState {
+  const state = initTissues({ ...env, surfacePressure: originPressure });
+  surfaceInterval(state, Math.max(0, minutesAtAltitude), env, coefficients);
+  return state;
+}
+
+/**
+ * Copie un état tissulaire (les planificateurs mutent l'état en place)
+ * @param state État tissulaire source
+ * @returns Copie indépendante
+ */
+export function cloneTissues(state: TissueState): TissueState {
+  if (state.pN2.length !== HALF_TIMES_N2.length || state.pHe.length !== HALF_TIMES_HE.length) {
+    throw new Error(`État tissulaire invalide: ${HALF_TIMES_N2.length} compartiments attendus`);
+  }
+  return { pN2: [...state.pN2], pHe: [...state.pHe] };
+}
+
 /**
  * Met à jour les pressions tissulaires après un temps à profondeur constante
  * Utilise l'équation de Schreiner/Haldane : P(t) = P₀ + (Pinsp - P₀) * (1 - e^(-k*t))
@@ -50,16 +150,71 @@ export function initTissues(): TissueState {
  * @param depthM Profondeur en mètres
  * @param gas Mélange gazeux respiré
  * @param minutes Durée en minutes
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
+ * @param coefficients Demi-vies des compartiments (défaut: DEFAULT_COEFFICIENTS)
  */
-export function updateConstantDepth(state: TissueState, depthM: number, gas: GasMix, minutes: number): void {
-  const pAmb = depthToPressure(depthM);
+export function updateConstantDepth(
+  state: TissueState, depthM: number, gas: GasMix, minutes: number, env: DiveEnvironment = SEA_LEVEL,
+  coefficients: BuhlmannCoefficients = DEFAULT_COEFFICIENTS
+): void {
+  const pAmb = depthToPressure(depthM, env);
   const pN2i = computePinsp(pAmb, gas.FN2);
   const pHei = computePinsp(pAmb, gas.FHe);
   
   for (let i = 0; i < state.pN2.length; i++) {
-    const kN2 = LN2 / HALF_TIMES_N2[i];
-    const kHe = LN2 / HALF_TIMES_HE[i];
+    const kN2 = LN2 / coefficients.halfTimesN2[i];
+    const kHe = LN2 / coefficients.halfTimesHe[i];
     state.pN2[i] = state.pN2[i] + (pN2i - state.pN2[i]) * (1 - Math.exp(-kN2 * minutes));
     state.pHe[i] = state.pHe[i] + (pHei - state.pHe[i]) * (1 - Math.exp(-kHe * minutes));
   }
 }
+
+/**
+ * Met à jour les pressions tissulaires pendant un déplacement à vitesse constante
+ * Utilise l'équation de Schreiner : P(t) = Pi₀ + R·(t - 1/k) - (Pi₀ - P₀ - R/k) * e^(-k*t)
+ * où Pi₀ est la pression inspirée au départ et R sa variation (bar/min)
+ * Le résultat est exact quel que soit le découpage du déplacement
+ *
+ * Référence: Schreiner HR, Kelley PL (1971) "A pragmatic view of decompression"
+ *
+ * @param state État tissulaire à modifier (muté en place)
+ * @param fromM Profondeur de départ en mètres
+ * @param toM Profondeur d'arrivée en mètres
+ * @param gas Mélange gazeux respiré
+ * @param minutes Durée du déplacement en minutes
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
+ * @param coefficients Demi-vies des compartiments (défaut: DEFAULT_COEFFICIENTS)
+ */
+export function updateLinearDepth(
+  state: TissueState, fromM: number, toM: number, gas: GasMix, minutes: number,
+  env: DiveEnvironment = SEA_LEVEL, coefficients: BuhlmannCoefficients = DEFAULT_COEFFICIENTS
+): void {
+  if (!(minutes > 0)) return;
+  const pAmb = depthToPressure(fromM, env);
+  const pAmbRate = (depthToPressure(toM, env) - pAmb) / minutes;
+  const pN2i = computePinsp(pAmb, gas.FN2);
+  const pHei = computePinsp(pAmb, gas.FHe);
+  const rN2 = pAmbRate * gas.FN2;
+  const rHe = pAmbRate * gas.FHe;
+
+  const schreiner = (p0: number, pi0: number, rate: number, k: number) =>
+    pi0 + rate * (minutes - 1 / k) - (pi0 - p0 - rate / k) * Math.exp(-k * minutes);
+  for (let i = 0; i < state.pN2.length; i++) {
+    state.pN2[i] = schreiner(state.pN2[i], pN2i, rN2, LN2 / coefficients.halfTimesN2[i]);
+    state.pHe[i] = schreiner(state.pHe[i], pHei, rHe, LN2 / coefficients.halfTimesHe[i]);
+  }
+}
+
+/**
+ * Désaturation en surface à l'air pendant un intervalle de surface
+ * @param state État tissulaire à modifier (muté en place)
+ * @param minutes Durée de l'intervalle en minutes
+ * @param env Conditions ambiantes (défaut: niveau de la mer)
+ * @param coefficients Coefficients Bühlmann (défaut: DEFAULT_COEFFICIENTS)
+ */
+export function surfaceInterval(
+  state: TissueState, minutes: number, env: DiveEnvironment = SEA_LEVEL,
+  coefficients: BuhlmannCoefficients = DEFAULT_COEFFICIENTS
+): void {
+  updateConstantDepth(state, 0, AIR, minutes, env, coefficients);
+}
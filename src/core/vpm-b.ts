@@ -0,0 +1,220 @@
+/**
+ * Modèle à bulles VPM-B (Varying Permeability Model, compensation de Boyle)
+ * - rayon critique des micro-noyaux réduit par l'écrasement maximal subi pendant la plongée
+ * - gradient de sursaturation admissible déduit du rayon régénéré
+ * - algorithme du volume critique : la remontée est recalculée avec des gradients
+ *   relâchés jusqu'à convergence du temps de remontée
+ * - compensation de Boyle : gradients réduits aux paliers moins profonds que le premier
+ * Le régime imperméable n'est pas modélisé : l'écrasement est limité au gradient
+ * d'imperméabilité (plus conservateur au-delà de ~80 m)
+ * Référence: Erik Baker - VPM-B (Fortran), paramètres de Subsurface
+ */
+
+import { WATER_VAPOUR_PRESSURE, AIR_FN2 } from './constants';
+import { TissueState, DecompressionModel, DecompressionModelContext } from './models';
+import { depthToPressure, pressureToDepth, updateConstantDepth, updateLinearDepth } from './utils';
+
+const SURFACE_TENSION_GAMMA = 0.0179;     // N/m (tension de surface)
+const SKIN_COMPRESSION_GAMMA_C = 0.257;   // N/m (compression de la peau du noyau)
+const CRITICAL_RADIUS_N2 = 0.55e-6;       // m
+const CRITICAL_RADIUS_HE = 0.45e-6;       // m
+const CRIT_VOLUME_LAMBDA = 199.58;        // bar·min (6500 fsw·min)
+const GRADIENT_ONSET_OF_IMPERM = 8.30865; // bar (8.2 atm)
+const REGENERATION_TIME = 20160;          // min (14 jours)
+const PRESSURE_OTHER_GASES = 0.1359888;   // bar (102 mmHg : O₂, CO₂ et vapeur d'eau tissulaires)
+const PA_PER_BAR = 1e5;
+
+/**
+ * Facteurs appliqués aux rayons critiques selon le niveau de conservatisme (+0 à +4)
+ */
+export const VPMB_CONSERVATISM = [1.0, 1.05, 1.12, 1.22, 1.35];
+
+type GasGradients = { n2: number[]; he: number[] };
+
+/**
+ * Modèle VPM-B
+ * @param context Environnement et demi-vies des compartiments (GF ignorés)
+ * @param conservatism Niveau de conservatisme (0 à 4, défaut: 0)
+ */
+export function createVpmbModel(context: DecompressionModelContext, conservatism: number = 0): DecompressionModel {
+  if (!Number.isInteger(conservatism) || conservatism < 0 || conservatism >= VPMB_CONSERVATISM.length) {
+    throw new Error(`Conservatisme VPM-B invalide: ${conservatism} (0 à ${VPMB_CONSERVATISM.length - 1})`);
+  }
+  const { env, coefficients } = context;
+  const count = coefficients.halfTimesN2.length;
+  const radiusN2 = CRITICAL_RADIUS_N2 * VPMB_CONSERVATISM[conservatism];
+  const radiusHe = CRITICAL_RADIUS_HE * VPMB_CONSERVATISM[conservatism];
+
+  const maxCrushing: GasGradients = { n2: new Array(count).fill(0), he: new Array(count).fill(0) };
+  let ascending = false;
+  let initial: GasGradients | undefined;
+  let adjustedCrushing: GasGradients | undefined;
+  let allowable: GasGradients | undefined;
+  let lastAscentTime: number | undefined;
+
+  // Écrasement des noyaux jusqu'au début de la remontée (régime perméable, même gradient pour N₂ et He)
+  const trackCrushing = (state: TissueState, depthM: number) => {
+    if (ascending) return;
+    const pAmb = depthToPressure(depthM, env);
+    for (let i = 0; i < count; i++) {
+      const crushing = Math.min(GRADIENT_ONSET_OF_IMPERM, pAmb - (state.pN2[i] + state.pHe[i] + PRESSURE_OTHER_GASES));
+      maxCrushing.n2[i] = Math.max(maxCrushing.n2[i], crushing);
+      maxCrushing.he[i] = Math.max(maxCrushing.he[i], crushing);
+    }
+  };
+
+  // Gradients initiaux (bar) après régénération des noyaux pendant `runtime`
+  const computeInitial = (runtime: number) => {
+    const gradients: GasGradients = { n2: [], he: [] };
+    const crushing: GasGradients = { n2: [], he: [] };
+    for (let i = 0; i < count; i++) {
+      const n2 = regenerate(maxCrushing.n2[i], radiusN2, runtime);
+      const he = regenerate(maxCrushing.he[i], radiusHe, runtime);
+      gradients.n2.push(n2.gradient);
+      gradients.he.push(he.gradient);
+      crushing.n2.push(n2.adjustedCrushing);
+      crushing.he.push(he.adjustedCrushing);
+    }
+    return { gradients, crushing };
+  };
+
+  // Plafond par compartiment : tension + autres gaz − gradient admissible pondéré
+  const compartmentCeilings = (state: TissueState, gradients: GasGradients) => state.pN2.map((pN2, i) => {
+    const loading = pN2 + state.pHe[i];
+    const gradient = loading > 0
+      ? (gradients.n2[i] * pN2 + gradients.he[i] * state.pHe[i]) / loading
+      : Math.min(gradients.n2[i], gradients.he[i]);
+    return Math.max(0, pressureToDepth(loading + PRESSURE_OTHER_GASES - gradient, env));
+  });
+  const ceilingWith = (state: TissueState, gradients: GasGradients) => Math.max(0, ...compartmentCeilings(state, gradients));
+
+  return {
+    name: 'vpmb',
+
+    update: (state, depthM, gas, minutes) => {
+      updateConstantDepth(state, depthM, gas, minutes, env, coefficients);
+      trackCrushing(state, depthM);
+    },
+
+    updateTravel: (state, fromM, toM, gas, minutes) => {
+      updateLinearDepth(state, fromM, toM, gas, minutes, env, coefficients);
+      trackCrushing(state, toM);
+    },
+
+    startAscent: (_state, runtime) => {
+      ascending = true;
+      const result = computeInitial(runtime);
+      initial = result.gradients;
+      adjustedCrushing = result.crushing;
+      allowable = initial;
+      lastAscentTime = undefined;
+    },
+
+    // Premier palier : toujours calculé avec les gradients initiaux
+    ceiling: state => ceilingWith(state, initial ?? computeInitial(0).gradients),
+
+    canAscend: (state, nextDepth, firstStopDepth) => {
+      const gradients = allowable ?? computeInitial(0).gradients;
+      if (nextDepth >= firstStopDepth) {
+        return ceilingWith(state, gradients) <= nextDepth + 1e-6;
+      }
+      const firstStop = depthToPressure(firstStopDepth, env);
+      const next = depthToPressure(nextDepth, env);
+      const compensated: GasGradients = {
+        n2: gradients.n2.map(g => boyleCompensation(g, firstStop, next)),
+        he: gradients.he.map(g => boyleCompensation(g, firstStop, next))
+      };
+      return ceilingWith(state, compensated) <= nextDepth + 1e-6;
+    },
+
+    stopGf: () => 1,  // GF sans objet en VPM-B
+
+    compartmentCeilings: state => ({ ceilings: compartmentCeilings(state, allowable ?? computeInitial(0).gradients) }),
+
+    // Volume critique : gradients relâchés selon le temps de désaturation
+    nextPass: (state, ascentTime) => {
+      if (!initial || !adjustedCrushing) return false;
+      const converged = lastAscentTime !== undefined && Math.abs(ascentTime - lastAscentTime) <= 1;
+      lastAscentTime = ascentTime;
+      if (converged) return false;
+
+      const surfaceN2 = (env.surfacePressure - WATER_VAPOUR_PRESSURE) * AIR_FN2;
+      const next: GasGradients = { n2: [], he: [] };
+      for (let i = 0; i < count; i++) {
+        const phaseVolumeTime = ascentTime + surfacePhaseVolumeTime(
+          state.pN2[i], state.pHe[i], surfaceN2,
+          Math.LN2 / coefficients.halfTimesN2[i], Math.LN2 / coefficients.halfTimesHe[i]);
+        next.n2.push(criticalVolumeGradient(initial.n2[i], adjustedCrushing.n2[i], phaseVolumeTime));
+        next.he.push(criticalVolumeGradient(initial.he[i], adjustedCrushing.he[i], phaseVolumeTime));
+      }
+      allowable = next;
+      return true;
+    }
+  };
+}
+
+/**
+ * Rayon régénéré après écrasement et gradient initial admissible (bar)
+ */
+function regenerate(maxCrushing: number, criticalRadius: number, runtime: number) {
+  const crushingPa = Math.max(0, maxCrushing) * PA_PER_BAR;
+  const endingRadius = 1 / (crushingPa / (2 * (SKIN_COMPRESSION_GAMMA_C - SURFACE_TENSION_GAMMA)) + 1 / criticalRadius);
+  const regenerated = criticalRadius + (endingRadius - criticalRadius) * Math.exp(-runtime / REGENERATION_TIME);
+  const gradientPa = (2 * SURFACE_TENSION_GAMMA * (SKIN_COMPRESSION_GAMMA_C - SURFACE_TENSION_GAMMA)) /
+    (regenerated * SKIN_COMPRESSION_GAMMA_C);
+
+  // Écrasement équivalent au rayon régénéré
+  const ratio = crushingPa > 0
+    ? (endingRadius * (criticalRadius - regenerated)) / (regenerated * (criticalRadius - endingRadius))
+    : 0;
+  return { gradient: gradientPa / PA_PER_BAR, adjustedCrushing: crushingPa * ratio / PA_PER_BAR };
+}
+
+/**
+ * Temps de désaturation en surface intégré (min) pour un compartiment
+ */
+function surfacePhaseVolumeTime(pN2: number, pHe: number, surfaceN2: number, kN2: number, kHe: number): number {
+  if (pN2 > surfaceN2) {
+    return (pHe / kHe + (pN2 - surfaceN2) / kN2) / (pHe + pN2 - surfaceN2);
+  }
+  if (pHe > 0 && pHe + pN2 >= surfaceN2 && kN2 !== kHe) {
+    const decayTime = Math.log((surfaceN2 - pN2) / pHe) / (kN2 - kHe);
+    const integral = pHe / kHe * (1 - Math.exp(-kHe * decayTime)) +
+      (pN2 - surfaceN2) / kN2 * (1 - Math.exp(-kN2 * decayTime));
+    return integral / (pHe + pN2 - surfaceN2);
+  }
+  return 0;
+}
+
+/**
+ * Nouveau gradient admissible (bar) par l'algorithme du volume critique
+ */
+function criticalVolumeGradient(initialGradient: number, adjustedCrushing: number, phaseVolumeTime: number): number {
+  if (!(phaseVolumeTime > 0)) return initialGradient;
+  const lambdaPa = CRIT_VOLUME_LAMBDA * PA_PER_BAR;
+  const b = initialGradient * PA_PER_BAR +
+    (lambdaPa * SURFACE_TENSION_GAMMA) / (SKIN_COMPRESSION_GAMMA_C * phaseVolumeTime);
+  const c = (SURFACE_TENSION_GAMMA * SURFACE_TENSION_GAMMA * lambdaPa * adjustedCrushing * PA_PER_BAR) /
+    (SKIN_COMPRESSION_GAMMA_C * SKIN_COMPRESSION_GAMMA_C * phaseVolumeTime);
+  return (b + Math.sqrt(b * b - 4 * c)) / 2 / PA_PER_BAR;
+}
+
+/**
+ * Gradient au palier suivant après expansion des bulles (loi de Boyle) depuis le premier palier
+ * Rayon solution de P₂·r³ + 2γ·r² = (P₁ + 2γ/r₁)·r₁³, par dichotomie
+ */
+function boyleCompensation(gradient: number, firstStopPressure: number, nextStopPressure: number): number {
+  const first = firstStopPressure * PA_PER_BAR;
+  const next = nextStopPressure * PA_PER_BAR;
+  const radius1 = 2 * SURFACE_TENSION_GAMMA / (gradient * PA_PER_BAR);
+  const c = (first + 2 * SURFACE_TENSION_GAMMA / radius1) * radius1 ** 3;
+  const f = (r: number) => next * r ** 3 + 2 * SURFACE_TENSION_GAMMA * r * r - c;
+
+  let low = radius1;
+  let high = radius1 * Math.cbrt(first / next);
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (f(mid) < 0) low = mid; else high = mid;
+  }
+  return 2 * SURFACE_TENSION_GAMMA / ((low + high) / 2) / PA_PER_BAR;
+}
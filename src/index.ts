@@ -1,2 +1,2 @@
-export { planDive, normaliseGas, normaliseGradientFactors } from './adapter/index';
+export { planDive, planMultiLevelDive, normaliseGas, normaliseGradientFactors } from './adapter/index';
 export * from './core';
@@ -0,0 +1,63 @@
+/**
+ * Tests de plongée en altitude (pression de surface réduite)
+ */
+
+import { planDive } from '../src/adapter/index';
+import { altitudeToSurfacePressure, initTissues, altitudeArrivalTissues, resolveEnvironment } from '../src/core/utils';
+import { calculateMaxDepth } from '../src/core/oxygen-toxicity';
+import { GasMix } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertApprox(actual: number, expected: number, tolerance: number, message: string) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+console.log('=== TESTS ALTITUDE ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+
+// Atmosphère standard
+assertApprox(altitudeToSurfacePressure(0), 1.01325, 1e-6, 'Pression au niveau de la mer');
+assertApprox(altitudeToSurfacePressure(1500), 0.8455, 0.005, 'Pression à 1500 m');
+assertApprox(altitudeToSurfacePressure(2500), 0.7470, 0.005, 'Pression à 2500 m');
+assert(resolveEnvironment({ altitude: 2000, surfacePressure: 0.9 }).surfacePressure === 0.9,
+  'La pression explicite prime sur l\'altitude');
+console.log('✅ Pression de surface selon l\'altitude');
+
+// Tissus : plongeur acclimaté vs arrivé récemment
+{
+  const env = resolveEnvironment({ altitude: 2000 });
+  const acclimatised = initTissues(env);
+  const arrived = altitudeArrivalTissues(env, 30);
+  const seaLevel = initTissues();
+  assert(acclimatised.pN2[15] < seaLevel.pN2[15], 'Tissus acclimatés moins chargés');
+  assert(arrived.pN2[15] > acclimatised.pN2[15], 'Arrivée récente : tissus lents sursaturés');
+  assert(arrived.pN2[0] < arrived.pN2[15], 'Les tissus rapides désaturent en premier');
+}
+console.log('✅ Tensions tissulaires initiales');
+
+// Plafonds et paliers plus pénalisants en altitude
+{
+  const sea = planDive(30, 20, air, 40, 85);
+  const lake = planDive(30, 20, air, 40, 85, { altitude: 2000 });
+  const justArrived = planDive(30, 20, air, 40, 85, { altitude: 2000, timeAtAltitudeMin: 30 });
+  assert(lake.tts > sea.tts, 'Déco plus longue en altitude');
+  assert(justArrived.tts >= lake.tts, 'Arrivée récente au moins aussi pénalisante');
+}
+console.log('✅ Décompression en altitude');
+
+// MOD plus profonde avec une pression de surface réduite
+assert(calculateMaxDepth(0.32, 1.4, resolveEnvironment({ altitude: 2000 })) > calculateMaxDepth(0.32, 1.4),
+  'MOD en altitude');
+console.log('✅ MOD en altitude');
+
+console.log('\n🎉 Tests altitude passés');
+
+export {};
@@ -0,0 +1,104 @@
+/**
+ * Tests du calcul de gonflage (pressions partielles, nitrox continu, gaz réel)
+ */
+
+import { planBlend, STANDARD_SUPPLIES } from '../src/core/blending';
+import { compressibilityFactor, idealPressure, realPressure } from '../src/core/real-gas';
+import { GasMix } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertApprox(actual: number, expected: number, tolerance: number, message: string) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+console.log('=== TESTS GONFLAGE ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+const ean32: GasMix = { FO2: 0.32, FHe: 0.00, FN2: 0.68 };
+const ean50: GasMix = { FO2: 0.50, FHe: 0.00, FN2: 0.50 };
+const tx2135: GasMix = { FO2: 0.21, FHe: 0.35, FN2: 0.44 };
+const tx1845: GasMix = { FO2: 0.18, FHe: 0.45, FN2: 0.37 };
+const empty = { gas: air, pressure: 0 };
+
+// Pressions partielles : hélium, oxygène puis air
+{
+  const blend = planBlend(empty, { gas: tx2135, pressure: 200 });
+  assert(blend.steps.map(s => s.gasName).join() === 'He,O₂,Air', `Séquence: ${blend.steps.map(s => s.gasName).join()}`);
+  assertApprox(blend.steps[0].pressureAdded, 70, 1e-9, 'Hélium');
+  assertApprox(blend.steps[1].pressureAdded, 42 - 0.21 * 88 / 0.79, 1e-9, 'Oxygène');
+  assertApprox(blend.steps[2].pressure, 200, 1e-9, 'Complément à l\'air');
+  assertApprox(blend.mix.FO2, 0.21, 1e-9, 'FO₂ finale');
+  assertApprox(blend.mix.FHe, 0.35, 1e-9, 'FHe finale');
+  assert(blend.warnings.length === 0, 'Aucun avertissement');
+
+  // Mélange intermédiaire après chaque étape
+  assertApprox(blend.steps[1].mix.FHe, 70 / blend.steps[1].pressure, 1e-9, 'Mélange après l\'oxygène');
+}
+console.log('✅ Pressions partielles');
+
+// Complément d'une bouteille entamée, vidange si nécessaire
+{
+  const topOff = planBlend({ gas: air, pressure: 50 }, { gas: ean32, pressure: 200 });
+  assert(topOff.steps.map(s => s.gasName).join() === 'O₂,Air', 'Oxygène puis air');
+  assertApprox(topOff.steps[0].pressureAdded, 64 - 10.5 - 0.21 * 96.5 / 0.79, 1e-9, 'Oxygène ajouté');
+
+  const drain = planBlend({ gas: ean50, pressure: 100 }, { gas: ean32, pressure: 200 });
+  assert(drain.steps[0].action === 'drain', 'Vidange en premier');
+  assertApprox(drain.steps[0].pressure, 100 * 27.85 / 36.71, 0.05, 'Vidange jusqu\'à ~75.9 bar');
+  assertApprox(drain.mix.FO2, 0.32, 1e-6, 'EAN32 obtenu');
+
+  // Complément trimix : mélange restant différent de la cible
+  const trimix = planBlend({ gas: tx1845, pressure: 60 }, { gas: tx2135, pressure: 200 });
+  assertApprox(trimix.mix.FHe, 0.35, 1e-9, 'FHe après complément');
+  assert(trimix.steps.every(s => s.action === 'fill'), 'Sans vidange');
+}
+console.log('✅ Complément et vidange');
+
+// Nitrox en stock et nitrox continu
+{
+  const supplies = [...STANDARD_SUPPLIES, { name: 'EAN32', gas: ean32, pressure: 180 }];
+  const banked = planBlend(empty, { gas: ean32, pressure: 200 }, supplies);
+  assert(banked.steps.length === 1 && banked.steps[0].gasName === 'EAN32', 'Nitrox en stock préféré à l\'oxygène pur');
+  assert(banked.warnings.some(w => w.includes('surpresseur')), 'Stock insuffisant signalé');
+
+  const continuous = planBlend({ gas: tx1845, pressure: 60 }, { gas: tx2135, pressure: 200 }, undefined, { continuousFlow: true });
+  assert(continuous.steps.map(s => s.gasName).join() === 'He,Nitrox continu 32%', `Séquence: ${continuous.steps.map(s => s.gasName).join()}`);
+  assertApprox(continuous.mix.FO2, 0.21, 1e-9, 'FO₂ finale');
+
+  let threw = false;
+  try { planBlend(empty, { gas: ean50, pressure: 200 }, undefined, { continuousFlow: true }); } catch { threw = true; }
+  assert(threw, 'Nitrox continu limité à 40 %');
+
+  threw = false;
+  try { planBlend(empty, { gas: tx2135, pressure: 200 }, [STANDARD_SUPPLIES[0], STANDARD_SUPPLIES[2]]); } catch (e) {
+    threw = (e as Error).message.startsWith('Mélange 21/35 impossible');
+  }
+  assert(threw, 'Trimix impossible sans hélium');
+}
+console.log('✅ Nitrox en stock et continu');
+
+// Correction gaz réel
+{
+  assert(compressibilityFactor(air, 300) > 1.05, 'Air moins compressible à 300 bar');
+  assert(compressibilityFactor({ FO2: 0, FHe: 1, FN2: 0 }, 200) > compressibilityFactor(air, 200), 'Hélium moins compressible que l\'air');
+  assertApprox(realPressure(tx2135, idealPressure(tx2135, 232)), 232, 1e-6, 'Conversion réversible');
+
+  const ideal = planBlend(empty, { gas: tx2135, pressure: 200 });
+  const real = planBlend(empty, { gas: tx2135, pressure: 200 }, undefined, { realGas: true });
+  assert(real.realGas, 'Plan en gaz réel');
+  assertApprox(real.pressure, 200, 1e-6, 'Pression finale');
+  assertApprox(real.mix.FHe, 0.35, 1e-9, 'Fractions molaires visées');
+  assert(Math.abs(real.steps[0].pressureAdded - ideal.steps[0].pressureAdded) > 0.5, 'Pression d\'hélium corrigée');
+}
+console.log('✅ Gaz réel');
+
+console.log('\n🎉 Tests gonflage passés');
+
+export {};
@@ -0,0 +1,77 @@
+/**
+ * Tests des jeux de coefficients Bühlmann (ZH-L16A/B/C, 1b, personnalisé)
+ */
+
+import { planDive } from '../src/adapter/index';
+import { getCoefficients, validateCoefficients, resolveCoefficients, DEFAULT_COEFFICIENTS } from '../src/core/coefficients';
+import { GasMix } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+console.log('=== TESTS COEFFICIENTS BÜHLMANN ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+const tx2135: GasMix = { FO2: 0.21, FHe: 0.35, FN2: 0.44 };
+
+// Variantes publiées
+{
+  const a = getCoefficients('ZHL16A');
+  assert(a.aN2.every((v, i) => v === DEFAULT_COEFFICIENTS.aN2[i]), 'Défaut = ZH-L16A avec 1b');
+  assert(a.halfTimesN2.length === 16 && a.halfTimesN2[0] === 5.0, 'Compartiment 1b par défaut');
+
+  const c = getCoefficients('ZHL16C', false);
+  assert(c.halfTimesN2[0] === 4.0 && c.aN2[0] === 1.2599 && c.halfTimesHe[0] === 1.51, 'Compartiment 1 (4 min)');
+  assert(c.aN2[4] === 0.6200 && c.aN2[15] === 0.2327, 'Coefficients a ZH-L16C');
+  assert(validateCoefficients(c).errors.length === 0, 'Variante publiée valide');
+}
+console.log('✅ Variantes publiées');
+
+// Effet sur le plan : C plus conservatrice que B, elle-même plus que A
+{
+  const ttsA = planDive(45, 30, air, 30, 80, { coefficients: 'ZHL16A' }).tts;
+  const ttsB = planDive(45, 30, air, 30, 80, { coefficients: 'ZHL16B' }).tts;
+  const ttsC = planDive(45, 30, air, 30, 80, { coefficients: 'ZHL16C' }).tts;
+  assert(ttsA === planDive(45, 30, air, 30, 80).tts, 'Plan par défaut inchangé');
+  assert(ttsA <= ttsB && ttsB <= ttsC && ttsA < ttsC, `TTS A ${ttsA} ≤ B ${ttsB} ≤ C ${ttsC}`);
+
+  const trimixC = planDive(60, 20, tx2135, 30, 80, { coefficients: 'ZHL16C', compartment1b: false });
+  assert(trimixC.tts > 0, 'Trimix avec compartiment 1');
+}
+console.log('✅ Variantes appliquées au planificateur');
+
+// Jeu personnalisé validé
+{
+  const custom = { ...getCoefficients('ZHL16C'), name: 'maison' };
+  const plan = planDive(45, 30, air, 30, 80, { coefficients: custom });
+  assert(plan.tts === planDive(45, 30, air, 30, 80, { coefficients: 'ZHL16C' }).tts, 'Jeu personnalisé appliqué');
+
+  const shortTable = { ...custom, aN2: custom.aN2.slice(1) };
+  assert(validateCoefficients(shortTable).errors.length > 0, 'Nombre de compartiments vérifié');
+  const badB = { ...custom, bN2: custom.bN2.map(b => b + 1) };
+  assert(validateCoefficients(badB).errors.length > 0, 'Coefficients b vérifiés');
+
+  let threw = false;
+  try {
+    planDive(45, 30, air, 30, 80, { coefficients: badB });
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'Jeu invalide refusé');
+
+  threw = false;
+  try {
+    resolveCoefficients({ compartment1b: false });
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'Compartiment 1 sans variante refusé');
+}
+console.log('✅ Jeu personnalisé');
+
+console.log('\n🎉 Tests coefficients passés');
+
+export {};
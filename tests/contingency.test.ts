@@ -0,0 +1,77 @@
+/**
+ * Tests des plans de secours : perte de gaz de déco, grille plus profond / plus long
+ */
+
+import { planLostGasContingencies, planDeeperLongerGrid } from '../src/core/algorithm';
+import { GasMix, MultiGasPlan } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+console.log('=== TESTS PLANS DE SECOURS ===\n');
+
+const tx1845: GasMix = { FO2: 0.18, FHe: 0.45, FN2: 0.37 };
+const ean50: GasMix = { FO2: 0.50, FHe: 0.00, FN2: 0.50 };
+const oxygen: GasMix = { FO2: 0.99, FHe: 0.00, FN2: 0.01 };
+const gasPlan: MultiGasPlan = {
+  bottomGas: tx1845,
+  decoGases: [
+    { depth: 21, gas: ean50, name: 'EAN50' },
+    { depth: 6, gas: oxygen, name: 'O₂' }
+  ]
+};
+
+// Perte d'un gaz de déco
+{
+  const result = planLostGasContingencies([{ depth: 60, time: 20 }], gasPlan, 0.3, 0.8);
+  assert(result.nominal.extraTts === 0 && result.nominal.extraGas === 0, 'Nominal sans écart');
+  assert(result.contingencies.length === 2, 'Un plan par gaz de déco');
+
+  const [lostEan50, lostO2] = result.contingencies;
+  assert(lostEan50.lostGases[0] === 'EAN50' && lostO2.lostGases[0] === 'O₂', 'Gaz perdus nommés');
+  assert(lostEan50.extraTts > 0 && lostO2.extraTts > 0, 'Déco plus longue sans gaz de déco');
+  assert(lostEan50.plan.tts === result.nominal.plan.tts + lostEan50.extraTts, 'TTS supplémentaire');
+  assert(!lostO2.plan.stops.some(s => s.gasName === 'O₂'), 'Gaz perdu absent des paliers');
+  assert(lostO2.extraCns < 0, 'Moins de CNS sans O₂');
+  assert(lostEan50.extraGas > 0, 'Gaz supplémentaire');
+}
+console.log('✅ Perte d\'un gaz de déco');
+
+// Perte de paires de gaz
+{
+  const result = planLostGasContingencies([{ depth: 60, time: 20 }], gasPlan, 0.3, 0.8, { includePairs: true });
+  assert(result.contingencies.length === 3, 'Gaz seuls puis paires');
+  const both = result.contingencies[2];
+  assert(both.lostGases.join('+') === 'EAN50+O₂', 'Paire de gaz perdus');
+  assert(both.plan.stops.every(s => s.gas?.FO2 === tx1845.FO2), 'Déco sur le gaz de fond');
+  assert(both.extraTts > Math.max(result.contingencies[0].extraTts, result.contingencies[1].extraTts), 'Pire scénario');
+}
+console.log('✅ Perte de paires de gaz');
+
+// Grille plus profond / plus long
+{
+  const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+  const grid = planDeeperLongerGrid([{ depth: 40, time: 20 }], air, 0.3, 0.8);
+  assert(grid.length === 3 && grid.every(row => row.length === 3), 'Grille 3 × 3 par défaut');
+  assert(grid[2][2].maxDepth === 46 && grid[2][2].plan.bottomTime === 25, 'Case +6 m / +5 min');
+  assert(grid[0][0].plan.oxygenToxicity !== undefined, 'Exposition O₂ calculée');
+  assert(grid[2][2].plan.tts > grid[0][2].plan.tts && grid[0][2].plan.tts > grid[0][0].plan.tts, 'TTS croissant');
+
+  const table = grid[1][1].runtimeTable;
+  assert(table.length === grid[1][1].plan.stops.length, 'Une ligne par palier');
+  assert(table.every((entry, i) => i === 0 || entry.runtime > table[i - 1].runtime), 'Runtime croissant');
+  assert(table[table.length - 1].depth === 3, 'Dernier palier à 3 m');
+
+  const custom = planDeeperLongerGrid([{ depth: 30, time: 10 }, { depth: 40, time: 15 }], air, 0.3, 0.8,
+    { depthDeltas: [0, 5], timeDeltas: [10] });
+  assert(custom.length === 2 && custom[0].length === 1, 'Écarts configurables');
+  assert(custom[1][0].maxDepth === 45, 'Écart appliqué au niveau le plus profond');
+}
+console.log('✅ Grille plus profond / plus long');
+
+console.log('\n🎉 Tests plans de secours passés');
+
+export {};
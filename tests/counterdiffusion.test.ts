@@ -0,0 +1,105 @@
+/**
+ * Tests de la contre-diffusion isobare aux changements de gaz (règle des cinquièmes, contrôle par compartiment)
+ */
+
+import { planDecompressionMultiGas } from '../src/core/algorithm';
+import { DEFAULT_COEFFICIENTS } from '../src/core/coefficients';
+import { checkCounterdiffusion, suggestIntermediateMix } from '../src/core/counterdiffusion';
+import { BuhlmannCoefficients, GasMix, GasSwitch } from '../src/core/models';
+import { initTissues, updateConstantDepth, updateLinearDepth } from '../src/core/utils';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertApprox(actual: number, expected: number, tolerance: number, message: string) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+console.log('=== TESTS CONTRE-DIFFUSION ISOBARE ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+const tx1845: GasMix = { FO2: 0.18, FHe: 0.45, FN2: 0.37 };
+const tx2135: GasMix = { FO2: 0.21, FHe: 0.35, FN2: 0.44 };
+const tx1070: GasMix = { FO2: 0.10, FHe: 0.70, FN2: 0.20 };
+const ean50: GasSwitch = { depth: 21, gas: { FO2: 0.50, FHe: 0.00, FN2: 0.50 }, name: 'EAN50' };
+
+// Règle des cinquièmes
+{
+  const fail = checkCounterdiffusion(tx1845, ean50.gas, 21, { toName: 'EAN50' });
+  assertApprox(fail.n2Increase, 0.13, 1e-9, 'Hausse d\'N₂ 18/45 → EAN50');
+  assertApprox(fail.heDecrease, 0.45, 1e-9, 'Baisse d\'He 18/45 → EAN50');
+  assert(!fail.ruleOfFifths, '18/45 → EAN50 hors règle');
+  assert(fail.warnings.some(w => w.startsWith('⚠️ Contre-diffusion isobare à 21m')), 'Avertissement');
+  assert(fail.suggestedMix !== undefined, 'Mélange intermédiaire suggéré');
+
+  const pass = checkCounterdiffusion(tx2135, ean50.gas, 21);
+  assert(pass.ruleOfFifths && pass.warnings.length === 0, '21/35 → EAN50 dans la règle');
+  assert(pass.suggestedMix === undefined, 'Pas de suggestion sans risque');
+
+  // Sans hélium, pas de contre-diffusion
+  assert(checkCounterdiffusion({ FO2: 0.32, FHe: 0, FN2: 0.68 }, air, 20).ruleOfFifths, 'Nitrox → air sans objet');
+}
+console.log('✅ Règle des cinquièmes');
+
+// Mélange intermédiaire suggéré
+{
+  const mix = suggestIntermediateMix(tx1070, air, 30)!;
+  assert(mix.FO2 === 0.21 && mix.FHe === 0.57, `10/70 → air à 30 m: ${mix.FO2}/${mix.FHe}`);
+  assertApprox(mix.FO2 + mix.FHe + mix.FN2, 1, 1e-9, 'Fractions complètes');
+  assert(checkCounterdiffusion(tx1070, mix, 30).ruleOfFifths, 'Changement vers le mélange suggéré dans la règle');
+
+  // Même O₂ : aucun mélange intermédiaire ne respecte la règle
+  assert(suggestIntermediateMix(tx2135, air, 30) === undefined, 'Pas de suggestion à O₂ constant');
+
+  // O₂ limité par la pO₂ maximale à la profondeur du changement
+  const limited = suggestIntermediateMix(tx1845, ean50.gas, 21, 1.4)!;
+  assert(limited.FO2 * 3.1 <= 1.4 + 1e-9, `pO₂ du mélange suggéré: ${limited.FO2}`);
+  assert(checkCounterdiffusion(tx1845, limited, 21).ruleOfFifths, 'Mélange limité dans la règle');
+}
+console.log('✅ Mélange intermédiaire');
+
+// Contrôle par compartiment : tissus où l'He diffuse plus lentement que l'N₂ (cas de la peau)
+{
+  const coefficients: BuhlmannCoefficients = {
+    ...DEFAULT_COEFFICIENTS, halfTimesHe: DEFAULT_COEFFICIENTS.halfTimesN2.map(h => h * 2.65)
+  };
+  const tissues = initTissues();
+  updateLinearDepth(tissues, 0, 60, tx1070, 3, undefined, coefficients);
+  updateConstantDepth(tissues, 60, tx1070, 30, undefined, coefficients);
+  updateLinearDepth(tissues, 60, 30, tx1070, 3, undefined, coefficients);
+
+  const check = checkCounterdiffusion(tx1070, air, 30, { tissues, coefficients });
+  assert(check.compartments.length > 0, 'Compartiments en sursaturation croissante');
+  assert(check.compartments.every(c => c.peakGf > c.gfBefore + 1), 'Hausse au-delà de la tolérance');
+  assert(check.warnings.some(w => w.includes('sursaturation en hausse')), 'Avertissement par compartiment');
+
+  // Cinétique ZH-L16 : l'hélium sort plus vite que l'azote n'entre, pas de hausse
+  const standard = initTissues();
+  updateLinearDepth(standard, 0, 60, tx1070, 3);
+  updateConstantDepth(standard, 60, tx1070, 30);
+  updateLinearDepth(standard, 60, 30, tx1070, 3);
+  assert(checkCounterdiffusion(tx1070, air, 30, { tissues: standard }).compartments.length === 0, 'ZH-L16 sans hausse');
+}
+console.log('✅ Contrôle par compartiment');
+
+// Intégration au plan
+{
+  const plan = planDecompressionMultiGas(60, 20, { bottomGas: tx1845, decoGases: [ean50] }, 0.3, 0.8);
+  assert(plan.warnings!.some(w => w.includes('Contre-diffusion isobare à 21m')), 'Avertissement dans le plan');
+  assert(plan.warnings!.filter(w => w.includes('Contre-diffusion')).length === 1, 'Avertissement unique');
+  const event = plan.gasSwitches!.find(s => s.depth === 21)!;
+  assert(event.counterdiffusion !== undefined && !event.counterdiffusion.ruleOfFifths, 'Contrôle joint au changement');
+
+  const safe = planDecompressionMultiGas(50, 20, { bottomGas: tx2135, decoGases: [ean50] }, 0.3, 0.8);
+  assert(!safe.warnings!.some(w => w.includes('Contre-diffusion')), 'Aucun avertissement 21/35 → EAN50');
+}
+console.log('✅ Intégration au plan');
+
+console.log('\n🎉 Tests contre-diffusion isobare passés');
+
+export {};
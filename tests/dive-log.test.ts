@@ -0,0 +1,222 @@
+/**
+ * Tests de l'import de carnets (Subsurface, UDDF) et du rejeu dans le modèle
+ */
+
+import { planDive } from '../src/adapter/index';
+import { planDecompressionProfile, planDecompressionCCR } from '../src/core/algorithm';
+import { parseSubsurfaceXml, parseUddf, parseDiveLog, replayDive, exportUddf, exportSubsurfaceXml } from '../src/core/dive-log';
+import { GasMix, MultiGasPlan } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertApprox(actual: number, expected: number, tolerance: number, message: string) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+console.log('=== TESTS IMPORT ET REJEU DE PLONGÉES ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+const clock = (minutes: number) => {
+  const seconds = Math.round(minutes * 60);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} min`;
+};
+
+// Carnet Subsurface généré à partir des phases d'un plan
+function subsurfaceFromPlan(depth: number, time: number): string {
+  const plan = planDive(depth, time, air, 30, 80);
+  let runtime = 0;
+  const samples = [`<sample time='0:00 min' depth='0.0 m' />`];
+  for (const phase of plan.profile!) {
+    runtime += phase.time;
+    samples.push(`<sample time='${clock(runtime)}' depth='${phase.endDepth.toFixed(1)} m' />`);
+  }
+  return `<?xml version="1.0"?>
+<divelog program='subsurface' version='3'>
+<!-- Plongée de test -->
+<dives>
+<dive number='12' date='2024-06-01' time='10:15:00' duration='${clock(runtime)}'>
+  <cylinder size='12.0 l' workpressure='232.0 bar' description='D12' />
+  <divecomputer model='Test'>
+  <surface pressure='1.013 bar' />
+  <water salinity='1030 g/l' />
+  ${samples.join('\n  ')}
+  </divecomputer>
+</dive>
+</dives>
+</divelog>`;
+}
+
+// Import Subsurface
+{
+  const [dive] = parseSubsurfaceXml(subsurfaceFromPlan(30, 25));
+  assert(dive.format === 'subsurface' && dive.id === '12', 'Numéro de plongée');
+  assert(dive.date === '2024-06-01 10:15:00', 'Date et heure');
+  assertApprox(dive.surfacePressure!, 1.013, 1e-9, 'Pression de surface');
+  assertApprox(dive.waterDensity!, 1030, 1e-9, 'Salinité en kg/m³');
+  assert(dive.samples[0].time === 0 && dive.samples[1].depth === 30, 'Points profondeur/temps');
+  assert(dive.samples.every(s => s.gas.FO2 === 0.21), 'Bouteille sans O₂ = air');
+
+  const mixed = parseSubsurfaceXml(`<divelog><dives><dive number='3'>
+    <cylinder o2='18.0%' he='45.0%' /><cylinder o2='50.0%' />
+    <divecomputer>
+      <sample time='0:30 min' depth='20.0 m' />
+      <event time='1:00 min' type='25' name='gaschange' cylinder='1' />
+      <sample time='1:00 min' depth='21.0 m' />
+      <sample time='1:30 min' />
+    </divecomputer></dive></dives></divelog>`)[0];
+  assert(mixed.samples[0].gas.FHe === 0.45 && mixed.samples[0].gasName === '18/45', 'Trimix de départ');
+  assert(mixed.samples[1].gas.FO2 === 0.5, 'Changement de gaz par événement');
+  assert(mixed.samples[2].depth === 21, 'Profondeur reprise du point précédent');
+}
+console.log('✅ Import Subsurface');
+
+// Import UDDF (unités SI)
+const uddf = `<?xml version="1.0" encoding="utf-8"?>
+<uddf xmlns="http://www.streit.cc/uddf/3.2/" version="3.2.0">
+  <gasdefinitions>
+    <mix id="tx"><name>Tx 18/45</name><o2>0.18</o2><he>0.45</he></mix>
+    <mix id="ean50"><name>EAN50</name><o2>0.50</o2><he>0.0</he></mix>
+  </gasdefinitions>
+  <profiledata><repetitiongroup id="rg1">
+    <dive id="d1">
+      <informationbeforedive><datetime>2024-06-02T09:00</datetime><surfacepressure>90000</surfacepressure></informationbeforedive>
+      <tankdata><link ref="tx"/></tankdata>
+      <samples>
+        <waypoint><depth>0</depth><divetime>0</divetime></waypoint>
+        <waypoint><depth>50</depth><divetime>180</divetime></waypoint>
+        <waypoint><depth>50</depth><divetime>1200</divetime></waypoint>
+        <waypoint><depth>21</depth><divetime>1400</divetime><switchmix ref="ean50"/></waypoint>
+        <waypoint><depth>21</depth><divetime>1520</divetime></waypoint>
+        <waypoint><depth>0</depth><divetime>1800</divetime></waypoint>
+      </samples>
+    </dive>
+  </repetitiongroup></profiledata>
+</uddf>`;
+{
+  const [dive] = parseUddf(uddf);
+  assert(dive.format === 'uddf' && dive.id === 'd1' && dive.date === '2024-06-02T09:00', 'Identifiant et date');
+  assertApprox(dive.surfacePressure!, 0.9, 1e-9, 'Pression de surface en bar');
+  assert(dive.samples.length === 6 && dive.samples[2].time === 20, 'Temps en minutes');
+  assert(dive.samples[2].gasName === 'Tx 18/45' && dive.samples[3].gasName === 'EAN50', 'Changement de mélange');
+  assert(parseDiveLog(uddf)[0].format === 'uddf', 'Format détecté');
+
+  let threw = false;
+  try {
+    parseDiveLog('<logbook><dive/></logbook>');
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'Format inconnu refusé');
+}
+console.log('✅ Import UDDF');
+
+// Rejeu : plongée conforme au plan
+{
+  const replay = replayDive(parseSubsurfaceXml(subsurfaceFromPlan(30, 25))[0], 0.3, 0.8);
+  assert(replay.violations.length === 0, `Aucune violation (${replay.warnings.join(', ')})`);
+  assert(replay.maxCeiling > 0, 'Plafond de décompression');
+  assert(replay.points[replay.points.length - 1].ceiling < 0.5, 'Plafond levé en surface (eau salée)');
+  assert(replay.maxGf99 <= 100, 'M-value respectée');
+  assert(replay.maxSurfGf > 80, 'SurfGF au-delà du GF haut au fond');
+  assertApprox(replay.oxygenToxicity.maxPO2, 0.21 * (1.013 + 30 * 1030 * 9.80665 / 1e5), 1e-3, 'pO₂ max');
+  assert(replay.oxygenToxicity.otu > 0 && replay.oxygenToxicity.cns > 0, 'CNS et OTU');
+}
+console.log('✅ Rejeu d\'une plongée conforme');
+
+// Rejeu : remontée directe sans palier
+{
+  const direct = parseSubsurfaceXml(`<divelog><dives><dive number='1'><divecomputer>
+    <sample time='2:00 min' depth='30.0 m' />
+    <sample time='25:00 min' depth='30.0 m' />
+    <sample time='28:00 min' depth='0.0 m' />
+    </divecomputer></dive></dives></divelog>`)[0];
+  const replay = replayDive(direct, 0.3, 0.8);
+  assert(replay.points[0].time === 0 && replay.points[0].depth === 0, 'Départ de la surface au temps 0');
+  assert(replay.violations.length === 1 && replay.violations[0].missedStop, 'Palier manqué');
+  assert(replay.warnings.some(w => w.includes('🚨 Palier manqué')), 'Palier manqué signalé');
+  assert(replay.finalTissues.pN2[0] > 0.79, 'Tissus chargés en fin de plongée');
+
+  const gfHigher = replayDive(direct, 0.9, 0.95);
+  assert(gfHigher.maxCeiling < replay.maxCeiling, 'Plafond selon les GF');
+}
+console.log('✅ Violations de plafond');
+
+// Rejeu UDDF : gaz de déco et pression de surface du fichier
+{
+  const replay = replayDive(parseUddf(uddf)[0], 0.3, 0.8);
+  assertApprox(replay.oxygenToxicity.maxPO2, 0.5 * (0.9 + 2.1), 1e-9, 'pO₂ sur EAN50 à 21 m en altitude');
+  assert(replay.points.find(p => p.time === 20)!.gasName === 'Tx 18/45', 'Gaz par point');
+  assert(replay.violations.some(v => v.missedStop), 'Remontée trop rapide après 21 m');
+
+  const sea = replayDive(parseUddf(uddf)[0], 0.3, 0.8, { surfacePressure: 1.01325 });
+  assert(sea.oxygenToxicity.maxPO2 > replay.oxygenToxicity.maxPO2, 'Options prioritaires sur le fichier');
+}
+console.log('✅ Rejeu UDDF');
+
+// Export d'un plan puis réimport : même profil, mêmes gaz
+{
+  const tx1845: GasMix = { FO2: 0.18, FHe: 0.45, FN2: 0.37 };
+  const ean50: GasMix = { FO2: 0.50, FHe: 0.00, FN2: 0.50 };
+  const gasPlan: MultiGasPlan = { bottomGas: tx1845, decoGases: [{ depth: 21, gas: ean50, name: 'EAN50 <déco>' }] };
+  const plan = planDecompressionProfile([{ depth: 50, time: 20 }], gasPlan, 0.3, 0.8, { waterType: 'salt' });
+  const date = new Date(2024, 5, 3, 8, 30, 0);
+
+  const uddfText = exportUddf(plan, 0.3, 0.8, { waterType: 'salt', date, number: 7, notes: 'Lac & carrière' });
+  assert(uddfText.includes('<gradientfactorlow>0.3</gradientfactorlow>') && uddfText.includes('<tissue gas="he"'), 'Modèle Bühlmann et GF');
+  assert(uddfText.includes('<decostop kind="mandatory"') && uddfText.includes('&amp; carrière'), 'Paliers et notes échappées');
+  const fromUddf = parseDiveLog(uddfText)[0];
+  assert(fromUddf.id === 'dive7' && fromUddf.date === '2024-06-03T08:30:00', 'Numéro et date');
+  assert(fromUddf.samples.length === plan.profile!.length + 1, 'Un point par sommet du profil');
+  assert(fromUddf.samples.some(s => s.gasName === 'EAN50 <déco>' && s.depth === 21), 'Changement de gaz exporté');
+  const simulated = plan.profile!.reduce((sum, phase) => sum + phase.time, 0);
+  assertApprox(fromUddf.samples[fromUddf.samples.length - 1].time, simulated, 1 / 60, 'Durée simulée');
+
+  const ssrf = exportSubsurfaceXml(plan, 0.3, 0.8, { waterType: 'salt', date });
+  assert(ssrf.includes("model='planned dive'") && ssrf.includes('GF 30/80'), 'Plongée planifiée avec GF');
+  const fromSsrf = parseDiveLog(ssrf)[0];
+  assert(fromSsrf.date === '2024-06-03 08:30:00' && fromSsrf.waterDensity === 1030, 'Date et salinité');
+  assert(ssrf.includes("<water salinity='1030 g/l' />"), 'Salinité en g/l comme Subsurface');
+
+  // Ligne écrite par Subsurface pour de l'eau douce
+  const fresh = parseSubsurfaceXml(`<divelog><dives><dive number='2'><divecomputer model='Shearwater Perdix'>
+    <water salinity='1000 g/l' />
+    <sample time='1:00 min' depth='10.0 m' />
+    <sample time='10:00 min' depth='10.0 m' />
+    <sample time='11:00 min' depth='0.0 m' />
+    </divecomputer></dive></dives></divelog>`)[0];
+  assert(fresh.waterDensity === 1000, `Eau douce: ${fresh.waterDensity}`);
+  assertApprox(replayDive(fresh, 0.3, 0.8).oxygenToxicity.maxPO2, 0.21 * (1.01325 + 10 * 1000 * 9.80665 / 1e5), 1e-3, 'Pression en eau douce');
+  assert(fromSsrf.samples.length === fromUddf.samples.length, 'Même profil');
+  assert(fromSsrf.samples.every((s, i) => s.gas.FO2 === fromUddf.samples[i].gas.FO2), 'Mêmes gaz');
+
+  const replay = replayDive(fromSsrf, 0.3, 0.8);
+  assert(replay.violations.length === 0, `Plan exporté sans violation (${replay.warnings.join(', ')})`);
+
+  const vpm = planDecompressionProfile([{ depth: 50, time: 20 }], gasPlan, 0.3, 0.8, { decoModel: 'vpmb' });
+  assert(!exportUddf(vpm, 0.3, 0.8).includes('<decomodel>'), 'Pas de GF pour VPM-B');
+
+  const ccr = planDecompressionCCR([{ depth: 40, time: 30 }],
+    { diluent: air, lowSetpoint: 0.7, highSetpoint: 1.3, switchDepth: 10 }, 0.4, 0.85);
+  const ccrUddf = exportUddf(ccr, 0.4, 0.85);
+  assert(ccrUddf.includes('<divemode type="closedcircuit"/>') && ccrUddf.includes('<setpo2 setby="user">130000</setpo2>'), 'Setpoints UDDF');
+  assert(exportSubsurfaceXml(ccr, 0.4, 0.85).includes("dctype='CCR'"), 'Recycleur Subsurface');
+
+  let threw = false;
+  try {
+    exportUddf({ ...plan, profile: undefined }, 0.3, 0.8);
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'Profil requis');
+}
+console.log('✅ Export UDDF et Subsurface');
+
+console.log('\n🎉 Tests import et rejeu passés');
+
+export {};
@@ -0,0 +1,56 @@
+/**
+ * Tests des plongées successives (azote résiduel)
+ */
+
+import { planDiveSeries } from '../src/core/dive-series';
+import { planDive } from '../src/adapter/index';
+import { initTissues } from '../src/core/utils';
+import { GasMix } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+console.log('=== TESTS PLONGÉES SUCCESSIVES ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+
+// Deuxième plongée après 60 min de surface : plus de déco que la même plongée à froid
+{
+  const series = planDiveSeries([
+    { segments: [{ depth: 40, time: 20 }], gas: air },
+    { segments: [{ depth: 30, time: 25 }], gas: air, surfaceIntervalMin: 60 }
+  ], 0.40, 0.85);
+
+  assert(series.plans.length === 2, 'Un plan par plongée');
+  assert(series.startTissues.length === 2, 'Un état tissulaire par début de plongée');
+  const clean = planDive(30, 25, air, 40, 85);
+  assert(series.plans[1].tts > clean.tts, 'Azote résiduel doit allonger la déco');
+  assert(series.startTissues[1].pN2[0] > initTissues().pN2[0], 'Tissus rapides encore chargés après 60 min');
+}
+console.log('✅ Azote résiduel pris en compte');
+
+// Long intervalle : retour proche de la saturation surface
+{
+  const series = planDiveSeries([
+    { segments: [{ depth: 40, time: 20 }], gas: air },
+    { segments: [{ depth: 30, time: 25 }], gas: air, surfaceIntervalMin: 48 * 60 }
+  ], 0.40, 0.85);
+  const clean = planDive(30, 25, air, 40, 85);
+  assert(series.plans[1].tts === clean.tts, 'Après 48 h, plongée équivalente à une première plongée');
+}
+console.log('✅ Désaturation complète après un long intervalle');
+
+// planDive accepte un état tissulaire de départ
+{
+  const series = planDiveSeries([{ segments: [{ depth: 40, time: 20 }], gas: air }], 0.40, 0.85);
+  const next = planDive(30, 25, air, 40, 85, { initialTissues: series.finalTissues });
+  assert(next.tts > planDive(30, 25, air, 40, 85).tts, 'planDive avec tissus chargés');
+}
+console.log('✅ planDive avec état tissulaire de départ');
+
+console.log('\n🎉 Tests plongées successives passés');
+
+export {};
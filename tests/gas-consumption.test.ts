@@ -0,0 +1,82 @@
+/**
+ * Tests du bilan de gaz : consommation, rock-bottom et pression de demi-tour
+ */
+
+import { planDive } from '../src/adapter/index';
+import { planDecompressionProfile } from '../src/core/algorithm';
+import { calculateGasConsumption, calculateSegmentGasUsage } from '../src/core/gas-consumption';
+import { GasMix, MultiGasPlan, ProfileSegment } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertApprox(actual: number, expected: number, tolerance: number, message: string) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+console.log('=== TESTS CONSOMMATION DE GAZ ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+const ean50: GasMix = { FO2: 0.50, FHe: 0.00, FN2: 0.50 };
+
+// Consommation d'une phase : SAC × pression moyenne × durée
+{
+  const bottom: ProfileSegment = { phase: 'bottom', startDepth: 20, endDepth: 20, time: 10, gas: air };
+  assertApprox(calculateSegmentGasUsage(bottom, 20), 20 * 3.01325 * 10, 1e-6, 'Phase à profondeur constante');
+  const ascent: ProfileSegment = { phase: 'ascent', startDepth: 20, endDepth: 0, time: 2, gas: air };
+  assertApprox(calculateSegmentGasUsage(ascent, 20), 20 * 2.01325 * 2, 1e-6, 'Pression moyenne en remontée');
+}
+console.log('✅ Consommation par phase');
+
+// Rock-bottom : remontée partagée au SAC sous stress + 1 min de résolution
+{
+  const profile: ProfileSegment[] = [
+    { phase: 'bottom', startDepth: 30, endDepth: 30, time: 20, gas: air },
+    { phase: 'ascent', startDepth: 30, endDepth: 0, time: 3, gas: air }
+  ];
+  const report = calculateGasConsumption(profile, { sac: 20, cylinder: { volume: 12, workingPressure: 200 } });
+  const budget = report.gases[0];
+  const expectedMin = 2 * 30 * (4.01325 * 1 + 2.51325 * 3);
+  assertApprox(budget.minimumGas, expectedMin, 1e-6, 'Réserve rock-bottom');
+  assert(budget.rockBottom === Math.ceil(expectedMin / 12), 'Rock-bottom en bar');
+  assert(budget.endPressure === 200 - budget.pressureUsed, 'Pression restante');
+  assert(budget.turnPressure === Math.ceil(200 - (200 - budget.rockBottom) / 2), 'Demi-tour à la moitié du gaz utilisable');
+
+  const thirds = calculateGasConsumption(profile, { sac: 20, turnRule: 'thirds' });
+  assert(thirds.gases[0].turnPressure! > budget.turnPressure!, 'Règle des tiers plus conservatrice');
+  assert(report.segments.length === 2, 'Une ligne par phase');
+}
+console.log('✅ Rock-bottom et demi-tour');
+
+// Planificateur : bouteille par gaz et contrôle de la réserve
+{
+  const tx2135: GasMix = { FO2: 0.21, FHe: 0.35, FN2: 0.44 };
+  const plan: MultiGasPlan = { bottomGas: tx2135, decoGases: [{ depth: 21, gas: ean50, name: 'EAN50' }] };
+  const result = planDecompressionProfile([{ depth: 45, time: 25 }], plan, 0.3, 0.8, {
+    gasConsumption: {
+      sac: 18,
+      cylinder: { volume: 24, workingPressure: 232 },
+      cylinders: [{ gas: ean50, cylinder: { volume: 11, workingPressure: 200, startPressure: 200 } }]
+    }
+  });
+  const report = result.gasConsumption!;
+  assert(report.gases.length === 2, 'Un bilan par gaz');
+  assert(report.gases[0].cylinder.volume === 24 && report.gases[1].cylinder.volume === 11, 'Bouteille propre au gaz de déco');
+  assert(report.gases[1].turnPressure === undefined, 'Pas de demi-tour sur le gaz de déco');
+
+  const small = planDive(40, 30, air, 30, 80, {
+    gasConsumption: { sac: 25, cylinder: { volume: 7, workingPressure: 200 } }
+  });
+  assert(small.gasConsumption!.warnings.some(w => w.includes('🚨')), 'Gaz insuffisant signalé');
+  assert(planDive(40, 30, air, 30, 80).gasConsumption === undefined, 'Bilan uniquement sur demande');
+}
+console.log('✅ Bilan de gaz du planificateur');
+
+console.log('\n🎉 Tests consommation de gaz passés');
+
+export {};
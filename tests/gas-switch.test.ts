@@ -0,0 +1,103 @@
+/**
+ * Tests des règles de changement de gaz (profondeurs, limites de pO₂, paliers de changement)
+ */
+
+import { planDecompressionMultiGas, planDecompressionProfile } from '../src/core/algorithm';
+import { getBestGasForDepth, getSwitchGasForDepth, validateMultiGasPlan } from '../src/core/multi-gas';
+import { GasMix, GasSwitch, MultiGasPlan } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+console.log('=== TESTS CHANGEMENTS DE GAZ ===\n');
+
+const tx2135: GasMix = { FO2: 0.21, FHe: 0.35, FN2: 0.44 };
+const ean50: GasSwitch = { depth: 21, gas: { FO2: 0.50, FHe: 0.00, FN2: 0.50 }, name: 'EAN50' };
+const oxygen: GasSwitch = { depth: 6, gas: { FO2: 0.99, FHe: 0.00, FN2: 0.01 }, name: 'O₂' };
+
+// Changements aux profondeurs prévues, listés dans le plan
+{
+  const plan = planDecompressionMultiGas(50, 25, { bottomGas: tx2135, decoGases: [ean50, oxygen] }, 0.3, 0.8);
+  const switches = plan.gasSwitches!;
+  assert(switches.map(s => `${s.gasName}@${s.depth}`).join() === 'EAN50@21,O₂@6', `Changements: ${switches.map(s => s.depth).join()}`);
+  assert(switches[0].runtime < switches[1].runtime, 'Runtime croissant');
+  assert(plan.stops.filter(s => s.depth <= 21 && s.depth > 6).every(s => s.gasName === 'EAN50'), 'EAN50 de 21 à 9 m');
+  assert(plan.stops.filter(s => s.depth <= 6).every(s => s.gasName === 'O₂'), 'O₂ à partir de 6 m');
+}
+console.log('✅ Changements aux profondeurs prévues');
+
+// Profondeur de changement hors grille : arrêt à la profondeur de changement, jamais entre deux paliers
+{
+  const decoGases = [{ ...ean50, depth: 20, minStopMinutes: 2 }, { ...oxygen, minStopMinutes: 3 }];
+  const plan = planDecompressionMultiGas(50, 25, { bottomGas: tx2135, decoGases }, 0.3, 0.8);
+  const stop20 = plan.stops.find(s => s.depth === 20);
+  assert(stop20 !== undefined && stop20.time >= 2 && stop20.gasName === 'EAN50', 'Palier de changement à 20 m');
+  assert(plan.stops.find(s => s.depth === 6)!.time >= 3, 'Palier de changement O₂ ≥ 3 min');
+  assert(plan.gasSwitches!.every(s => s.depth === 20 || s.depth === 6), 'Aucun changement en cours de remontée');
+
+  // Le gaz ne change jamais pendant un déplacement
+  const ascents = plan.profile!.filter(p => p.phase === 'ascent');
+  for (const a of ascents) {
+    const before = plan.profile![plan.profile!.indexOf(a) - 1];
+    assert(before.gas === a.gas, `Gaz constant de ${a.startDepth} à ${a.endDepth} m`);
+  }
+}
+console.log('✅ Paliers de changement');
+
+// Palier minimal par défaut pour tous les changements
+{
+  const gasPlan: MultiGasPlan = { bottomGas: tx2135, decoGases: [ean50, oxygen] };
+  const base = planDecompressionMultiGas(50, 25, gasPlan, 0.3, 0.8);
+  const padded = planDecompressionProfile([{ depth: 50, time: 25 }], gasPlan, 0.3, 0.8, { gasSwitchStopMinutes: 3 });
+  assert(padded.stops.filter(s => s.depth === 21 || s.depth === 6).every(s => s.time >= 3), 'Paliers de 3 min aux changements');
+  assert(padded.tts >= base.tts, 'TTS allongé ou égal');
+  const paddedMultiGas = planDecompressionMultiGas(50, 25, gasPlan, 0.3, 0.8, { gasSwitchStopMinutes: 3 });
+  assert(paddedMultiGas.tts === padded.tts, 'Option acceptée par planDecompressionMultiGas');
+
+  // Changement au-dessus du premier palier : arrêt même sans obligation de déco
+  const shallow = planDecompressionProfile([{ depth: 30, time: 10 }], { bottomGas: tx2135, decoGases: [{ ...ean50, minStopMinutes: 1 }] },
+    0.3, 0.8);
+  assert(shallow.stops.some(s => s.depth === 21 && s.time >= 1 && s.gasName === 'EAN50'), 'Arrêt de changement à 21 m sans déco');
+}
+console.log('✅ Palier minimal au changement');
+
+// Limites de pO₂ par gaz, fond et déco séparés
+{
+  const strict = { ...ean50, maxPO2: 1.4 };
+  let rejected = false;
+  try {
+    planDecompressionMultiGas(50, 25, { bottomGas: tx2135, decoGases: [strict] }, 0.3, 0.8);
+  } catch (e) {
+    rejected = (e as Error).message.startsWith('Plan multi-gaz invalide');
+  }
+  assert(rejected, 'EAN50 à 21 m rejeté avec une limite de 1.4 bar');
+
+  const plan = planDecompressionMultiGas(50, 25, { bottomGas: tx2135, decoGases: [{ ...strict, depth: 15 }] }, 0.3, 0.8);
+  assert(plan.gasSwitches!.map(s => s.depth).join() === '15', 'EAN50 à 15 m avec une limite de 1.4 bar');
+
+  // Gaz disponible à sa profondeur de changement et au-dessus, dans sa limite
+  assert(getSwitchGasForDepth(15, [ean50], tx2135).gas === ean50.gas, 'EAN50 disponible au-dessus de 21 m');
+  assert(!getSwitchGasForDepth(24, [ean50], tx2135).shouldSwitch, 'EAN50 indisponible sous 21 m');
+  assert(!getSwitchGasForDepth(21, [strict], tx2135).shouldSwitch, 'Limite propre au gaz');
+
+  // getBestGasForDepth inchangé : gaz retenu à sa profondeur de changement ou plus profond
+  assert(getBestGasForDepth(21, [ean50], tx2135).gas === ean50.gas, 'EAN50 à 21 m');
+  assert(!getBestGasForDepth(15, [ean50], tx2135).shouldSwitch, 'EAN50 non retenu au-dessus de 21 m');
+
+  const ean32: MultiGasPlan = { bottomGas: { FO2: 0.32, FHe: 0.00, FN2: 0.68 }, decoGases: [] };
+  assert(validateMultiGasPlan(ean32, 36).warnings.some(w => w.includes('pO₂ élevée au fond')), 'Fond limité à 1.4 bar par défaut');
+  assert(validateMultiGasPlan(ean32, 36, undefined, { bottomPO2: 1.5 }).warnings.length === 0, 'Limite de fond configurable');
+  const highBottom = (opts?: { bottomPO2?: number }) =>
+    planDecompressionMultiGas(36, 15, ean32, 0.3, 0.8, opts).oxygenToxicity!.warnings.some(w => w.includes('pO₂ élevée au fond'));
+  assert(highBottom() && !highBottom({ bottomPO2: 1.5 }), 'Limite de fond de planDecompressionMultiGas');
+  assert(validateMultiGasPlan({ bottomGas: tx2135, decoGases: [{ ...ean50, minStopMinutes: -1 }] }, 50).errors.length === 1,
+    'Palier de changement négatif rejeté');
+}
+console.log('✅ Limites de pO₂');
+
+console.log('\n🎉 Tests changements de gaz passés');
+
+export {};
@@ -0,0 +1,75 @@
+/**
+ * Tests des profils multi-niveaux (segments successifs)
+ */
+
+import { planDecompression, planDecompressionProfile } from '../src/core/algorithm';
+import { planDive, planMultiLevelDive } from '../src/adapter/index';
+import { GasMix } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+console.log('=== TESTS PROFILS MULTI-NIVEAUX ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+const ean32: GasMix = { FO2: 0.32, FHe: 0.00, FN2: 0.68 };
+
+// Un segment unique équivaut au profil carré
+{
+  const square = planDecompression(40, 15, air, 0.40, 0.85);
+  const profile = planDecompressionProfile([{ depth: 40, time: 15 }], air, 0.40, 0.85);
+  assert(JSON.stringify(square) === JSON.stringify(profile), 'Segment unique = profil carré');
+  const adapter = planDive(40, 15, air, 40, 85);
+  assert(adapter.tts === square.tts, 'planDive doit déléguer au moteur de profil');
+}
+console.log('✅ Segment unique équivalent au profil carré');
+
+// Profil 45/15, 30/10, 21/20 : plus de déco que 45/15 seul, moins que 45/45
+{
+  const segments = [{ depth: 45, time: 15 }, { depth: 30, time: 10 }, { depth: 21, time: 20 }];
+  const multi = planMultiLevelDive(segments, air, 40, 85);
+  const shortSquare = planDive(45, 15, air, 40, 85);
+  const longSquare = planDive(45, 45, air, 40, 85);
+  assert(multi.tts >= shortSquare.tts, 'Les niveaux suivants ajoutent de la charge');
+  assert(multi.tts < longSquare.tts, 'Multi-niveaux moins pénalisant que 45 m tout le temps');
+  assert(multi.bottomTime >= 45, 'Temps de fond = niveaux + transitions');
+  assert(multi.totalDiveTime >= multi.descentTime + 45 + multi.tts - 1, 'Temps total cohérent');
+  assert((multi.warnings ?? []).length === 0, 'Aucun plafond violé attendu');
+}
+console.log('✅ Profil multi-niveaux 45/30/21');
+
+// Changement de gaz sur un segment
+{
+  const onAir = planMultiLevelDive([{ depth: 30, time: 20 }, { depth: 18, time: 20 }], air, 40, 85);
+  const withNitrox = planMultiLevelDive(
+    [{ depth: 30, time: 20 }, { depth: 18, time: 20, gas: ean32, gasName: 'EAN32' }], air, 40, 85);
+  assert(withNitrox.tts <= onAir.tts, 'EAN32 au second niveau réduit la déco');
+}
+console.log('✅ Gaz par segment');
+
+// Remontée au-dessus du plafond signalée
+{
+  const plan = planDecompressionProfile([{ depth: 50, time: 30 }, { depth: 3, time: 1 }], air, 0.40, 0.85);
+  assert((plan.warnings ?? []).length > 0, 'Violation de plafond attendue');
+  assert(plan.stops.length > 0 && plan.stops[0].depth > 3, 'Les paliers doivent reprendre sous le plafond');
+}
+console.log('✅ Violation de plafond détectée');
+
+// Segments invalides rejetés
+{
+  let errorCaught = false;
+  try {
+    planDecompressionProfile([], air, 0.40, 0.85);
+  } catch (error) {
+    errorCaught = true;
+  }
+  assert(errorCaught, 'Profil vide doit lever une exception');
+}
+console.log('✅ Validation des segments');
+
+console.log('\n🎉 Tests multi-niveaux passés');
+
+export {};
@@ -0,0 +1,107 @@
+/**
+ * Tests de l'analyse de narcose et de densité (END, EAD, g/l)
+ */
+
+import { planDive } from '../src/adapter/index';
+import { planDecompressionCCR, planDecompressionMultiGas } from '../src/core/algorithm';
+import { validateMultiGasPlan } from '../src/core/multi-gas';
+import { calculateEAD, calculateEND, calculateGasDensity, calculateNarcosis } from '../src/core/narcosis';
+import { calculateLoopGas } from '../src/core/rebreather';
+import { GasMix, MultiGasPlan } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertApprox(actual: number, expected: number, tolerance: number, message: string) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+console.log('=== TESTS NARCOSE ET DENSITÉ ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+const ean32: GasMix = { FO2: 0.32, FHe: 0.00, FN2: 0.68 };
+const tx2135: GasMix = { FO2: 0.21, FHe: 0.35, FN2: 0.44 };
+
+// END, EAD et densité
+{
+  assertApprox(calculateEND(30, air), 30, 1e-9, 'END de l\'air');
+  assertApprox(calculateEND(30, air, false), 30, 1e-9, 'END de l\'air, O₂ non narcotique');
+  assertApprox(calculateEND(60, tx2135), 35.5, 0.1, 'END 21/35 à 60 m, O₂ narcotique');
+  assertApprox(calculateEND(60, tx2135, false), 28.9, 0.1, 'END 21/35 à 60 m, O₂ non narcotique');
+  assertApprox(calculateEAD(30, ean32), 24.4, 0.1, 'EAD EAN32 à 30 m');
+  assert(calculateEAD(3, { FO2: 0.99, FHe: 0, FN2: 0.01 }) === 0, 'EAD limitée à la surface');
+
+  assertApprox(calculateGasDensity(0, air), 1.288, 0.001, 'Densité de l\'air en surface');
+  assertApprox(calculateGasDensity(30, air), 5.10, 0.01, 'Densité de l\'air à 30 m');
+  assert(calculateGasDensity(60, tx2135) < calculateGasDensity(60, air), 'Hélium moins dense');
+}
+console.log('✅ END, EAD et densité');
+
+// Rapport par phase d'un plan
+{
+  const plan = planDive(40, 20, air, 30, 80, { narcosis: {} });
+  const report = plan.narcosis!;
+  assert(report.segments.length === plan.profile!.length, 'Une analyse par phase');
+  assertApprox(report.maxEnd, 40, 1e-9, 'END maximale');
+  assertApprox(report.maxDensity, 6.37, 0.01, 'Densité maximale');
+  assert(report.segments.every(s => s.ead !== undefined), 'EAD pour l\'air');
+  assert(report.warnings.some(w => w.startsWith('⚠️ 21/0: END 40m')), 'END au-delà de 30 m');
+  assert(report.warnings.some(w => w.startsWith('🚨 21/0: densité 6.4 g/l')), 'Densité au-delà de 6.2 g/l');
+  assert(report.warnings.length === 2, 'Un avertissement par gaz et par seuil');
+
+  const relaxed = planDive(40, 20, air, 30, 80, { narcosis: { maxEnd: 40, densityLimit: 6.5 } });
+  assert(relaxed.narcosis!.warnings.length === 1 && relaxed.narcosis!.warnings[0].startsWith('⚠️ 21/0: densité'),
+    'Seuils configurables');
+  assert(planDive(40, 20, air, 30, 80).narcosis === undefined, 'Analyse désactivée par défaut');
+}
+console.log('✅ Rapport par phase');
+
+// Trimix : pas d'EAD, densité plus faible
+{
+  const gasPlan: MultiGasPlan = { bottomGas: tx2135, decoGases: [{ depth: 21, gas: { FO2: 0.50, FHe: 0, FN2: 0.50 }, name: 'EAN50' }] };
+  const plan = planDecompressionMultiGas(60, 20, gasPlan, 0.3, 0.8, { narcosis: { o2Narcotic: false } });
+  const bottom = plan.narcosis!.segments.find(s => s.phase === 'bottom')!;
+  assert(bottom.ead === undefined, 'Pas d\'EAD pour le trimix');
+  assertApprox(bottom.end, 28.9, 0.1, 'END au fond');
+  assert(plan.narcosis!.segments.filter(s => s.gasName === 'EAN50').every(s => s.ead !== undefined), 'EAD pour l\'EAN50');
+  assert(plan.narcosis!.warnings.some(w => w.startsWith('🚨 21/35: densité 6.3')), 'Densité du 21/35 à 60 m');
+  assert(!plan.narcosis!.o2Narcotic, 'Option O₂ narcotique');
+}
+console.log('✅ Trimix');
+
+// Recycleur : gaz de la boucle au setpoint
+{
+  const diluent: GasMix = { FO2: 0.21, FHe: 0.35, FN2: 0.44 };
+  const plan = planDecompressionCCR([{ depth: 50, time: 20 }], { diluent, highSetpoint: 1.3 }, 0.3, 0.8, { narcosis: {} });
+  const bottom = plan.narcosis!.segments.find(s => s.phase === 'bottom')!;
+  const loop = calculateLoopGas(50, 1.3, diluent).gas;
+  assertApprox(bottom.end, calculateEND(50, loop), 1e-9, 'END du gaz de la boucle');
+  assert(bottom.end > calculateEND(50, diluent), 'Boucle moins riche en hélium que le diluant');
+  assert(bottom.density > calculateGasDensity(50, diluent), 'Boucle plus riche en O₂, plus dense');
+}
+console.log('✅ Recycleur');
+
+// Validation d'un plan multi-gaz
+{
+  const gasPlan: MultiGasPlan = { bottomGas: air, decoGases: [] };
+  assert(validateMultiGasPlan(gasPlan, 40).warnings.length === 0, 'Contrôles désactivés sans seuils');
+  const { warnings } = validateMultiGasPlan(gasPlan, 40, undefined, { narcosis: {} });
+  assert(warnings.some(w => w.includes('END 40m à 40m')), 'END du gaz de fond');
+  assert(warnings.some(w => w.startsWith('🚨 21/0: densité')), 'Densité du gaz de fond');
+  assert(validateMultiGasPlan({ bottomGas: tx2135, decoGases: [] }, 45, undefined, { narcosis: {} }).warnings.length === 0,
+    '21/35 à 45 m dans les seuils');
+
+  let threw = false;
+  try { calculateNarcosis([], { densityWarning: 6, densityLimit: 5 }); } catch { threw = true; }
+  assert(threw, 'Seuils incohérents rejetés');
+}
+console.log('✅ Validation multi-gaz');
+
+console.log('\n🎉 Tests narcose et densité passés');
+
+export {};
@@ -0,0 +1,136 @@
+/**
+ * Tests de la limite de non-décompression (NDL) et des tables de NDL
+ */
+
+import { planDive } from '../src/adapter/index';
+import { planDiveSeries } from '../src/core/dive-series';
+import { formatNdlTable, ndl, ndlTable } from '../src/core/ndl';
+import { GasMix } from '../src/core/models';
+import { surfaceInterval, cloneTissues } from '../src/core/utils';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertApprox(actual: number, expected: number, tolerance: number, message: string) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+console.log('=== TESTS LIMITE DE NON-DÉCOMPRESSION ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+const ean32: GasMix = { FO2: 0.32, FHe: 0.00, FN2: 0.68 };
+const tx2135: GasMix = { FO2: 0.21, FHe: 0.35, FN2: 0.44 };
+const tx1845: GasMix = { FO2: 0.18, FHe: 0.45, FN2: 0.37 };
+const gf = { gfLow: 0.4, gfHigh: 0.85 };
+
+// NDL et planificateur
+{
+  const limit = ndl(24, ean32, gf);
+  assert(limit > 30 && limit < 40, `NDL EAN32 à 24 m: ${limit.toFixed(1)} min`);
+  assert(ndl(24, air, gf) < limit, 'Nitrox plus long que l\'air');
+  assert(ndl(30, air, { gfLow: 0.4, gfHigh: 0.7 }) < ndl(30, air, gf), 'GF plus conservateur');
+  assert(ndl(40, air, gf) < ndl(30, air, gf), 'Plus court plus profond');
+  assert(ndl(40, tx2135, gf) > 0 && ndl(40, tx2135, gf) < ndl(40, air, gf), 'Trimix: hélium plus rapide');
+  assert(ndl(5, air, gf) === Infinity, 'Pas de limite à 5 m');
+
+  // Jamais plus de temps que le planificateur : aucun palier à floor(NDL), au moins un à ceil(NDL) + 1
+  // (NDL nulle : palier imposé dès la remontée)
+  const gases: Array<[string, GasMix]> = [['air', air], ['EAN32', ean32], ['TX21/35', tx2135], ['TX18/45', tx1845]];
+  const pairs = [{ gfLow: 0.3, gfHigh: 0.7 }, { gfLow: 0.4, gfHigh: 0.85 }, { gfLow: 0.7, gfHigh: 0.7 }];
+  let compared = 0;
+  for (const depth of [12, 18, 24, 30, 36, 40, 45, 50, 55, 60]) {
+    for (const [name, gas] of gases) {
+      if ((depth / 10 + 1) * gas.FO2 > 1.6) continue;
+      for (const pair of pairs) {
+        const limit = ndl(depth, gas, pair);
+        const label = `${name} ${depth} m GF ${pair.gfLow * 100}/${pair.gfHigh * 100} (NDL ${limit.toFixed(2)})`;
+        const plan = (minutes: number) => planDive(depth, minutes, gas, pair.gfLow * 100, pair.gfHigh * 100);
+        assert(limit !== Infinity, `NDL finie: ${label}`);
+        assert(limit === 0 || plan(Math.floor(limit)).stops.length === 0, `Aucun palier à la NDL: ${label}`);
+        assert(plan(Math.ceil(limit) + 1).stops.length > 0, `Paliers au-delà de la NDL: ${label}`);
+        compared++;
+      }
+    }
+  }
+  assert(compared > 60, `Cas comparés: ${compared}`);
+
+  // Remontée comptée : limite bien plus courte que les tissus au fond seuls
+  assert(ndl(50, air, { gfLow: 0.7, gfHigh: 0.7 }) < 2, 'Air à 50 m');
+  assert(ndl(60, air, { gfLow: 0.3, gfHigh: 0.7 }) < 1, 'Air à 60 m');
+  assert(ndl(50, tx1845, { gfLow: 0.3, gfHigh: 0.7 }) < 1, 'Trimix 18/45 à 50 m');
+
+  let threw = false;
+  try { ndl(30, air, { gfLow: 0, gfHigh: 0.85 }); } catch { threw = true; }
+  assert(threw, 'GF bas nul rejeté');
+  threw = false;
+  try { ndl(30, air, { gfLow: 0.9, gfHigh: 0.85 }); } catch { threw = true; }
+  assert(threw, 'GF bas supérieur au GF haut rejeté');
+}
+console.log('✅ NDL et planificateur');
+
+// Charge résiduelle et environnement
+{
+  const series = planDiveSeries([
+    { segments: [{ depth: 30, time: 20 }], gas: air },
+    { segments: [{ depth: 24, time: 10 }], gas: ean32, surfaceIntervalMin: 60 }
+  ], 0.4, 0.85);
+  const repeat = ndl(24, ean32, gf, { initialTissues: series.startTissues[1] });
+  assert(repeat < ndl(24, ean32, gf), `NDL réduite par l'azote résiduel: ${repeat.toFixed(1)} min`);
+
+  const loaded = cloneTissues(series.plans[0].finalTissues!);
+  surfaceInterval(loaded, 10);
+  assert(ndl(24, ean32, gf, { initialTissues: loaded }) < repeat, 'Intervalle court, NDL plus courte');
+
+  assert(ndl(24, ean32, gf, { altitude: 2000 }) < ndl(24, ean32, gf), 'NDL plus courte en altitude');
+  assert(ndl(24, ean32, gf, { rates: { descent: 5 } }) < ndl(24, ean32, gf), 'Descente lente comptée');
+
+  const saturated = planDive(40, 60, air, 40, 85).finalTissues!;
+  assert(ndl(30, air, gf, { initialTissues: saturated }) === 0, 'Palier imposé dès l\'arrivée');
+}
+console.log('✅ Charge résiduelle et environnement');
+
+// Table de NDL
+{
+  const table = ndlTable([30, 12, 24, 36], [air, { gas: ean32, name: 'EAN32' }], gf);
+  assert(table.gases.join() === '21/0,EAN32', 'Colonnes');
+  assert(table.rows.map(r => r.depth).join() === '12,24,30,36', 'Profondeurs triées');
+  assertApprox(table.rows[1].ndl[1]!, ndl(24, ean32, gf), 1e-9, 'NDL de la table');
+  assert(table.rows[3].ndl[1] === undefined, 'EAN32 au-delà de sa profondeur d\'utilisation');
+
+  const text = formatNdlTable(table);
+  const lines = text.split('\n');
+  assert(lines.length === 5 && lines[0].includes('GF 40/85') && lines[0].includes('EAN32'), 'En-tête');
+  assert(lines[4].trim().startsWith('36 m') && lines[4].trim().endsWith('—'), `Ligne hors profondeur d'utilisation: ${lines[4]}`);
+  assert(lines.every(line => line.length === lines[0].length), 'Colonnes alignées');
+  assert(formatNdlTable(ndlTable([5], [air], gf)).includes('∞'), 'Sans limite');
+}
+console.log('✅ Table de NDL');
+
+// Table de l'application web (docs/app.js) : même NDL que le moteur
+{
+  const app = require('../docs/app.js');
+  const rates = app.resolveRates({});
+  app.planDive(20, 10, air, 40, 85, {}); // Gradient de pression du plan (eau EN13319 par défaut)
+  for (const [name, gas] of [['air', air], ['EAN32', ean32]] as Array<[string, GasMix]>) {
+    for (const depth of [12, 18, 24, 30, 36, 40]) {
+      if ((depth / 10 + 1) * gas.FO2 > 1.4) continue;
+      for (const lastStopDepth of [3, 6]) {
+        const web: number = app.ndlAt(depth, gas, gf.gfLow, gf.gfHigh, rates, lastStopDepth);
+        const core = ndl(depth, gas, gf, { waterType: 'en13319', lastStopDepth, rates: { descent: rates.descent, ascent: rates.ascent } });
+        assertApprox(web, core, 0.01, `NDL web ${name} ${depth} m, dernier palier ${lastStopDepth} m`);
+      }
+      const limit: number = app.ndlAt(depth, gas, gf.gfLow, gf.gfHigh, rates, 3);
+      assert(app.planDive(depth, Math.floor(limit), gas, 40, 85, {}).stops.length === 0, `Planificateur web à la NDL: ${name} ${depth} m`);
+    }
+  }
+}
+console.log('✅ Table de l\'application web');
+
+console.log('\n🎉 Tests limite de non-décompression passés');
+
+export {};
@@ -0,0 +1,115 @@
+/**
+ * Tests de l'exposition à l'oxygène sur plusieurs plongées (CNS résiduel, OTU journalières REPA)
+ */
+
+import { planDive } from '../src/adapter/index';
+import { planDiveSeries } from '../src/core/dive-series';
+import { calculateOxygenToxicity, recoverOxygenExposure, repaLimits } from '../src/core/oxygen-toxicity';
+import { replayDive } from '../src/core/dive-log';
+import { DiveLog, GasMix, OxygenExposure } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertApprox(actual: number, expected: number, tolerance: number, message: string) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+console.log('=== TESTS EXPOSITION OXYGÈNE ===\n');
+
+const ean32: GasMix = { FO2: 0.32, FHe: 0.00, FN2: 0.68 };
+
+// Élimination du CNS et limites REPA
+{
+  const exposure: OxygenExposure = { cns: 40, dailyOtu: [120], dayElapsedMin: 600 };
+  assertApprox(recoverOxygenExposure(exposure, 90).cns, 20, 1e-9, 'Demi-période de 90 min');
+  assertApprox(recoverOxygenExposure(exposure, 180).cns, 10, 1e-9, 'Deux demi-périodes');
+  assert(recoverOxygenExposure(exposure, 90).dailyOtu.join() === '120', 'Même jour');
+
+  const nextDay = recoverOxygenExposure(exposure, 900);
+  assert(nextDay.dailyOtu.join() === '120,0', 'Nouveau jour après 24 h');
+  assertApprox(nextDay.dayElapsedMin!, 60, 1e-9, 'Heure dans le nouveau jour');
+  assert(recoverOxygenExposure(exposure, 900 + 1440).dailyOtu.join() === '0', 'Journée sans exposition: décompte remis à zéro');
+  assert(exposure.dailyOtu.join() === '120', 'Exposition d\'origine inchangée');
+
+  let threw = false;
+  try { recoverOxygenExposure(exposure, -5); } catch { threw = true; }
+  assert(threw, 'Intervalle négatif rejeté');
+
+  assert(repaLimits(1).daily === 850 && repaLimits(1).total === 850, 'Un jour');
+  assert(repaLimits(3).total === 1860, 'Trois jours');
+  assert(repaLimits(20).daily === 300 && repaLimits(20).total === 6000, 'Au-delà de 14 jours');
+}
+console.log('✅ Récupération et limites REPA');
+
+// CNS résiduel et OTU du jour
+{
+  const segments = [{ depthM: 20, timeMinutes: 60, fO2: 0.5 }];
+  const fresh = calculateOxygenToxicity(segments);
+  const repeat = calculateOxygenToxicity(segments, undefined, { cns: 30, dailyOtu: [100] });
+  assertApprox(repeat.cns, fresh.cns + 30, 1e-9, 'CNS résiduel ajouté');
+  assertApprox(repeat.otu, fresh.otu, 1e-9, 'OTU de la plongée seule');
+  assert(repeat.exposure.dailyOtu.length === 1, 'Même jour');
+  assertApprox(repeat.exposure.dailyOtu[0], fresh.otu + 100, 1e-9, 'OTU du jour cumulées');
+  assertApprox(repeat.exposure.dayElapsedMin!, 60, 1e-9, 'Durée de la plongée');
+  assert(fresh.exposure.cns === fresh.cns, 'Exposition en sortie de plongée');
+
+  const heavyDay = calculateOxygenToxicity(segments, undefined, { cns: 0, dailyOtu: [800] });
+  assert(heavyDay.warnings.some(w => w.startsWith('🚨 OTU du jour')), 'Limite journalière REPA');
+
+  const week = calculateOxygenToxicity(segments, undefined, { cns: 0, dailyOtu: [700, 700, 700, 0] });
+  assert(week.warnings.some(w => w.startsWith('⚠️ OTU cumulées sur 4 jours')), 'Limite sur plusieurs jours');
+  assert(!fresh.warnings.some(w => w.includes('REPA')), 'Sans avertissement REPA');
+}
+console.log('✅ CNS résiduel et OTU du jour');
+
+// Série de plongées
+{
+  const dive = { segments: [{ depth: 30, time: 40 }], gas: ean32 };
+  const series = planDiveSeries([dive, { ...dive, surfaceIntervalMin: 90 }], 0.3, 0.8);
+  const [first, second] = series.plans.map(p => p.oxygenToxicity!);
+  const single = planDive(30, 40, ean32, 30, 80, { calculateO2Toxicity: true }).oxygenToxicity!;
+  assertApprox(first.cns, single.cns, 1e-9, 'Première plongée sans exposition');
+  assertApprox(second.cns, single.cns + first.cns / 2, 1e-9, 'CNS résiduel après 90 min');
+  assertApprox(series.oxygenExposure!.dailyOtu[0], first.otu + second.otu, 1e-9, 'OTU du jour');
+
+  const nextDay = planDiveSeries([dive, { ...dive, surfaceIntervalMin: 24 * 60 }], 0.3, 0.8);
+  assert(nextDay.oxygenExposure!.dailyOtu.length === 2, 'Deuxième jour d\'exposition');
+
+  const carried = planDiveSeries([dive], 0.3, 0.8, { previousOxygenExposure: { cns: 50, dailyOtu: [200] } });
+  assertApprox(carried.plans[0].oxygenToxicity!.cns, single.cns + 50, 1e-9, 'Exposition avant la première plongée');
+  assert(planDiveSeries([dive], 0.3, 0.8, { calculateO2Toxicity: false }).oxygenExposure === undefined, 'Calcul désactivé');
+}
+console.log('✅ Série de plongées');
+
+// Exposition issue du carnet de plongée
+{
+  const log: DiveLog = {
+    format: 'subsurface',
+    samples: [
+      { time: 0, depth: 0, gas: ean32 },
+      { time: 2, depth: 30, gas: ean32 },
+      { time: 40, depth: 30, gas: ean32 },
+      { time: 45, depth: 5, gas: ean32 },
+      { time: 50, depth: 5, gas: ean32 },
+      { time: 51, depth: 0, gas: ean32 }
+    ]
+  };
+  const logged = replayDive(log, 0.3, 0.8).oxygenToxicity.exposure!;
+  const previous = recoverOxygenExposure(logged, 120);
+  const plan = planDive(30, 40, ean32, 30, 80, { previousOxygenExposure: previous });
+  const single = planDive(30, 40, ean32, 30, 80, { calculateO2Toxicity: true }).oxygenToxicity!;
+  assert(plan.oxygenToxicity !== undefined, 'Calcul O₂ activé par l\'exposition précédente');
+  assertApprox(plan.oxygenToxicity!.cns, single.cns + logged.cns / Math.pow(2, 120 / 90), 1e-9, 'CNS du carnet récupéré');
+  assert(plan.oxygenToxicity!.exposure!.dailyOtu[0] > single.otu, 'OTU du carnet reportées');
+}
+console.log('✅ Carnet de plongée');
+
+console.log('\n🎉 Tests exposition oxygène passés');
+
+export {};
@@ -0,0 +1,95 @@
+/**
+ * Tests de la toxicité oxygène sur toutes les phases (intégration à pO₂ variable, répartition par phase et par gaz)
+ */
+
+import { planDecompressionCCR, planDecompressionMultiGas } from '../src/core/algorithm';
+import { calculateCNSIncrement, calculateOTUIncrement, calculateOxygenToxicity, calculatePO2 } from '../src/core/oxygen-toxicity';
+import { GasMix, MultiGasPlan } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertApprox(actual: number, expected: number, tolerance: number, message: string) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+console.log('=== TESTS TOXICITÉ OXYGÈNE PAR PHASE ===\n');
+
+const ean50: GasMix = { FO2: 0.50, FHe: 0.00, FN2: 0.50 };
+const tx1845: GasMix = { FO2: 0.18, FHe: 0.45, FN2: 0.37 };
+
+// Intégration sur une pO₂ variable
+{
+  const ascent = calculateOxygenToxicity([{ depthM: 21, endDepthM: 6, timeMinutes: 5, fO2: 0.5 }]);
+  const atStart = calculateOxygenToxicity([{ depthM: 21, timeMinutes: 5, fO2: 0.5 }]);
+  const atEnd = calculateOxygenToxicity([{ depthM: 6, timeMinutes: 5, fO2: 0.5 }]);
+  assert(ascent.cns < atStart.cns && ascent.cns > atEnd.cns, 'CNS entre les valeurs aux extrémités');
+  assert(ascent.otu < atStart.otu && ascent.otu > atEnd.otu, 'OTU entre les valeurs aux extrémités');
+  assertApprox(ascent.maxPO2, 1.55, 0.01, 'pO₂ maximale au début de la remontée');
+
+  // Somme de Riemann fine sur la pO₂ linéaire de 21 m à 6 m
+  const [from, to] = [calculatePO2(21, 0.5), calculatePO2(6, 0.5)];
+  let cns = 0, otu = 0;
+  const n = 10000;
+  for (let i = 0; i < n; i++) {
+    const pO2 = from + (to - from) * (i + 0.5) / n;
+    cns += calculateCNSIncrement(pO2, 5 / n);
+    otu += calculateOTUIncrement(pO2, 5 / n);
+  }
+  assertApprox(ascent.cns, cns, 0.01, 'CNS intégré');
+  assertApprox(ascent.otu, otu, 0.01, 'OTU intégrées');
+
+  const level = calculateOxygenToxicity([{ depthM: 21, endDepthM: 21, timeMinutes: 5, fO2: 0.5 }]);
+  assertApprox(level.cns, atStart.cns, 1e-9, 'Profondeur constante inchangée');
+  assert(ascent.warnings.length === 0, 'Aucun avertissement sous 1.6 bar');
+}
+console.log('✅ Intégration à pO₂ variable');
+
+// Plan multi-gaz : toutes les phases comptées
+{
+  const gasPlan: MultiGasPlan = {
+    bottomGas: tx1845,
+    decoGases: [{ depth: 21, gas: ean50, name: 'EAN50' }]
+  };
+  const plan = planDecompressionMultiGas(60, 25, gasPlan, 0.3, 0.8);
+  const o2 = plan.oxygenToxicity!;
+  const phases = new Map(o2.phases!.map(p => [p.key, p]));
+  assert(['descent', 'bottom', 'ascent', 'stop'].every(k => phases.has(k)), `Phases: ${[...phases.keys()].join()}`);
+  assert(phases.get('descent')!.cns > 0 && phases.get('ascent')!.cns > 0, 'Descente et remontée comptées');
+
+  const sum = (values: number[]) => values.reduce((a, b) => a + b, 0);
+  assertApprox(sum(o2.phases!.map(p => p.cns)), o2.cns, 1e-9, 'CNS total par phase');
+  assertApprox(sum(o2.gases!.map(g => g.otu)), o2.otu, 1e-9, 'OTU totales par gaz');
+  assertApprox(sum(o2.phases!.map(p => p.time)), plan.profile!.reduce((t, p) => t + p.time, 0), 1e-9, 'Durée du profil');
+
+  assert(o2.gases!.map(g => g.key).join() === '18/45,EAN50', `Gaz: ${o2.gases!.map(g => g.key).join()}`);
+  const ean50Share = o2.gases!.find(g => g.key === 'EAN50')!;
+  assertApprox(ean50Share.maxPO2, 1.55, 0.01, 'pO₂ maximale au changement de gaz');
+
+  // Ancien décompte : fond et paliers seulement
+  const stopsOnly = calculateOxygenToxicity(plan.profile!
+    .filter(p => p.phase === 'bottom' || p.phase === 'stop')
+    .map(p => ({ depthM: p.startDepth, timeMinutes: p.time, fO2: p.gas.FO2 })));
+  assert(o2.cns > stopsOnly.cns, `CNS sous-estimé sans les déplacements: ${stopsOnly.cns.toFixed(1)} → ${o2.cns.toFixed(1)}%`);
+}
+console.log('✅ Plan multi-gaz');
+
+// Recycleur : répartition par setpoint
+{
+  const diluent: GasMix = { FO2: 0.21, FHe: 0.35, FN2: 0.44 };
+  const plan = planDecompressionCCR([{ depth: 40, time: 30 }], { diluent, highSetpoint: 1.3, lowSetpoint: 0.7, switchDepth: 20 }, 0.3, 0.8);
+  const o2 = plan.oxygenToxicity!;
+  assert(o2.gases!.some(g => g.key === 'CCR 1.3'), `Gaz: ${o2.gases!.map(g => g.key).join()}`);
+  assertApprox(o2.maxPO2, 1.3, 1e-6, 'pO₂ maximale au setpoint');
+  assert(o2.phases!.find(p => p.key === 'descent')!.cns > 0, 'Descente comptée');
+}
+console.log('✅ Recycleur');
+
+console.log('\n🎉 Tests toxicité oxygène par phase passés');
+
+export {};
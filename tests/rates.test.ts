@@ -0,0 +1,100 @@
+/**
+ * Tests des vitesses de déplacement configurables (par phase et par tranche de profondeur)
+ */
+
+import { planDive } from '../src/adapter/index';
+import { planDecompressionMultiGas } from '../src/core/algorithm';
+import { GasMix, MultiGasPlan } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertApprox(actual: number, expected: number, tolerance: number, message: string) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+console.log('=== TESTS VITESSES DE DÉPLACEMENT ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+
+// Défauts : 19 m/min en descente, 9 m/min en remontée
+{
+  const base = planDive(40, 25, air, 30, 80);
+  const explicit = planDive(40, 25, air, 30, 80, { rates: { descent: 19, ascent: 9 } });
+  assert(base.tts === explicit.tts, 'Défauts identiques aux vitesses explicites');
+  assert(base.stops.map(s => `${s.depth}:${s.time}`).join() === explicit.stops.map(s => `${s.depth}:${s.time}`).join(),
+    'Paliers identiques');
+  assertApprox(base.travelTimes!.descent, 40 / 19, 1e-9, 'Temps de descente');
+}
+console.log('✅ Vitesses par défaut');
+
+// Procédure : 20 m/min en descente, 9 m/min au premier palier, 3 m/min entre paliers, 1 m/min à la surface
+{
+  const base = planDive(40, 25, air, 30, 80);
+  const plan = planDive(40, 25, air, 30, 80, { rates: { descent: 20, ascent: 9, betweenStops: 3, surface: 1 } });
+  assertApprox(plan.travelTimes!.descent, 2, 1e-9, 'Descente à 20 m/min');
+  assert(plan.tts > base.tts, `TTS allongé par les remontées lentes: ${base.tts} → ${plan.tts}`);
+
+  // Paliers sans attente inclus dans le trajet vers le palier suivant
+  const firstStop = plan.firstStopDepth;
+  const first = plan.stops[0];
+  assertApprox(first.travelTime!, (40 - firstStop) / 9 + (firstStop - first.depth) / 3, 1e-9, 'Remontée au premier palier');
+  plan.stops.slice(1).forEach((s, i) =>
+    assertApprox(s.travelTime!, (plan.stops[i].depth - s.depth) / 3, 1e-9, `Trajet vers ${s.depth} m à 3 m/min`));
+
+  const last = plan.stops[plan.stops.length - 1];
+  const surfacing = plan.profile!.filter(p => p.phase === 'ascent' && p.startDepth <= last.depth);
+  assertApprox(surfacing.reduce((sum, p) => sum + p.time, 0), last.depth, 1e-9, 'Sortie à 1 m/min');
+
+  const stopTime = plan.stops.reduce((sum, s) => sum + s.time, 0);
+  assertApprox(plan.travelTimes!.ascent, (40 - firstStop) / 9 + (firstStop - last.depth) / 3 + last.depth, 1e-9,
+    'Temps de remontée total');
+  assert(Math.abs(plan.tts - (stopTime + plan.travelTimes!.ascent)) <= plan.stops.length, 'TTS = paliers + déplacements');
+}
+console.log('✅ Vitesses par phase');
+
+// Tranches de profondeur : 10 m/min sous 6 m, 3 m/min au-dessus
+{
+  const plan = planDive(30, 10, air, 30, 80, { rates: { ascent: [{ fromDepth: 6, rate: 10 }, { fromDepth: 0, rate: 3 }] } });
+  assert(plan.stops.length === 0, 'Plongée sans palier');
+  assertApprox(plan.travelTimes!.ascent, 24 / 10 + 6 / 3, 1e-9, 'Remontée 30 → 6 m à 10 m/min puis 6 → 0 m à 3 m/min');
+
+  const deep = planDive(40, 10, air, 30, 80, { rates: { descent: [{ fromDepth: 0, rate: 10 }, { fromDepth: 20, rate: 20 }] } });
+  assertApprox(deep.travelTimes!.descent, 20 / 10 + 20 / 20, 1e-9, 'Descente par tranches');
+}
+console.log('✅ Vitesses par tranche de profondeur');
+
+// Planificateur multi-gaz
+{
+  const gasPlan: MultiGasPlan = {
+    bottomGas: { FO2: 0.21, FHe: 0.35, FN2: 0.44 },
+    decoGases: [{ depth: 21, gas: { FO2: 0.50, FHe: 0.00, FN2: 0.50 }, name: 'EAN50' }]
+  };
+  const base = planDecompressionMultiGas(50, 20, gasPlan, 0.3, 0.8);
+  const slow = planDecompressionMultiGas(50, 20, gasPlan, 0.3, 0.8, { rates: { betweenStops: 3, surface: 1 } });
+  assert(slow.tts > base.tts, `TTS multi-gaz allongé: ${base.tts} → ${slow.tts}`);
+  assert(slow.stops.some(s => s.gasName === 'EAN50'), 'Changement de gaz conservé');
+}
+console.log('✅ Planificateur multi-gaz');
+
+// Vitesses invalides
+{
+  const invalid = [{ descent: 0 }, { ascent: -3 }, { surface: [] }, { betweenStops: [{ fromDepth: -1, rate: 3 }] }];
+  for (const rates of invalid) {
+    let threw = false;
+    try { planDive(30, 20, air, 30, 80, { rates }); } catch (e) {
+      threw = (e as Error).message.startsWith('Vitesse de déplacement invalide');
+    }
+    assert(threw, `Rejet de ${JSON.stringify(rates)}`);
+  }
+}
+console.log('✅ Vitesses invalides rejetées');
+
+console.log('\n🎉 Tests vitesses de déplacement passés');
+
+export {};
@@ -0,0 +1,77 @@
+/**
+ * Tests de la correction gaz réel (compressibilité, volumes de bouteille, consommation)
+ */
+
+import { planDive } from '../src/adapter/index';
+import { planBlend } from '../src/core/blending';
+import { compressibilityFactor, cylinderGasVolume, cylinderPressure } from '../src/core/real-gas';
+import { Cylinder, GasMix } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertApprox(actual: number, expected: number, tolerance: number, message: string) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+console.log('=== TESTS GAZ RÉEL ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+const helium: GasMix = { FO2: 0.00, FHe: 1.00, FN2: 0.00 };
+const tx1845: GasMix = { FO2: 0.18, FHe: 0.45, FN2: 0.37 };
+
+// Facteur de compressibilité
+{
+  assertApprox(compressibilityFactor(air, 1), 1, 1e-3, 'Air parfait à 1 bar');
+  assertApprox(compressibilityFactor(air, 200), 1.036, 0.005, 'Air à 200 bar');
+  assertApprox(compressibilityFactor(air, 300), 1.11, 0.01, 'Air à 300 bar');
+  assert(compressibilityFactor(air, 100) < 1, 'Air plus compressible que le gaz parfait vers 100 bar');
+  assertApprox(compressibilityFactor(helium, 200), 1.094, 0.005, 'Hélium à 200 bar');
+  assert(compressibilityFactor(tx1845, 232) > compressibilityFactor(air, 232), 'Trimix moins compressible que l\'air');
+}
+console.log('✅ Facteur de compressibilité');
+
+// Volumes de bouteille
+{
+  const at232 = cylinderGasVolume(12, air, 232);
+  const at300 = cylinderGasVolume(12, air, 300);
+  assert(at232 < 12 * 232, `Gaz libre à 232 bar inférieur au gaz parfait: ${at232.toFixed(0)} l`);
+  assert(at300 / at232 < 300 / 232, 'Gain de 300 bar surestimé en gaz parfait');
+  assertApprox(cylinderPressure(12, air, at232), 232, 1e-6, 'Conversion réversible');
+  assert(cylinderPressure(12, air, 2400) > 200, 'Pression plus élevée que le gaz parfait pour 2400 l');
+}
+console.log('✅ Volumes de bouteille');
+
+// Bilan de gaz du planificateur
+{
+  const cylinder: Cylinder = { volume: 12, workingPressure: 232 };
+  const ideal = planDive(30, 20, air, 30, 80, { gasConsumption: { sac: 20, cylinder } }).gasConsumption!.gases[0];
+  const real = planDive(30, 20, air, 30, 80, { gasConsumption: { sac: 20, cylinder, realGas: true } }).gasConsumption!.gases[0];
+  assert(ideal.available === 12 * 232, 'Gaz parfait par défaut');
+  assertApprox(real.available, cylinderGasVolume(12, air, 232), 1e-9, 'Gaz libre réel au départ');
+  assertApprox(real.litres, ideal.litres, 1e-9, 'Consommation identique en litres');
+  assert(real.endPressure < ideal.endPressure, `Pression restante plus faible: ${ideal.endPressure} → ${real.endPressure} bar`);
+  assertApprox(real.endPressure, cylinderPressure(12, air, real.available - real.litres), 1, 'Pression restante réelle');
+  assert(real.pressureUsed + real.endPressure === 232, 'Pression consommée');
+}
+console.log('✅ Bilan de gaz');
+
+// Volumes de gaz libre du gonflage
+{
+  const empty = { gas: air, pressure: 0 };
+  const ideal = planBlend(empty, { gas: tx1845, pressure: 232 }, undefined, { cylinderVolume: 12 });
+  const real = planBlend(empty, { gas: tx1845, pressure: 232 }, undefined, { cylinderVolume: 12, realGas: true });
+  assertApprox(ideal.steps.reduce((sum, s) => sum + s.litres!, 0), 12 * 232, 1e-6, 'Gaz libre total en gaz parfait');
+  assertApprox(real.steps.reduce((sum, s) => sum + s.litres!, 0), cylinderGasVolume(12, tx1845, 232), 1e-6, 'Gaz libre total réel');
+  assert(planBlend(empty, { gas: tx1845, pressure: 232 }).steps.every(s => s.litres === undefined), 'Sans volume de bouteille');
+}
+console.log('✅ Gonflage');
+
+console.log('\n🎉 Tests gaz réel passés');
+
+export {};
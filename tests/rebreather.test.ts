@@ -0,0 +1,132 @@
+/**
+ * Tests du mode recycleur (CCR) à setpoint constant
+ */
+
+import { planDecompressionCCR, planDecompressionProfile, planCCRBailout } from '../src/core/algorithm';
+import { calculateLoopGas, activeSetpoint } from '../src/core/rebreather';
+import { calculateSegmentGasUsage } from '../src/core/gas-consumption';
+import { GasMix, RebreatherSettings, MultiGasPlan } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertApprox(actual: number, expected: number, tolerance: number, message: string) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+console.log('=== TESTS RECYCLEUR CCR ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+const tx1070: GasMix = { FO2: 0.10, FHe: 0.70, FN2: 0.20 };
+
+// Gaz de la boucle
+{
+  const loop = calculateLoopGas(30, 1.3, tx1070);
+  assertApprox(loop.pO2, 1.3, 1e-9, 'Setpoint tenu à 30 m');
+  assertApprox(loop.gas.FHe / loop.gas.FN2, 3.5, 1e-9, 'Proportions inertes du diluant conservées');
+  assertApprox(loop.gas.FO2 + loop.gas.FHe + loop.gas.FN2, 1, 1e-9, 'Fractions normalisées');
+
+  const shallow = calculateLoopGas(2, 1.3, air);
+  assert(shallow.clamped === 'oxygen' && shallow.gas.FO2 === 1, 'O₂ pur si pression ambiante < setpoint');
+
+  const deep = calculateLoopGas(70, 0.7, air);
+  assert(deep.clamped === 'diluent' && deep.gas === air, 'Diluant pur si le diluant dépasse le setpoint');
+}
+console.log('✅ Gaz de la boucle et limites');
+
+// Changement de setpoint
+{
+  const ccr: RebreatherSettings = { diluent: air, lowSetpoint: 0.7, highSetpoint: 1.3, switchDepth: 15 };
+  assert(activeSetpoint(ccr, 10, 1) === 0.7, 'Setpoint bas avant 15 m');
+  assert(activeSetpoint(ccr, 20, 1) === 1.3, 'Setpoint haut après 15 m');
+  assert(activeSetpoint({ ...ccr, switchDepth: undefined, switchTime: 5 }, 40, 6) === 1.3, 'Setpoint haut après 5 min');
+}
+console.log('✅ Setpoint bas/haut');
+
+// Plan CCR : moins de déco qu'en circuit ouvert à l'air, toxicité selon le setpoint
+{
+  const ccr: RebreatherSettings = { diluent: air, lowSetpoint: 0.7, highSetpoint: 1.3, switchDepth: 10 };
+  const plan = planDecompressionCCR([{ depth: 40, time: 30 }], ccr, 0.40, 0.85);
+  const oc = planDecompressionProfile([{ depth: 40, time: 30 }], air, 0.40, 0.85, { calculateO2Toxicity: true });
+  assert(plan.tts < oc.tts, 'CCR 1.3 réduit la déco');
+  assertApprox(plan.oxygenToxicity!.maxPO2, 1.3, 1e-9, 'pO₂ max = setpoint');
+  assert(plan.oxygenToxicity!.cns > oc.oxygenToxicity!.cns, 'CNS calculé sur le setpoint');
+  assert(plan.stops.every(s => s.setpoint !== undefined && s.setpoint <= 1.3), 'Setpoint reporté sur les paliers');
+}
+console.log('✅ Planification CCR');
+
+// Changement de setpoint au runtime : temps de fond scindé
+{
+  const early = planDecompressionCCR([{ depth: 40, time: 30 }],
+    { diluent: air, lowSetpoint: 0.7, highSetpoint: 1.3, switchTime: 5 }, 0.40, 0.85);
+  const late = planDecompressionCCR([{ depth: 40, time: 30 }],
+    { diluent: air, lowSetpoint: 0.7, highSetpoint: 1.3, switchTime: 25 }, 0.40, 0.85);
+  assert(early.tts < late.tts, 'Passage précoce au setpoint haut réduit la déco');
+}
+console.log('✅ Changement de setpoint au runtime');
+
+// Réglages invalides rejetés
+{
+  let errorCaught = false;
+  try {
+    planDecompressionCCR([{ depth: 40, time: 20 }], { diluent: air, highSetpoint: 2.0 }, 0.40, 0.85);
+  } catch (error) {
+    errorCaught = true;
+  }
+  assert(errorCaught, 'Setpoint 2.0 doit être rejeté');
+}
+console.log('✅ Validation des réglages');
+
+// Bailout en circuit ouvert
+{
+  const ccr: RebreatherSettings = { diluent: tx1070, lowSetpoint: 0.7, highSetpoint: 1.3, switchDepth: 15 };
+  const bailoutGases: MultiGasPlan = {
+    bottomGas: { FO2: 0.15, FHe: 0.55, FN2: 0.30 },
+    decoGases: [
+      { depth: 21, gas: { FO2: 0.50, FHe: 0.00, FN2: 0.50 }, name: 'EAN50' },
+      { depth: 6, gas: { FO2: 0.99, FHe: 0.00, FN2: 0.01 }, name: 'O₂' }
+    ]
+  };
+  const endOfBottom = planCCRBailout([{ depth: 80, time: 25 }], ccr, bailoutGases, 0.30, 0.75);
+  assert(endOfBottom.bailoutDepth === 80, 'Bailout au fond');
+  assert(endOfBottom.tts > 0 && endOfBottom.bailout.stops.length > 0, 'Plan de bailout avec paliers');
+  assert(endOfBottom.gasRequirements.length === 3, 'Une ligne par bouteille de bailout');
+  assert(endOfBottom.gasRequirements.every(g => g.litres > 0), 'Chaque bouteille est utilisée');
+  assert(endOfBottom.bailout.stops.some(s => s.gasName === 'EAN50'), 'Changement de gaz en bailout');
+
+  const stressed = planCCRBailout([{ depth: 80, time: 25 }], ccr, bailoutGases, 0.30, 0.75, { stressedSac: 40 });
+  assert(stressed.gasRequirements[0].litres > endOfBottom.gasRequirements[0].litres, 'Volume proportionnel au SAC');
+
+  const early = planCCRBailout([{ depth: 80, time: 25 }], ccr, bailoutGases, 0.30, 0.75, { bailoutRuntime: 10 });
+  assert(early.bailoutRuntime < endOfBottom.bailoutRuntime, 'Bailout au runtime choisi');
+  assert(early.tts < endOfBottom.tts, 'Bailout précoce : remontée plus courte');
+
+  // Mélanges identiques : bouteilles retrouvées par composition, puis par nom
+  const sameMixes: MultiGasPlan = {
+    bottomGas: { ...tx1070 },
+    decoGases: [
+      { depth: 21, gas: { FO2: 0.50, FHe: 0.00, FN2: 0.50 }, name: 'EAN50' },
+      { depth: 21, gas: { FO2: 0.50, FHe: 0.00, FN2: 0.50 }, name: 'EAN50 relais' },
+      { depth: 6, gas: { FO2: 0.99, FHe: 0.00, FN2: 0.01 }, name: 'O₂' }
+    ]
+  };
+  const shared = planCCRBailout([{ depth: 80, time: 25 }], ccr, sameMixes, 0.30, 0.75);
+  const litres = shared.gasRequirements.map(g => g.litres);
+  assert(litres[0] > 0, 'Gaz de fond identique au diluant compté');
+  assert(litres[1] > 0 && litres[2] === 0 && litres[3] > 0, `Gaz de déco par bouteille: ${litres.map(Math.round).join()}`);
+  assert(shared.bailout.profile!.some(p => p.gasName === 'EAN50') && !shared.bailout.profile!.some(p => p.gasName === 'EAN50 relais'),
+    'Seule la première bouteille d\'EAN50 est respirée');
+  const total = shared.bailout.profile!.filter(p => p.setpoint === undefined)
+    .reduce((sum, p) => sum + calculateSegmentGasUsage(p, shared.sac), 0);
+  assertApprox(litres.reduce((a, b) => a + b, 0), total, 1e-6, 'Aucun volume perdu ni compté deux fois');
+}
+console.log('✅ Bailout circuit ouvert');
+
+console.log('\n🎉 Tests recycleur passés');
+
+export {};
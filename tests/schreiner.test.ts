@@ -0,0 +1,93 @@
+/**
+ * Tests de l'équation de Schreiner (déplacements à vitesse constante)
+ * et de l'indépendance du plan vis-à-vis du pas de temps
+ */
+
+import { planDive } from '../src/adapter/index';
+import { planDecompressionProfile } from '../src/core/algorithm';
+import { initTissues, cloneTissues, updateConstantDepth, updateLinearDepth } from '../src/core/utils';
+import { GasMix, MultiGasPlan } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertApprox(actual: number, expected: number, tolerance: number, message: string) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+console.log('=== TESTS ÉQUATION DE SCHREINER ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+const tx1845: GasMix = { FO2: 0.18, FHe: 0.45, FN2: 0.37 };
+
+// Déplacement exact : découpage sans effet, limite des paliers à profondeur constante
+{
+  const whole = initTissues();
+  updateLinearDepth(whole, 0, 60, tx1845, 3);
+
+  const split = initTissues();
+  updateLinearDepth(split, 0, 25, tx1845, 1.25);
+  updateLinearDepth(split, 25, 60, tx1845, 1.75);
+  whole.pN2.forEach((p, i) => assertApprox(split.pN2[i], p, 1e-12, `N₂ compartiment ${i + 1}`));
+  whole.pHe.forEach((p, i) => assertApprox(split.pHe[i], p, 1e-12, `He compartiment ${i + 1}`));
+
+  const stepwise = initTissues();
+  const slices = 3000;
+  for (let i = 0; i < slices; i++) {
+    updateConstantDepth(stepwise, 60 * (i + 0.5) / slices, tx1845, 3 / slices);
+  }
+  whole.pHe.forEach((p, i) => assertApprox(stepwise.pHe[i], p, 1e-6, `Limite pas fin He ${i + 1}`));
+
+  const level = initTissues();
+  const constant = cloneTissues(level);
+  updateLinearDepth(level, 30, 30, air, 20);
+  updateConstantDepth(constant, 30, air, 20);
+  level.pN2.forEach((p, i) => assertApprox(p, constant.pN2[i], 1e-12, 'Vitesse nulle = profondeur constante'));
+}
+console.log('✅ Déplacement à vitesse constante');
+
+// TTS indépendant du pas de temps
+{
+  const steps = [1, 0.5, 0.25, 1 / 6, 0.1];
+  for (const [depth, time] of [[30, 25], [45, 40], [60, 15]]) {
+    const plans = steps.map(timeStepMinutes => planDive(depth, time, air, 30, 80, { timeStepMinutes }));
+    assert(plans.every(p => p.tts === plans[0].tts), `TTS ${depth}m/${time}min: ${plans.map(p => p.tts).join(', ')}`);
+    assert(plans.every(p => p.stops.map(s => s.time).join() === plans[0].stops.map(s => s.time).join()),
+      `Paliers ${depth}m/${time}min`);
+  }
+
+  const gasPlan: MultiGasPlan = {
+    bottomGas: tx1845,
+    decoGases: [
+      { depth: 21, gas: { FO2: 0.50, FHe: 0.00, FN2: 0.50 }, name: 'EAN50' },
+      { depth: 6, gas: { FO2: 0.99, FHe: 0.00, FN2: 0.01 }, name: 'O₂' }
+    ]
+  };
+  const trimix = steps.map(timeStepMinutes =>
+    planDecompressionProfile([{ depth: 55, time: 20 }], gasPlan, 0.3, 0.8, { timeStepMinutes }));
+  assert(trimix.every(p => p.tts === trimix[0].tts), `TTS trimix: ${trimix.map(p => p.tts).join(', ')}`);
+  assert(trimix[0].stops.some(s => s.depth === 21 && s.gasName === 'EAN50'), 'Changement de gaz à 21 m');
+
+  const vpm = [1, 0.5, 0.1].map(timeStepMinutes => planDive(45, 30, air, 30, 80, { decoModel: 'vpmb', timeStepMinutes }));
+  assert(vpm.every(p => p.tts === vpm[0].tts), `TTS VPM-B: ${vpm.map(p => p.tts).join(', ')}`);
+}
+console.log('✅ TTS indépendant du pas de temps');
+
+// Temps de déplacement exacts (non arrondis au pas)
+{
+  const plan = planDive(40, 20, air, 30, 80, { timeStepMinutes: 1 });
+  const descent = plan.profile!.find(p => p.phase === 'descent')!;
+  assertApprox(descent.time, 40 / 19, 1e-12, 'Descente à 19 m/min');
+  assert(plan.profile!.filter(p => p.phase === 'ascent').every(p => Math.abs(p.time * 9 - (p.startDepth - p.endDepth)) < 1e-9),
+    'Remontée à 9 m/min');
+}
+console.log('✅ Temps de déplacement exacts');
+
+console.log('\n🎉 Tests équation de Schreiner passés');
+
+export {};
@@ -0,0 +1,101 @@
+/**
+ * Tests de l'intervalle entre paliers et des arrondis de durée de palier
+ */
+
+import { planDive } from '../src/adapter/index';
+import { supersaturationGf } from '../src/core/algorithm';
+import { resolveCoefficients } from '../src/core/coefficients';
+import { SURFACE_PRESSURE, TEN_FEET } from '../src/core/constants';
+import { DecompressionPlan, GasMix, StopRounding } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertApprox(actual: number, expected: number, tolerance: number, message: string) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+console.log('=== TESTS ARRONDIS DE PALIERS ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+
+// Temps de palier effectivement simulé à chaque profondeur
+function simulatedStop(plan: DecompressionPlan, depth: number) {
+  return plan.profile!.filter(p => p.phase === 'stop' && p.startDepth === depth).reduce((sum, p) => sum + p.time, 0);
+}
+
+// Le plan affiché est celui simulé
+{
+  for (const stopRounding of ['minute', 'runtime', 'exact'] as StopRounding[]) {
+    const plan = planDive(45, 40, air, 30, 80, { stopRounding });
+    assert(plan.stops.length > 0, `Paliers (${stopRounding})`);
+    for (const s of plan.stops) {
+      assertApprox(s.time, simulatedStop(plan, s.depth), 1 / 120, `Palier ${s.depth} m simulé (${stopRounding})`);
+    }
+    const stopTime = plan.stops.reduce((sum, s) => sum + s.time, 0);
+    assertApprox(plan.tts, stopTime + plan.travelTimes!.ascent, 0.5 + 1e-6, `TTS = paliers + remontée (${stopRounding})`);
+  }
+}
+console.log('✅ Paliers affichés = paliers simulés');
+
+// Modes d'arrondi
+{
+  const minute = planDive(45, 40, air, 30, 80);
+  assert(minute.stops.every(s => Number.isInteger(s.time) && s.time >= 1), 'Minutes entières par défaut');
+
+  const runtime = planDive(45, 40, air, 30, 80, { stopRounding: 'runtime' });
+  assert(runtime.stops.every(s => Math.abs(s.runtime! - Math.round(s.runtime!)) < 1e-6), 'Sortie à la minute de runtime');
+
+  const exact = planDive(45, 40, air, 30, 80, { stopRounding: 'exact' });
+  assert(exact.stops.every(s => Math.abs(s.time * 60 - Math.round(s.time * 60)) < 1e-6), 'Paliers à la seconde');
+  assert(exact.tts <= runtime.tts && runtime.tts <= minute.tts, `TTS croissant avec l'arrondi: ${exact.tts}, ${runtime.tts}, ${minute.tts}`);
+
+  // Le palier le plus profond n'est jamais affiché plus court que requis
+  assert(minute.stops[0].time >= exact.stops[0].time, 'Premier palier arrondi par excès');
+}
+console.log('✅ Modes d\'arrondi');
+
+// Intervalle entre paliers
+{
+  const metre = planDive(45, 40, air, 30, 80, { stopInterval: 1 });
+  assert(metre.stops.every(s => Number.isInteger(s.depth)), 'Paliers au mètre');
+  assert(metre.stops.some(s => s.depth % 3 !== 0), 'Paliers intermédiaires');
+  assert(metre.stops[metre.stops.length - 1].depth === 3, 'Dernier palier à 3 m');
+
+  const imperial = planDive(45, 40, air, 30, 80, { stopInterval: TEN_FEET });
+  for (const s of imperial.stops) {
+    assertApprox(s.depth / TEN_FEET, Math.round(s.depth / TEN_FEET), 1e-9, `Palier ${s.depth} m multiple de 10 ft`);
+  }
+  assertApprox(imperial.stops[imperial.stops.length - 1].depth, TEN_FEET, 1e-9, 'Dernier palier à 10 ft');
+}
+console.log('✅ Intervalle entre paliers');
+
+// Le dernier palier est quitté pour la surface, quel que soit l'intervalle
+{
+  const coefficients = resolveCoefficients({});
+  for (const opts of [{ lastStopDepth: 6 as const }, { stopInterval: 1 }, { stopInterval: TEN_FEET }]) {
+    const plan = planDive(45, 40, air, 30, 80, opts);
+    const surfGf = supersaturationGf(plan.finalTissues!, SURFACE_PRESSURE, coefficients);
+    assert(surfGf <= 80 + 1e-6, `SurfGF ${surfGf.toFixed(1)} % ≤ GF haut (${JSON.stringify(opts)})`);
+  }
+}
+console.log('✅ Sortie du dernier palier');
+
+// Options invalides
+{
+  for (const opts of [{ stopInterval: 0 }, { stopInterval: -3 }, { stopRounding: 'half' as StopRounding }]) {
+    let threw = false;
+    try { planDive(30, 20, air, 30, 80, opts); } catch { threw = true; }
+    assert(threw, `Rejet de ${JSON.stringify(opts)}`);
+  }
+}
+console.log('✅ Options invalides rejetées');
+
+console.log('\n🎉 Tests arrondis de paliers passés');
+
+export {};
@@ -0,0 +1,69 @@
+/**
+ * Tests du mode trace : état tissulaire, plafonds et GF à chaque pas simulé
+ */
+
+import { planDive } from '../src/adapter/index';
+import { planDecompressionProfile } from '../src/core/algorithm';
+import { GasMix } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertApprox(actual: number, expected: number, tolerance: number, message: string) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+console.log('=== TESTS MODE TRACE ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+
+// Trace optionnelle, plan inchangé
+{
+  const plain = planDive(40, 25, air, 30, 80);
+  const traced = planDive(40, 25, air, 30, 80, { trace: true });
+  assert(plain.trace === undefined, 'Trace absente par défaut');
+  assert(JSON.stringify(plain.stops) === JSON.stringify(traced.stops) && plain.tts === traced.tts, 'Plan identique avec trace');
+
+  const trace = traced.trace!;
+  assert(trace[0].runtime === 0 && trace[0].depth === 0, 'Premier pas en surface');
+  assert(trace.every((step, i) => i === 0 || step.runtime > trace[i - 1].runtime), 'Runtime croissant');
+  assert(trace.every(step => step.pN2.length === 16 && step.ceilings.length === 16), '16 compartiments par pas');
+  assert(trace.filter(step => step.phase === 'bottom').length === 50, 'Temps au fond découpé au pas de temps');
+
+  const last = trace[trace.length - 1];
+  assert(last.depth === 0, 'Dernier pas en surface');
+  assertApprox(last.runtime, traced.profile!.reduce((sum, p) => sum + p.time, 0), 1e-9, 'Runtime final');
+  assertApprox(last.gf!, 0.8, 1e-9, 'GF haut en surface');
+  assert(last.gf99 <= 80 + 1e-6 && last.gf99 === last.surfGf, 'GF99 = SurfGF en surface, sous le GF haut');
+}
+console.log('✅ Trace du plan');
+
+// Plafonds et compartiment directeur
+{
+  const trace = planDive(40, 25, air, 30, 80, { trace: true }).trace!;
+  const endOfBottom = trace.filter(step => step.phase === 'bottom').pop()!;
+  assert(endOfBottom.ceiling === Math.max(...endOfBottom.ceilings), 'Plafond du compartiment directeur');
+  assert(endOfBottom.ceilings[endOfBottom.leadingCompartment] === endOfBottom.ceiling, 'Index du compartiment directeur');
+  assertApprox(endOfBottom.gf!, 0.3, 1e-9, 'GF bas avant la remontée');
+  assert(endOfBottom.surfGf > 100, 'Surfacer directement dépasserait la M-value');
+  assert(trace.filter(step => step.phase === 'stop').every(step => step.ceiling <= step.depth + 1e-6), 'Plafond respecté aux paliers');
+}
+console.log('✅ Plafonds et GF');
+
+// Modèle VPM-B : plafonds sans GF
+{
+  const vpmb = planDecompressionProfile([{ depth: 40, time: 25 }], air, 0.3, 0.8, { decoModel: 'vpmb', trace: true });
+  const trace = vpmb.trace!;
+  assert(trace.every(step => step.gf === undefined && step.ceilings.length === 16), 'Plafonds VPM-B sans GF');
+  assert(trace[trace.length - 1].runtime > 0, 'Trace VPM-B de la dernière passe');
+}
+console.log('✅ Trace VPM-B');
+
+console.log('\n🎉 Tests mode trace passés');
+
+export {};
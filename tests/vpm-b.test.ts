@@ -0,0 +1,95 @@
+/**
+ * Tests du modèle VPM-B et de l'interface commune des modèles de décompression
+ */
+
+import { planDive } from '../src/adapter/index';
+import { planDecompressionProfile, createBuhlmannModel } from '../src/core/algorithm';
+import { GasMix, MultiGasPlan } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertApprox(actual: number, expected: number, tolerance: number, message: string) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+console.log('=== TESTS VPM-B ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+const trimix: MultiGasPlan = {
+  bottomGas: { FO2: 0.18, FHe: 0.45, FN2: 0.37 },
+  decoGases: [
+    { depth: 21, gas: { FO2: 0.50, FHe: 0.00, FN2: 0.50 }, name: 'EAN50' },
+    { depth: 6, gas: { FO2: 0.99, FHe: 0.00, FN2: 0.01 }, name: 'O₂' }
+  ]
+};
+
+// Même forme de plan pour les deux modèles
+{
+  const buhlmann = planDecompressionProfile([{ depth: 60, time: 25 }], trimix, 0.3, 0.8);
+  const vpmb = planDecompressionProfile([{ depth: 60, time: 25 }], trimix, 0.3, 0.8, { decoModel: 'vpmb' });
+  assert(buhlmann.decoModel === 'buhlmann' && vpmb.decoModel === 'vpmb', 'Modèle indiqué dans le plan');
+  assert(vpmb.stops.length > 0 && vpmb.tts > 0 && vpmb.oxygenToxicity !== undefined, 'Plan VPM-B complet');
+  assert(vpmb.firstStopDepth > buhlmann.firstStopDepth, 'Premier palier VPM-B plus profond');
+  assert(vpmb.stops.some(s => s.gasName === 'EAN50') && vpmb.stops.some(s => s.gasName === 'O₂'), 'Changements de gaz');
+  assert(vpmb.stops.every((s, i) => i === 0 || s.depth < vpmb.stops[i - 1].depth), 'Paliers décroissants');
+}
+console.log('✅ Plan VPM-B');
+
+// Conservatisme et plongée sans palier
+{
+  const tts = [0, 2, 4].map(level => planDive(45, 25, air, 30, 80, { decoModel: 'vpmb', vpmConservatism: level }).tts);
+  assert(tts[0] < tts[1] && tts[1] < tts[2], `TTS croissant avec le conservatisme: ${tts.join(', ')}`);
+  assert(planDive(18, 30, air, 30, 80, { decoModel: 'vpmb' }).stops.length === 0, 'Pas de palier à 18 m/30 min');
+
+  let threw = false;
+  try {
+    planDive(45, 25, air, 30, 80, { decoModel: 'vpmb', vpmConservatism: 5 });
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'Conservatisme hors limites refusé');
+}
+console.log('✅ Conservatisme VPM-B');
+
+// Profils de référence (tests du planificateur Subsurface, VPM-B +0) : 60 m/30 min, descente à 99 m/min, eau EN13319
+// Runtime attendu : 140 min à l'air, 95 min avec EAN50 à 21 m (tolérance ~4 %, vitesses de remontée différentes)
+{
+  const reference = (gas: GasMix | MultiGasPlan) => {
+    const plan = planDecompressionProfile([{ depth: 60, time: 30 - 60 / 99 }], gas, 0.3, 0.7,
+      { decoModel: 'vpmb', waterType: 'en13319', rates: { descent: 99, ascent: 9 } });
+    return { plan, runtime: plan.profile!.reduce((sum, p) => sum + p.time, 0) };
+  };
+
+  const onAir = reference(air);
+  assert(onAir.plan.firstStopDepth >= 33 && onAir.plan.firstStopDepth <= 39, `Premier palier à l'air: ${onAir.plan.firstStopDepth} m`);
+  assertApprox(onAir.runtime, 140, 5, 'Runtime à l\'air');
+
+  const withEan50 = reference({ bottomGas: air, decoGases: [{ depth: 21, gas: { FO2: 0.50, FHe: 0.00, FN2: 0.50 }, name: 'EAN50' }] });
+  assert(withEan50.plan.firstStopDepth === onAir.plan.firstStopDepth, 'Premier palier indépendant du gaz de déco');
+  assertApprox(withEan50.runtime, 95, 4, 'Runtime avec EAN50');
+}
+console.log('✅ Profils de référence VPM-B');
+
+// Modèle fourni par l'appelant
+{
+  let created = 0;
+  const plan = planDive(40, 20, air, 30, 80, {
+    decoModel: context => {
+      created++;
+      return { ...createBuhlmannModel(context), name: 'maison' };
+    }
+  });
+  assert(created === 1 && plan.decoModel === 'maison', 'Fabrique de modèle appelée');
+  assert(plan.tts === planDive(40, 20, air, 30, 80).tts, 'Résultat identique au modèle intégré');
+}
+console.log('✅ Modèle personnalisé');
+
+console.log('\n🎉 Tests VPM-B passés');
+
+export {};
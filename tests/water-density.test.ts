@@ -0,0 +1,65 @@
+/**
+ * Tests du type d'eau (masse volumique) : pression, pO₂, MOD et paliers
+ */
+
+import { planDive } from '../src/adapter/index';
+import { resolveEnvironment, depthToPressure, pressurePerMeterForDensity } from '../src/core/utils';
+import { calculatePO2, calculateMaxDepth } from '../src/core/oxygen-toxicity';
+import { GasMix } from '../src/core/models';
+
+function assert(condition: boolean, message: string) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertApprox(actual: number, expected: number, tolerance: number, message: string) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+console.log('=== TESTS TYPE D\'EAU ===\n');
+
+const air: GasMix = { FO2: 0.21, FHe: 0.00, FN2: 0.79 };
+const fresh = resolveEnvironment({ waterType: 'fresh' });
+const salt = resolveEnvironment({ waterType: 'salt' });
+
+// Pression hydrostatique
+assertApprox(pressurePerMeterForDensity(1000), 0.0981, 1e-4, 'Eau douce');
+assertApprox(pressurePerMeterForDensity(1030), 0.1010, 1e-4, 'Eau salée');
+assertApprox(resolveEnvironment({ waterType: 'en13319' }).pressurePerMeter, 0.1000, 1e-3, 'EN13319');
+assertApprox(resolveEnvironment({ waterDensity: 1010 }).pressurePerMeter, 0.0990, 1e-4, 'Masse volumique personnalisée');
+assertApprox(depthToPressure(30), 4.01325, 1e-9, 'Comportement par défaut inchangé (0.1 bar/m)');
+assert(depthToPressure(30, fresh) < depthToPressure(30, salt), 'Eau douce moins dense');
+console.log('✅ Pression selon la masse volumique');
+
+// pO₂ et MOD cohérents
+assert(calculatePO2(30, 0.32, fresh) < calculatePO2(30, 0.32, salt), 'pO₂ plus faible en eau douce');
+assert(calculateMaxDepth(0.32, 1.4, fresh) > calculateMaxDepth(0.32, 1.4, salt), 'MOD plus profonde en eau douce');
+assertApprox(calculatePO2(calculateMaxDepth(0.32, 1.4, fresh), 0.32, fresh), 1.4, 1e-9, 'MOD ↔ pO₂ même masse volumique');
+console.log('✅ pO₂ et MOD');
+
+// Paliers : même profondeur affichée, moins de charge en eau douce
+{
+  const lake = planDive(40, 20, air, 40, 85, { waterType: 'fresh' });
+  const sea = planDive(40, 20, air, 40, 85, { waterType: 'salt' });
+  assert(lake.tts <= sea.tts, 'Moins de déco en eau douce');
+}
+console.log('✅ Paliers selon le type d\'eau');
+
+// Masse volumique aberrante rejetée
+{
+  let errorCaught = false;
+  try {
+    resolveEnvironment({ waterDensity: 10 });
+  } catch (error) {
+    errorCaught = true;
+  }
+  assert(errorCaught, 'Masse volumique invalide doit lever une exception');
+}
+console.log('✅ Validation de la masse volumique');
+
+console.log('\n🎉 Tests type d\'eau passés');
+
+export {};